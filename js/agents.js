@@ -0,0 +1,288 @@
+/**
+ * Agent-based approach for WOO tokenomics simulation
+ *
+ * Heterogeneous stakers, traders, LPs and treasury agents act at the start of each month.
+ * The fee, burn, treasury and price mechanisms are the registered model's, so results land
+ * in the same `history` schema as the system-dynamics engine.
+ */
+
+// Headless usage: load the engine and seeded random generator (each checked on its own, since
+// other modules may already have loaded the engine without the generator)
+if (typeof WOOSimulation === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'), require('./simulation.js'));
+}
+if (typeof createSeededRandom === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./montecarlo.js'));
+}
+
+class AgentBasedSimulation extends WOOSimulation {
+    constructor(options = {}) {
+        super(options);
+        this.settings = AgentBasedSimulation.mergeSettings(options.agents);
+    }
+
+    /**
+     * CONFIG.AGENT_BASED with per-group overrides ({ seed, stakers: { count }, ... })
+     */
+    static mergeSettings(overrides = {}) {
+        return Object.fromEntries(Object.entries(CONFIG.AGENT_BASED).map(([key, value]) => [
+            key,
+            typeof value === 'object' ? { ...value, ...overrides[key] } : overrides[key] ?? value
+        ]));
+    }
+
+    /**
+     * Pareto-distributed shares summing to 1 (heterogeneous agent sizes)
+     */
+    static paretoShares(count, alpha, random) {
+        const weights = Array.from({ length: count }, () => Math.pow(Math.max(random(), 1e-12), -1 / alpha));
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        return weights.map(weight => weight / total);
+    }
+
+    initializeWithParams(params = {}, modelVersion = 'v2') {
+        super.initializeWithParams(params, modelVersion);
+
+        this.random = createSeededRandom(this.settings.seed);
+        this.createAgents();
+        this.agentVolumes = null;
+        this.sellUsd = 0;
+        this.simState.agent_history = {
+            unstaking_stakers: [],
+            liquid_woo: [],
+            sold_woo: [],
+            sell_usd: [],
+            lp_depth: []
+        };
+    }
+
+    /**
+     * Build the agent population from the initial state
+     */
+    createAgents() {
+        const { stakers, traders, lps } = this.settings;
+        const between = ([low, high]) => low + (high - low) * this.random();
+        const price = this.simState.woo_price;
+
+        this.stakers = AgentBasedSimulation.paretoShares(stakers.count, stakers.size_alpha, this.random).map(share => ({
+            stake: this.simState.total_staked_woo * share,
+            liquid: 0,
+            required_apr: between(stakers.required_apr),
+            stop_loss: between(stakers.stop_loss),
+            take_profit: between(stakers.take_profit),
+            entry_price: price
+        }));
+
+        // Traders are split evenly across venues; each holds a share of its venue's volume
+        const venues = VolumeSchedule.VENUES;
+        this.traders = venues.flatMap(venue => {
+            const count = Math.max(1, Math.round(traders.count / venues.length));
+            return AgentBasedSimulation.paretoShares(count, traders.size_alpha, this.random).map(share => ({
+                venue,
+                share,
+                momentum: between(traders.momentum)
+            }));
+        });
+
+        this.lps = AgentBasedSimulation.paretoShares(lps.count, lps.size_alpha, this.random).map(capital => ({
+            capital,
+            tolerance: between(lps.tolerance)
+        }));
+    }
+
+    /**
+     * Let every agent act, then run the model's mechanisms for the month
+     */
+    simulationStep() {
+        const running = this.simState.month < this.simParams.simulation_months && !this.model.isExhausted?.call(this);
+        if (running) this.actAgents();
+        return super.simulationStep();
+    }
+
+    /**
+     * Agent decisions for the coming month, based on last month's outcome
+     */
+    actAgents() {
+        const history = this.simState.history;
+        const price = this.simState.woo_price;
+        const lastPrice = history.price.length > 1 ? history.price[history.price.length - 2] : this.simState.initial_values.price;
+        const priceReturn = history.price.length > 0 && lastPrice > 0 ? price / lastPrice - 1 : 0;
+
+        this.agentVolumes = this.tradeVolumes(priceReturn);
+        this.sellUsd = 0;
+        this.soldWoo = 0;
+        this.unstakingStakers = 0;
+
+        // No realised yield or volume yet in the first month
+        if (history.months.length > 0) {
+            this.actStakers(price);
+            this.actLps();
+            this.actTreasury(price);
+        }
+        this.simState.total_staked_woo = this.stakers.reduce((sum, agent) => sum + agent.stake, 0);
+    }
+
+    /**
+     * Trader rule: activity follows last month's price move (momentum > 0) or fades it (< 0)
+     */
+    tradeVolumes(priceReturn) {
+        const base = super.getMonthlyVolumes();
+        const { noise } = this.settings.traders;
+        const volumes = { woofi_swap: 0, woofi_perp: 0, woox: 0 };
+
+        this.traders.forEach(agent => {
+            const activity = Math.max(0, 1 + agent.momentum * priceReturn + noise * this.random.normal());
+            volumes[agent.venue] += base[agent.venue] * agent.share * activity;
+        });
+        return volumes;
+    }
+
+    /**
+     * Staker rules: unstake below the required APR, restake above it, sell liquid WOO on stop-loss/take-profit
+     *
+     * Liquid WOO is part of circulating supply: unstaking moves tokens into circulation and restaking
+     * takes them back out (as staking flows do in the system-dynamics engine); selling only changes hands.
+     */
+    actStakers(price) {
+        const cfg = this.settings.stakers;
+        const stakedValue = this.simState.total_staked_woo * price;
+        const apr = stakedValue > 0 ? (this.simState.total_staker_rewards_usd || 0) * 12 * this.simParams.steps_per_month / stakedValue : 0;
+
+        this.stakers.forEach(agent => {
+            if (apr < agent.required_apr) {
+                const amount = agent.stake * cfg.unstake_rate;
+                agent.stake -= amount;
+                agent.liquid += amount;
+                this.simState.circulating_supply += amount;
+                if (amount > 0) this.unstakingStakers++;
+            } else if (apr > agent.required_apr * (1 + cfg.restake_margin) && agent.liquid > 0) {
+                const amount = agent.liquid * cfg.restake_rate;
+                agent.liquid -= amount;
+                agent.stake += amount;
+                this.simState.circulating_supply -= amount;
+            }
+
+            const stopLoss = price <= agent.entry_price * (1 - agent.stop_loss);
+            const takeProfit = price >= agent.entry_price * (1 + agent.take_profit);
+            if ((stopLoss || takeProfit) && agent.liquid > 0) {
+                const sold = agent.liquid * cfg.sell_rate;
+                agent.liquid -= sold;
+                agent.entry_price = price; // Re-anchor after acting
+                this.soldWoo += sold;
+                this.sellUsd += sold * price;
+            }
+        });
+    }
+
+    /**
+     * LP rule: add liquidity when swap volume per unit of liquidity beats the start, withdraw when it lags
+     */
+    actLps() {
+        const { adjust_rate } = this.settings.lps;
+        const baseSwap = super.getMonthlyVolumes().woofi_swap;
+        const depth = this.lpDepth();
+        const utilization = baseSwap > 0 && depth > 0 ? (this.agentVolumes.woofi_swap / baseSwap) / depth : 1;
+
+        this.lps.forEach(agent => {
+            if (utilization < 1 - agent.tolerance) agent.capital *= 1 - adjust_rate;
+            else if (utilization > 1 + agent.tolerance) agent.capital *= 1 + adjust_rate;
+        });
+    }
+
+    /**
+     * Treasury rule: sell a slice of each treasury into strength (price above its trailing average)
+     */
+    actTreasury(price) {
+        const { sell_rate, lookback } = this.settings.treasury;
+        const recent = this.simState.history.price.slice(-lookback);
+        const trend = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+        if (sell_rate <= 0 || price <= trend) return;
+
+        ['woofi_treasury_balance', 'woox_treasury_balance'].forEach(key => {
+            const sold = this.simState[key] * sell_rate;
+            this.simState[key] -= sold;
+            this.simState.circulating_supply += sold; // Treasury tokens enter circulation
+            this.soldWoo += sold;
+            this.sellUsd += sold * price;
+        });
+    }
+
+    /**
+     * LP capital relative to the start (1 = initial liquidity)
+     */
+    lpDepth() {
+        return this.lps.reduce((sum, agent) => sum + agent.capital, 0);
+    }
+
+    /**
+     * Volumes come from the trader agents once they have acted this month
+     */
+    getMonthlyVolumes() {
+        return this.agentVolumes || super.getMonthlyVolumes();
+    }
+
+    /**
+     * Market depth scales with LP capital
+     */
+    getMarketDepth() {
+        return super.getMarketDepth() * this.lpDepth();
+    }
+
+    /**
+     * Buying pressure from the model's mechanism, net of agent selling (spread over the month's timesteps)
+     */
+    calculatePriceImpact(burnData) {
+        const impact = super.calculatePriceImpact(burnData);
+        const depth = this.getMarketDepth();
+        const sellImpact = depth > 0
+            ? Math.min(this.settings.max_sell_impact, this.sellUsd * this.getStepFraction() / depth * this.simParams.buying_pressure_elasticity)
+            : 0;
+
+        return {
+            ...impact,
+            new_temporary_impact: impact.new_temporary_impact - sellImpact,
+            total_temporary_impact: impact.total_temporary_impact - sellImpact
+        };
+    }
+
+    /**
+     * Model staking changes (e.g. V1 auto-compound) are shared pro rata by stake
+     */
+    updateStakerPositions(burnData) {
+        const before = this.simState.total_staked_woo;
+        super.updateStakerPositions(burnData);
+        const added = this.simState.total_staked_woo - before;
+        if (added !== 0 && before > 0) {
+            this.stakers.forEach(agent => {
+                agent.stake += added * (agent.stake / before);
+            });
+        }
+    }
+
+    /**
+     * Staker agents make their own stake/unstake decisions; only the APR is tracked
+     */
+    updateStakingFlows(burnData) {
+        this.simState.staker_apr = this.calculateStakerApr(burnData);
+        this.simState.staking_flow = 0;
+    }
+
+    /**
+     * Finish the month's shared history, plus agent aggregates in `agent_history`
+     */
+    finishMonth(steps) {
+        super.finishMonth(steps);
+
+        const agentHistory = this.simState.agent_history;
+        agentHistory.unstaking_stakers.push(this.unstakingStakers);
+        agentHistory.liquid_woo.push(this.stakers.reduce((sum, agent) => sum + agent.liquid, 0) / 1e6);
+        agentHistory.sold_woo.push(this.soldWoo / 1e6);
+        agentHistory.sell_usd.push(this.sellUsd / 1e6);
+        agentHistory.lp_depth.push(this.lpDepth());
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { AgentBasedSimulation };
+}
@@ -0,0 +1,140 @@
+/**
+ * Historical backtest for WOO tokenomics simulation
+ */
+
+// Headless usage: load the engine and volume column aliases
+if (typeof WOOSimulation === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'), require('./volumeschedule.js'), require('./simulation.js'));
+}
+
+class Backtester {
+    /**
+     * Accepted column/field names (lowercase). Volumes are daily USD millions,
+     * supply and staked are WOO millions, price is USD.
+     */
+    static COLUMNS = {
+        label: ['month', 'date', 'period'],
+        woofi_swap: [...VolumeSchedule.SERIES_COLUMNS.woofi_swap, 'swap_volume', 'woofi_swap_volume'],
+        woofi_perp: [...VolumeSchedule.SERIES_COLUMNS.woofi_perp, 'perp_volume', 'woofi_perp_volume'],
+        woox: [...VolumeSchedule.SERIES_COLUMNS.woox, 'woox_volume'],
+        price: ['price', 'woo_price', 'close'],
+        circulating: ['circulating', 'circulating_supply', 'supply'],
+        staked: ['staked', 'total_staked']
+    };
+
+    /**
+     * Parse CSV (header row required) or JSON (array of rows, or { rows: [...] }) into monthly rows
+     */
+    static parse(text) {
+        const trimmed = (text || '').trim();
+        if (!trimmed) throw new Error('No historical data provided');
+
+        let records;
+        if (trimmed.startsWith('[') || trimmed.startsWith('{')) {
+            const json = JSON.parse(trimmed);
+            records = Array.isArray(json) ? json : json.rows || json.data;
+            if (!Array.isArray(records)) throw new Error('JSON must be an array of monthly rows');
+        } else {
+            const lines = trimmed.split(/\r?\n/).map(line => line.trim()).filter(line => line && !line.startsWith('#'));
+            const header = lines.shift().split(/[,;\t]/).map(cell => cell.trim());
+            records = lines.map(line => {
+                const cells = line.split(/[,;\t]/).map(cell => cell.trim());
+                return Object.fromEntries(header.map((name, i) => [name, cells[i]]));
+            });
+        }
+
+        const rows = records.map((record, index) => {
+            const fields = Object.fromEntries(Object.entries(record).map(([key, value]) => [key.trim().toLowerCase(), value]));
+            const row = {};
+            Object.entries(Backtester.COLUMNS).forEach(([field, names]) => {
+                const name = names.find(candidate => fields[candidate] !== undefined && fields[candidate] !== '');
+                if (name === undefined) return;
+                if (field === 'label') {
+                    row.label = String(fields[name]);
+                    return;
+                }
+                const value = Number(fields[name]);
+                if (!isFinite(value) || value < 0) {
+                    throw new Error(`Invalid ${field} on row ${index + 1}`);
+                }
+                row[field] = value;
+            });
+            row.label = row.label ?? String(index);
+            return row;
+        });
+
+        if (rows.length < 2) throw new Error('Need at least 2 monthly rows (a starting month and one to replay)');
+        if (!rows.some(row => row.price !== undefined)) throw new Error('Historical data needs a price column');
+        return rows;
+    }
+
+    /**
+     * Root mean squared error and mean absolute percentage error over paired values
+     */
+    static errorMetrics(simulated, actual) {
+        const pairs = actual
+            .map((value, i) => [simulated[i], value])
+            .filter(([sim, act]) => sim !== undefined && sim !== null && act !== undefined && act !== null);
+        if (pairs.length === 0) return { rmse: null, mape: null, n: 0 };
+
+        const squared = pairs.reduce((sum, [sim, act]) => sum + (sim - act) ** 2, 0);
+        const nonZero = pairs.filter(([, act]) => act !== 0);
+        const mape = nonZero.length
+            ? nonZero.reduce((sum, [sim, act]) => sum + Math.abs((sim - act) / act), 0) / nonZero.length * 100
+            : null;
+        return { rmse: Math.sqrt(squared / pairs.length), mape, n: pairs.length };
+    }
+
+    /**
+     * Replay the model over history. Row 0 sets the starting price, supply and staking;
+     * rows 1..N supply each month's volumes and the actuals to compare against.
+     * Volume columns that are missing fall back to the flat volumes in `params`.
+     */
+    run(rows, params = {}, modelVersion = 'v2') {
+        const baseParams = { ...DEFAULT_PARAMS, ...params };
+        const [start, ...replay] = rows;
+
+        const volumePath = replay.map(row => ({
+            woofi_swap: (row.woofi_swap !== undefined ? row.woofi_swap * 1_000_000 : baseParams.daily_woofi_swap_volume) * 30,
+            woofi_perp: (row.woofi_perp !== undefined ? row.woofi_perp * 1_000_000 : baseParams.daily_woofi_perp_volume) * 30,
+            woox: (row.woox !== undefined ? row.woox * 1_000_000 : baseParams.daily_woox_volume) * 30
+        }));
+
+        const simulation = new WOOSimulation({ verbose: false });
+        simulation.initializeWithParams({
+            ...baseParams,
+            simulation_months: replay.length,
+            volume_path: volumePath,
+            ...(start.price !== undefined && { initial_price: start.price }),
+            ...(start.circulating !== undefined && { initial_circulating_supply: start.circulating * 1_000_000 }),
+            ...(start.staked !== undefined && { initial_staked: start.staked * 1_000_000 })
+        }, modelVersion);
+        const history = simulation.runToCompletion();
+
+        const actual = {
+            price: replay.map(row => row.price ?? null),
+            circulating: replay.map(row => row.circulating ?? null)
+        };
+        const simulated = {
+            price: replay.map((_, i) => history.price[i] ?? null),
+            circulating: replay.map((_, i) => history.circulating[i] ?? null)
+        };
+
+        return {
+            model: modelVersion,
+            labels: replay.map(row => row.label),
+            start: start.label,
+            actual,
+            simulated,
+            metrics: {
+                price: Backtester.errorMetrics(simulated.price, actual.price),
+                circulating: Backtester.errorMetrics(simulated.circulating, actual.circulating)
+            }
+        };
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Backtester };
+}
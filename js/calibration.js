@@ -0,0 +1,226 @@
+/**
+ * Price-impact elasticity calibration for WOO tokenomics simulation
+ */
+
+// Headless usage: load the engine and backtester
+if (typeof Backtester === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'), require('./volumeschedule.js'), require('./simulation.js'), require('./backtest.js'));
+}
+
+class Calibrator {
+    /**
+     * Chi-square (1 d.o.f.) cutoffs for profile-likelihood intervals
+     */
+    static CHI_SQUARE_1DF = { 0.9: 2.706, 0.95: 3.841, 0.99: 6.635 };
+
+    constructor(modelVersion = 'v2', options = {}) {
+        this.modelVersion = modelVersion;
+        this.settings = { ...CONFIG.CALIBRATION, ...options };
+        this.keys = options.keys || Object.keys(this.settings.parameters);
+        this.backtester = new Backtester();
+        this.evaluations = 0;
+    }
+
+    /**
+     * Minimize f over R^n with the Nelder-Mead simplex method
+     */
+    static nelderMead(f, x0, options = {}) {
+        const maxIterations = options.maxIterations ?? 200;
+        const tolerance = options.tolerance ?? 1e-10;
+        const step = options.step ?? 0.5;
+        const n = x0.length;
+
+        let simplex = [x0, ...x0.map((_, i) => x0.map((value, j) => (i === j ? value + step : value)))]
+            .map(x => ({ x, fx: f(x) }));
+        const combine = (a, b, t) => a.map((value, i) => value + t * (b[i] - value));
+
+        let iteration = 0;
+        for (; iteration < maxIterations; iteration++) {
+            simplex.sort((a, b) => a.fx - b.fx);
+            const best = simplex[0];
+            const worst = simplex[n];
+            if (Math.abs(worst.fx - best.fx) <= tolerance * (Math.abs(best.fx) + tolerance)) break;
+
+            const centroid = x0.map((_, i) => simplex.slice(0, n).reduce((sum, point) => sum + point.x[i], 0) / n);
+            const reflected = combine(centroid, worst.x, -1);
+            const fReflected = f(reflected);
+
+            if (fReflected < best.fx) {
+                const expanded = combine(centroid, worst.x, -2);
+                const fExpanded = f(expanded);
+                simplex[n] = fExpanded < fReflected ? { x: expanded, fx: fExpanded } : { x: reflected, fx: fReflected };
+            } else if (fReflected < simplex[n - 1].fx) {
+                simplex[n] = { x: reflected, fx: fReflected };
+            } else {
+                const contracted = fReflected < worst.fx
+                    ? combine(centroid, reflected, 0.5)
+                    : combine(centroid, worst.x, 0.5);
+                const fContracted = f(contracted);
+                if (fContracted < Math.min(fReflected, worst.fx)) {
+                    simplex[n] = { x: contracted, fx: fContracted };
+                } else {
+                    // Shrink toward the best point
+                    simplex = simplex.map((point, i) => {
+                        if (i === 0) return point;
+                        const x = combine(best.x, point.x, 0.5);
+                        return { x, fx: f(x) };
+                    });
+                }
+            }
+        }
+
+        simplex.sort((a, b) => a.fx - b.fx);
+        return { x: simplex[0].x, fx: simplex[0].fx, iterations: iteration };
+    }
+
+    /**
+     * Map an unbounded coordinate onto a parameter's [min, max] range (and back)
+     */
+    toValue(key, z) {
+        const { min, max } = this.settings.parameters[key];
+        return min + (max - min) / (1 + Math.exp(-z));
+    }
+
+    toCoordinate(key, value) {
+        const { min, max } = this.settings.parameters[key];
+        const u = Math.min(1 - 1e-6, Math.max(1e-6, (value - min) / (max - min)));
+        return Math.log(u / (1 - u));
+    }
+
+    /**
+     * Sum of squared log-price errors for one parameter set (and the number of months compared)
+     */
+    objective(rows, params, values) {
+        this.evaluations++;
+        const result = this.backtester.run(rows, { ...params, ...values }, this.modelVersion);
+        let sse = 0;
+        let n = 0;
+        result.actual.price.forEach((actual, i) => {
+            if (actual === null || actual <= 0) return;
+            const simulated = result.simulated.price[i];
+            // Runs that end early or collapse the price count as a large miss
+            const error = simulated > 0 ? Math.log(simulated) - Math.log(actual) : 10;
+            sse += error * error;
+            n++;
+        });
+        return { sse, n };
+    }
+
+    /**
+     * Fit the free parameters with the others held at `fixed`, starting from `start`
+     */
+    fit(rows, params, freeKeys, start, fixed = {}, maxIterations = this.settings.max_iterations) {
+        const toValues = z => Object.fromEntries(freeKeys.map((key, i) => [key, this.toValue(key, z[i])]));
+        const f = z => this.objective(rows, params, { ...fixed, ...toValues(z) }).sse;
+        const result = Calibrator.nelderMead(f, freeKeys.map(key => this.toCoordinate(key, start[key])), {
+            maxIterations,
+            tolerance: this.settings.tolerance
+        });
+        return { values: { ...fixed, ...toValues(result.x) }, sse: result.fx, iterations: result.iterations };
+    }
+
+    /**
+     * Calibrate the elasticities to imported history and profile each one for confidence intervals
+     */
+    run(rows, params = {}) {
+        const baseParams = { ...DEFAULT_PARAMS, ...params };
+        const initialValues = Object.fromEntries(this.keys.map(key => [key, baseParams[key]]));
+        this.evaluations = 0;
+
+        const initial = this.objective(rows, baseParams, initialValues);
+        if (initial.n === 0) throw new Error('Historical data has no prices to calibrate against');
+
+        const best = this.fit(rows, baseParams, this.keys, initialValues);
+        const threshold = Calibrator.CHI_SQUARE_1DF[this.settings.confidence] ?? Calibrator.CHI_SQUARE_1DF[0.95];
+        // Gaussian log-price errors: deviance = n * ln(SSE / SSE_min)
+        const deviance = sse => initial.n * Math.log(Math.max(sse, 1e-300) / Math.max(best.sse, 1e-300));
+
+        const profiles = {};
+        const intervals = {};
+        this.keys.forEach(key => {
+            const { min, max } = this.settings.parameters[key];
+            const others = this.keys.filter(other => other !== key);
+            const points = this.settings.profile_points;
+            const estimate = best.values[key];
+            // The estimate itself is a profile point (deviance 0 by definition), so intervals
+            // narrower than the grid spacing are still bracketed
+            const grid = [...new Set([...Array.from({ length: points }, (_, i) => min + (max - min) * i / (points - 1)), estimate])]
+                .sort((a, b) => a - b);
+
+            const values = grid.map(value => {
+                if (value === estimate) return 0;
+                const profile = others.length
+                    ? this.fit(rows, baseParams, others, best.values, { [key]: value }, this.settings.profile_iterations)
+                    : { sse: this.objective(rows, baseParams, { ...best.values, [key]: value }).sse };
+                return Math.max(0, deviance(profile.sse));
+            });
+            profiles[key] = { grid, deviance: values };
+            intervals[key] = Calibrator.profileInterval(grid, values, best.values[key], threshold);
+        });
+
+        const evaluate = values => this.backtester.run(rows, { ...baseParams, ...values }, this.modelVersion).metrics.price;
+        return {
+            model: this.modelVersion,
+            n: initial.n,
+            keys: [...this.keys],
+            labels: Object.fromEntries(this.keys.map(key => [key, this.settings.parameters[key].label])),
+            confidence: this.settings.confidence,
+            threshold,
+            initial: { values: initialValues, sse: initial.sse, metrics: evaluate(initialValues) },
+            fitted: { values: best.values, sse: best.sse, metrics: evaluate(best.values), iterations: best.iterations },
+            intervals,
+            profiles,
+            evaluations: this.evaluations
+        };
+    }
+
+    /**
+     * Interval where the profile deviance stays under the threshold, walking outward from the estimate
+     * (linear interpolation at the first grid point above it); a side is only at its bound when the
+     * deviance at the grid edge is still under the threshold
+     */
+    static profileInterval(grid, deviance, estimate, threshold) {
+        const crossing = (i, j) => {
+            const t = (threshold - deviance[i]) / (deviance[j] - deviance[i]);
+            return grid[i] + t * (grid[j] - grid[i]);
+        };
+
+        // Start from the estimate's profile point (or the grid point nearest it)
+        let center = 0;
+        grid.forEach((value, i) => {
+            if (Math.abs(value - estimate) < Math.abs(grid[center] - estimate)) center = i;
+        });
+        const inside = deviance[center] <= threshold;
+
+        let low = grid[center];
+        let lowAtBound = false;
+        for (let i = center; i >= 0 && inside; i--) {
+            if (i === 0) {
+                low = grid[0];
+                lowAtBound = true;
+            } else if (deviance[i - 1] > threshold) {
+                low = crossing(i, i - 1);
+                break;
+            }
+        }
+
+        let high = grid[center];
+        let highAtBound = false;
+        for (let i = center; i <= grid.length - 1 && inside; i++) {
+            if (i === grid.length - 1) {
+                high = grid[i];
+                highAtBound = true;
+            } else if (deviance[i + 1] > threshold) {
+                high = crossing(i, i + 1);
+                break;
+            }
+        }
+
+        return { low: Math.min(low, estimate), high: Math.max(high, estimate), low_at_bound: lowAtBound, high_at_bound: highAtBound };
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { Calibrator };
+}
@@ -3,6 +3,49 @@
  */
 
 class ChartManager {
+    /**
+     * Charts of the simulation history (one point per month), annotated with governance timeline changes
+     */
+    static HISTORY_CHARTS = ['stocksChart', 'priceChart', 'flowsChart', 'impactChart', 'stakingChart', 'stakerYieldChart', 'revenueChart', 'unlockChart', 'treasuryValueChart', 'buybackChart'];
+
+    /**
+     * Inline Chart.js plugin drawing a dashed vertical line and label where each scheduled change
+     * applies (options.plugins.timeline.changes: simState.applied_changes)
+     */
+    static timelinePlugin = {
+        id: 'timeline',
+        afterDatasetsDraw(chart, args, options) {
+            const changes = options?.changes || [];
+            const scale = chart.scales?.x;
+            const labels = chart.data.labels || [];
+            if (changes.length === 0 || !scale || labels.length === 0) return;
+
+            // One marker per month, on the boundary before the first month the change applies to
+            const byMonth = new Map();
+            changes.forEach(change => byMonth.set(change.month, [...(byMonth.get(change.month) || []), change.label]));
+
+            const { ctx, chartArea } = chart;
+            ctx.save();
+            ctx.strokeStyle = CONFIG.CHART_COLORS.timeline;
+            ctx.fillStyle = CONFIG.CHART_COLORS.timeline;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            ctx.font = '10px sans-serif';
+            byMonth.forEach((text, month) => {
+                const index = labels.findIndex(label => label > month - 1);
+                if (index < 0) return;
+                const at = scale.getPixelForValue(index);
+                const x = index > 0 ? (at + scale.getPixelForValue(index - 1)) / 2 : at;
+                ctx.beginPath();
+                ctx.moveTo(x, chartArea.top);
+                ctx.lineTo(x, chartArea.bottom);
+                ctx.stroke();
+                ctx.fillText(`M${month}: ${text.join('; ')}`, x + 3, chartArea.top + 10);
+            });
+            ctx.restore();
+        }
+    };
+
     constructor() {
         this.charts = {};
     }
@@ -16,7 +59,7 @@ class ChartManager {
 
         // Wait for DOM to be fully ready
         if (document.readyState !== 'complete') {
-            document.addEventListener('DOMContentLoaded', () => this.createCharts());
+            window.addEventListener('load', () => this.createCharts(), { once: true });
             return;
         }
 
@@ -25,8 +68,26 @@ class ChartManager {
             stocksChart: this.getStocksChartConfig(),
             priceChart: this.getPriceChartConfig(),
             flowsChart: this.getFlowsChartConfig(),
-            impactChart: this.getImpactChartConfig()
+            impactChart: this.getImpactChartConfig(),
+            stakingChart: this.getStakingChartConfig(),
+            stakerYieldChart: this.getStakerYieldChartConfig(),
+            revenueChart: this.getRevenueChartConfig(),
+            unlockChart: this.getUnlockChartConfig(),
+            treasuryValueChart: this.getTreasuryValueChartConfig(),
+            buybackChart: this.getBuybackChartConfig(),
+            tornadoChart: this.getTornadoChartConfig(),
+            comparePriceChart: this.getOverlayChartConfig('Price (USD)'),
+            compareSupplyChart: this.getOverlayChartConfig('Tokens (M)'),
+            compareTreasuryChart: this.getOverlayChartConfig('Tokens (M)'),
+            compareRatioChart: this.getComparisonRatioChartConfig(),
+            volumePreviewChart: this.getVolumePreviewChartConfig(),
+            backtestPriceChart: this.getOverlayChartConfig('Price (USD)'),
+            backtestSupplyChart: this.getOverlayChartConfig('Circulating Supply (M)'),
+            profileChart: this.getOverlayChartConfig('Deviance')
         };
+        ChartManager.HISTORY_CHARTS.forEach(id => {
+            chartConfigs[id].plugins = [ChartManager.timelinePlugin];
+        });
         
         // Create charts with error handling
         Object.keys(chartConfigs).forEach(id => {
@@ -231,6 +292,33 @@ class ChartManager {
                         backgroundColor: CONFIG.CHART_COLORS.purchases,
                         borderColor: CONFIG.CHART_COLORS.purchases,
                         borderWidth: 1
+                    },
+                    {
+                        type: 'line',
+                        label: 'Naive Purchases (USD ÷ Price)',
+                        data: [],
+                        borderColor: CONFIG.CHART_COLORS.purchases,
+                        backgroundColor: CONFIG.CHART_COLORS.purchases + '20',
+                        borderDash: [4, 4],
+                        borderWidth: 1.5,
+                        pointRadius: 0,
+                        pointHoverRadius: 4
+                    },
+                    {
+                        label: 'Buyback to Stakers',
+                        data: [],
+                        backgroundColor: CONFIG.CHART_COLORS.buyback_distributed,
+                        borderColor: CONFIG.CHART_COLORS.buyback_distributed,
+                        borderWidth: 1,
+                        hidden: true
+                    },
+                    {
+                        label: 'Buyback to Treasury',
+                        data: [],
+                        backgroundColor: CONFIG.CHART_COLORS.buyback_held,
+                        borderColor: CONFIG.CHART_COLORS.buyback_held,
+                        borderWidth: 1,
+                        hidden: true
                     }
                 ]
             },
@@ -322,57 +410,924 @@ class ChartManager {
     }
 
     /**
-     * Update all charts with new data
+     * Staking ratio and staker APR chart configuration (dual axis)
      */
-    updateCharts(simState) {
-        console.log('📊 Updating charts with simState:', simState);
+    getStakingChartConfig() {
+        return {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Staking Ratio',
+                        data: [],
+                        borderColor: CONFIG.CHART_COLORS.staking_ratio,
+                        backgroundColor: CONFIG.CHART_COLORS.staking_ratio + '20',
+                        tension: 0.2,
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        pointHoverRadius: 4,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'Staker APR',
+                        data: [],
+                        borderColor: CONFIG.CHART_COLORS.staker_apr,
+                        backgroundColor: CONFIG.CHART_COLORS.staker_apr + '20',
+                        tension: 0.2,
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        pointHoverRadius: 4,
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    y: {
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: 'Staked / Total Supply (%)'
+                        }
+                    },
+                    y1: {
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'APR (%)'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Month'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Staker yield chart configuration (APR and trailing 12-month yield, reference position rewards on y1)
+     */
+    getStakerYieldChartConfig() {
+        const line = (label, color, dash = []) => ({
+            type: 'line',
+            label,
+            data: [],
+            borderColor: color,
+            backgroundColor: color + '20',
+            borderDash: dash,
+            tension: 0.2,
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            yAxisID: 'y',
+            order: 0
+        });
         
-        if (!simState || !simState.history) {
-            console.error('❌ No history data in simState');
-            return;
-        }
+        return {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [
+                    line('Staker APR', CONFIG.CHART_COLORS.staker_apr),
+                    line('Trailing 12M Yield', CONFIG.CHART_COLORS.staker_trailing_yield, [4, 4]),
+                    {
+                        label: `${(CONFIG.STAKER_POSITION_WOO / 1000).toFixed(0)}k WOO Position Rewards`,
+                        data: [],
+                        backgroundColor: CONFIG.CHART_COLORS.staker_position + '80',
+                        borderColor: CONFIG.CHART_COLORS.staker_position,
+                        borderWidth: 1,
+                        yAxisID: 'y1',
+                        order: 1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    y: {
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: 'Yield (%)'
+                        }
+                    },
+                    y1: {
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Rewards (USD per month)'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Month'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Revenue by stream chart configuration (stream bars are added per run, WOO X fees on y1)
+     */
+    getRevenueChartConfig() {
+        return {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        type: 'line',
+                        label: 'WOO X Fees',
+                        data: [],
+                        borderColor: CONFIG.CHART_COLORS.volume_woox,
+                        backgroundColor: CONFIG.CHART_COLORS.volume_woox + '20',
+                        tension: 0.2,
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        pointHoverRadius: 4,
+                        yAxisID: 'y1',
+                        order: 0
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    y: {
+                        stacked: true,
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: 'WOOFi Fees (USD M)'
+                        }
+                    },
+                    y1: {
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'WOO X Fees (USD M)'
+                        }
+                    },
+                    x: {
+                        stacked: true,
+                        title: {
+                            display: true,
+                            text: 'Month'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Stack one bar series per revenue stream (streams without a color take the next palette color)
+     */
+    updateRevenueChart(simState) {
+        const chart = this.charts.revenueChart;
+        if (!chart) return;
         
         const history = simState.history;
-        console.log('📊 History data:', {
-            months: history.months?.length,
-            woofi_treasury: history.woofi_treasury?.length,
-            woox_treasury: history.woox_treasury?.length,
-            circulating: history.circulating?.length,
-            staked: history.staked?.length,
-            price: history.price?.length,
-            monthlyBurned: history.monthlyBurned?.length,
-            marketPurchases: history.marketPurchases?.length,
-            permImpact: history.permImpact?.length,
-            tempImpact: history.tempImpact?.length
+        const byStream = history.woofi_fees_by_stream || {};
+        const palette = CONFIG.REVENUE_STREAMS.palette;
+        let uncolored = 0;
+        
+        chart.data.labels = [...history.months];
+        chart.data.datasets[0].data = [...history.woox_fees_generated];
+        chart.data.datasets.length = 1;
+        (simState.revenue_streams || []).forEach(stream => {
+            const color = stream.color || palette[uncolored++ % palette.length];
+            chart.data.datasets.push({
+                label: stream.label,
+                data: [...(byStream[stream.id] || [])],
+                backgroundColor: color,
+                borderColor: color,
+                borderWidth: 1,
+                stack: 'woofi',
+                yAxisID: 'y',
+                order: 1
+            });
         });
+        chart.update('none');
+    }
 
-        // Check if charts exist
-        if (!this.charts.stocksChart) {
-            console.error('❌ stocksChart not found');
-            return;
-        }
-
-        try {
-            // Update Treasury & Supply Dynamics
-            this.charts.stocksChart.data.labels = [...history.months];
-            this.charts.stocksChart.data.datasets[0].data = [...history.woofi_treasury];
-            this.charts.stocksChart.data.datasets[1].data = [...history.woox_treasury];
-            this.charts.stocksChart.data.datasets[2].data = [...history.circulating];
-            this.charts.stocksChart.data.datasets[3].data = [...history.staked];
-            this.charts.stocksChart.update('none');
-            console.log('✅ Updated stocksChart');
+    /**
+     * Unlocks vs burns chart configuration (tranche bars are added per run)
+     */
+    getUnlockChartConfig() {
+        return {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        type: 'line',
+                        label: 'Monthly Burned',
+                        data: [],
+                        borderColor: CONFIG.CHART_COLORS.burned,
+                        backgroundColor: CONFIG.CHART_COLORS.burned + '20',
+                        tension: 0.2,
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        pointHoverRadius: 4,
+                        order: 0
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    y: {
+                        stacked: true,
+                        title: {
+                            display: true,
+                            text: 'Tokens (M)'
+                        }
+                    },
+                    x: {
+                        stacked: true,
+                        title: {
+                            display: true,
+                            text: 'Month'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
 
-            // Update Price Evolution
-            this.charts.priceChart.data.labels = [...history.months];
-            this.charts.priceChart.data.datasets[0].data = [...history.price];
-            this.charts.priceChart.update('none');
-            console.log('✅ Updated priceChart');
+    /**
+     * Stack one bar series per vesting tranche under the monthly burn line
+     */
+    updateUnlockChart(simState) {
+        const chart = this.charts.unlockChart;
+        if (!chart) return;
+        
+        const history = simState.history;
+        const byTranche = history.unlocked_by_tranche || {};
+        const tranches = simState.vesting_tranches || [];
+        
+        chart.data.labels = [...history.months];
+        chart.data.datasets[0].data = [...history.monthlyBurned];
+        chart.data.datasets.length = 1;
+        tranches.forEach(tranche => {
+            chart.data.datasets.push({
+                label: `${tranche.label} Unlocks`,
+                data: [...(byTranche[tranche.id] || [])],
+                backgroundColor: tranche.color || CONFIG.CHART_COLORS.circulating,
+                borderColor: tranche.color || CONFIG.CHART_COLORS.circulating,
+                borderWidth: 1,
+                stack: 'unlocks',
+                order: 1
+            });
+        });
+        chart.update('none');
+    }
+
+    /**
+     * Treasury balance sheet chart configuration (stacked USD holdings, conversion buying on y1)
+     */
+    getTreasuryValueChartConfig() {
+        const area = (label, color) => ({
+            label,
+            data: [],
+            borderColor: color,
+            backgroundColor: color + '80',
+            fill: true,
+            tension: 0.2,
+            borderWidth: 1,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            stack: 'holdings',
+            yAxisID: 'y'
+        });
+        
+        return {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    area('WOOFi WOO', CONFIG.CHART_COLORS.woofi_treasury),
+                    area('WOOFi USDC', CONFIG.CHART_COLORS.woofi_treasury_usdc),
+                    area('WOO X WOO', CONFIG.CHART_COLORS.woox_treasury),
+                    area('WOO X USDC', CONFIG.CHART_COLORS.woox_treasury_usdc),
+                    {
+                        label: 'WOO Bought by Treasuries',
+                        data: [],
+                        borderColor: CONFIG.CHART_COLORS.treasury_conversion,
+                        backgroundColor: CONFIG.CHART_COLORS.treasury_conversion + '20',
+                        tension: 0.2,
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        pointHoverRadius: 4,
+                        yAxisID: 'y1'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    y: {
+                        position: 'left',
+                        stacked: true,
+                        title: {
+                            display: true,
+                            text: 'Treasury Value ($M)'
+                        }
+                    },
+                    y1: {
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Monthly WOO Bought ($M)'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Month'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Buyback execution chart configuration (average execution vs market price, banked reserve on y1)
+     */
+    getBuybackChartConfig() {
+        const line = (label, color, dash = []) => ({
+            type: 'line',
+            label,
+            data: [],
+            borderColor: color,
+            backgroundColor: color + '20',
+            borderDash: dash,
+            tension: 0.2,
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            yAxisID: 'y',
+            order: 0
+        });
+        
+        return {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [
+                    line('WOO Price', CONFIG.CHART_COLORS.price),
+                    line('Avg Buyback Execution Price', CONFIG.CHART_COLORS.purchases, [4, 4]),
+                    {
+                        label: 'Buyback Reserve',
+                        data: [],
+                        backgroundColor: CONFIG.CHART_COLORS.buyback_reserve + '80',
+                        borderColor: CONFIG.CHART_COLORS.buyback_reserve,
+                        borderWidth: 1,
+                        yAxisID: 'y1',
+                        order: 1
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    y: {
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: 'Price (USD)'
+                        }
+                    },
+                    y1: {
+                        position: 'right',
+                        grid: {
+                            drawOnChartArea: false
+                        },
+                        title: {
+                            display: true,
+                            text: 'Reserve ($M)'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Month'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Sensitivity tornado chart configuration (horizontal floating bars)
+     */
+    getTornadoChartConfig() {
+        return {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: []
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Output'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Draw a sensitivity result: OAT as a tornado around the base output, Morris as μ* and σ bars
+     */
+    updateTornadoChart(result, metric) {
+        const chart = this.charts.tornadoChart;
+        if (!chart) {
+            console.error('❌ tornadoChart not found');
+            return;
+        }
+
+        const ranked = SensitivityAnalyzer.rankFactors(result, metric);
+        chart.data.labels = ranked.map(factor => factor.label);
+
+        if (result.method === 'oat') {
+            const base = result.base[metric];
+            const pct = Math.round(result.delta * 100);
+            chart.data.datasets = [
+                {
+                    label: `Low input (-${pct}%)`,
+                    data: ranked.map(factor => [base, factor.outputs[metric].low]),
+                    backgroundColor: CONFIG.CHART_COLORS.sensitivity_low + 'B0',
+                    borderColor: CONFIG.CHART_COLORS.sensitivity_low,
+                    borderWidth: 1,
+                    grouped: false
+                },
+                {
+                    label: `High input (+${pct}%)`,
+                    data: ranked.map(factor => [base, factor.outputs[metric].high]),
+                    backgroundColor: CONFIG.CHART_COLORS.sensitivity_high + 'B0',
+                    borderColor: CONFIG.CHART_COLORS.sensitivity_high,
+                    borderWidth: 1,
+                    grouped: false
+                }
+            ];
+        } else {
+            chart.data.datasets = [
+                {
+                    label: 'μ* (mean |effect|)',
+                    data: ranked.map(factor => factor.outputs[metric].mu_star),
+                    backgroundColor: CONFIG.CHART_COLORS.purchases,
+                    borderWidth: 0
+                },
+                {
+                    label: 'σ (interactions / non-linearity)',
+                    data: ranked.map(factor => factor.outputs[metric].sigma),
+                    backgroundColor: CONFIG.CHART_COLORS.permanent,
+                    borderWidth: 0
+                }
+            ];
+        }
+
+        chart.options.scales.x.title.text = SensitivityAnalyzer.METRICS[metric].label.replace('Year-N', `Year ${result.year}`);
+        chart.update('none');
+    }
+
+    /**
+     * Overlay line chart configuration (datasets are filled per comparison or backtest run)
+     */
+    getOverlayChartConfig(yAxisLabel) {
+        return {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: []
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    y: {
+                        title: {
+                            display: true,
+                            text: yAxisLabel
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Month'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * V1 vs V2 annual P/R and P/V ratio chart configuration
+     */
+    getComparisonRatioChartConfig() {
+        return {
+            type: 'bar',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'V1 P/R',
+                        data: [],
+                        backgroundColor: CONFIG.CHART_COLORS.model_v1,
+                        borderWidth: 0
+                    },
+                    {
+                        label: 'V2 P/V (USD)',
+                        data: [],
+                        backgroundColor: CONFIG.CHART_COLORS.model_v2,
+                        borderWidth: 0
+                    },
+                    {
+                        label: 'V2 P/V (Market)',
+                        data: [],
+                        backgroundColor: CONFIG.CHART_COLORS.model_v2 + '80',
+                        borderWidth: 0
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Ratio (x)'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Overlay V1 (dashed) and V2 (solid) results from a ModelComparison run
+     */
+    updateComparisonCharts(result) {
+        const { v1, v2 } = result;
+        const line = (label, data, color, modelVersion) => ({
+            label,
+            data: [...data],
+            borderColor: color,
+            backgroundColor: color + '20',
+            borderDash: modelVersion === 'v1' ? [6, 4] : [],
+            tension: 0.2,
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 4
+        });
+        const lineCharts = {
+            comparePriceChart: [
+                line('V1 Price', v1.history.price, CONFIG.CHART_COLORS.model_v1, 'v1'),
+                line('V2 Price', v2.history.price, CONFIG.CHART_COLORS.model_v2, 'v2')
+            ],
+            compareSupplyChart: [
+                line('V1 Circulating', v1.history.circulating, CONFIG.CHART_COLORS.model_v1, 'v1'),
+                line('V2 Circulating', v2.history.circulating, CONFIG.CHART_COLORS.model_v2, 'v2')
+            ],
+            compareTreasuryChart: [
+                line('V1 WOOFi Treasury', v1.history.woofi_treasury, CONFIG.CHART_COLORS.woofi_treasury, 'v1'),
+                line('V2 WOOFi Treasury', v2.history.woofi_treasury, CONFIG.CHART_COLORS.woofi_treasury, 'v2'),
+                line('V1 WOO X Treasury', v1.history.woox_treasury, CONFIG.CHART_COLORS.woox_treasury, 'v1'),
+                line('V2 WOO X Treasury', v2.history.woox_treasury, CONFIG.CHART_COLORS.woox_treasury, 'v2')
+            ]
+        };
+
+        Object.entries(lineCharts).forEach(([id, datasets]) => {
+            const chart = this.charts[id];
+            if (!chart) {
+                console.error(`❌ ${id} not found`);
+                return;
+            }
+            chart.data.labels = [...result.months];
+            chart.data.datasets = datasets;
+            chart.update('none');
+        });
+
+        const ratioChart = this.charts.compareRatioChart;
+        if (ratioChart) {
+            const years = Math.max(v1.annual_pr_ratios.length, v2.annual_pv_ratios_usd.length);
+            ratioChart.data.labels = Array.from({ length: years }, (_, i) => `Year ${i + 1}`);
+            ratioChart.data.datasets[0].data = [...v1.annual_pr_ratios];
+            ratioChart.data.datasets[1].data = [...v2.annual_pv_ratios_usd];
+            ratioChart.data.datasets[2].data = [...v2.annual_pv_ratios_market];
+            ratioChart.update('none');
+        }
+    }
+
+    /**
+     * Overlay actual vs simulated series from a Backtester run
+     */
+    updateBacktestCharts(result) {
+        const line = (label, data, color, dashed) => ({
+            label,
+            data: [...data],
+            borderColor: color,
+            backgroundColor: color + '20',
+            borderDash: dashed ? [6, 4] : [],
+            tension: 0.2,
+            borderWidth: 2,
+            pointRadius: dashed ? 0 : 2,
+            pointHoverRadius: 4,
+            spanGaps: true
+        });
+        const series = {
+            backtestPriceChart: [
+                line('Actual Price', result.actual.price, CONFIG.CHART_COLORS.backtest_actual, false),
+                line('Simulated Price', result.simulated.price, CONFIG.CHART_COLORS.price, true)
+            ],
+            backtestSupplyChart: [
+                line('Actual Circulating', result.actual.circulating, CONFIG.CHART_COLORS.backtest_actual, false),
+                line('Simulated Circulating', result.simulated.circulating, CONFIG.CHART_COLORS.circulating, true)
+            ]
+        };
+
+        Object.entries(series).forEach(([id, datasets]) => {
+            const chart = this.charts[id];
+            if (!chart) {
+                console.error(`❌ ${id} not found`);
+                return;
+            }
+            chart.data.labels = [...result.labels];
+            chart.data.datasets = datasets;
+            chart.update('none');
+        });
+    }
+
+    /**
+     * Draw one parameter's profile-likelihood deviance curve with the interval cutoff
+     */
+    updateProfileChart(result, key) {
+        const chart = this.charts.profileChart;
+        const profile = result.profiles[key];
+        if (!chart || !profile) return;
+
+        const decimals = key === 'buying_pressure_decay' ? 3 : 2;
+        chart.data.labels = profile.grid.map(value => value.toFixed(decimals));
+        chart.data.datasets = [
+            {
+                label: `${result.labels[key]} deviance`,
+                data: [...profile.deviance],
+                borderColor: CONFIG.CHART_COLORS.price,
+                backgroundColor: CONFIG.CHART_COLORS.price + '20',
+                tension: 0.2,
+                borderWidth: 2,
+                pointRadius: 3,
+                pointHoverRadius: 5
+            },
+            {
+                label: `${Math.round(result.confidence * 100)}% cutoff (χ² = ${result.threshold})`,
+                data: profile.grid.map(() => result.threshold),
+                borderColor: CONFIG.CHART_COLORS.burned,
+                borderDash: [6, 4],
+                borderWidth: 1,
+                pointRadius: 0
+            }
+        ];
+        chart.options.scales.x.title.text = result.labels[key];
+        chart.update('none');
+    }
+
+    /**
+     * Volume schedule preview chart configuration
+     */
+    getVolumePreviewChartConfig() {
+        const line = (label, color) => ({
+            label,
+            data: [],
+            borderColor: color,
+            backgroundColor: color + '20',
+            tension: 0.2,
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 4
+        });
+
+        return {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    line('WOOFi Swap', CONFIG.CHART_COLORS.volume_swap),
+                    line('WOOFi Perp', CONFIG.CHART_COLORS.volume_perp),
+                    line('WOO X', CONFIG.CHART_COLORS.volume_woox)
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                scales: {
+                    y: {
+                        title: {
+                            display: true,
+                            text: 'Daily Volume ($M)'
+                        }
+                    },
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Month'
+                        }
+                    }
+                },
+                plugins: {
+                    legend: {
+                        display: true,
+                        position: 'top'
+                    }
+                }
+            }
+        };
+    }
+
+    /**
+     * Preview a volume path (USD per month) as daily volumes in $M
+     */
+    updateVolumePreview(path) {
+        const chart = this.charts.volumePreviewChart;
+        if (!chart) return;
+
+        const toDailyMillions = venue => path.map(entry => entry[venue] / 30 / 1e6);
+        chart.data.labels = path.map((_, i) => i + 1);
+        chart.data.datasets[0].data = toDailyMillions('woofi_swap');
+        chart.data.datasets[1].data = toDailyMillions('woofi_perp');
+        chart.data.datasets[2].data = toDailyMillions('woox');
+        chart.update('none');
+    }
+
+    /**
+     * Update all charts with new data
+     */
+    updateCharts(simState) {
+        console.log('📊 Updating charts with simState:', simState);
+        
+        if (!simState || !simState.history) {
+            console.error('❌ No history data in simState');
+            return;
+        }
+        
+        const history = simState.history;
+        console.log('📊 History data:', {
+            months: history.months?.length,
+            woofi_treasury: history.woofi_treasury?.length,
+            woox_treasury: history.woox_treasury?.length,
+            circulating: history.circulating?.length,
+            staked: history.staked?.length,
+            price: history.price?.length,
+            monthlyBurned: history.monthlyBurned?.length,
+            marketPurchases: history.marketPurchases?.length,
+            permImpact: history.permImpact?.length,
+            tempImpact: history.tempImpact?.length
+        });
+
+        // Check if charts exist
+        if (!this.charts.stocksChart) {
+            console.error('❌ stocksChart not found');
+            return;
+        }
+
+        try {
+            // Governance timeline markers (drawn on the next update of each chart)
+            ChartManager.HISTORY_CHARTS.forEach(id => {
+                const chart = this.charts[id];
+                if (chart) chart.options.plugins.timeline = { changes: simState.applied_changes || [] };
+            });
+            
+            // Update Treasury & Supply Dynamics
+            this.charts.stocksChart.data.labels = [...history.months];
+            this.charts.stocksChart.data.datasets[0].data = [...history.woofi_treasury];
+            this.charts.stocksChart.data.datasets[1].data = [...history.woox_treasury];
+            this.charts.stocksChart.data.datasets[2].data = [...history.circulating];
+            this.charts.stocksChart.data.datasets[3].data = [...history.staked];
+            this.charts.stocksChart.update('none');
+            console.log('✅ Updated stocksChart');
+
+            // Update Price Evolution
+            this.charts.priceChart.data.labels = [...history.months];
+            this.charts.priceChart.data.datasets[0].data = [...history.price];
+            this.charts.priceChart.update('none');
+            console.log('✅ Updated priceChart');
 
             // Update Monthly Token Flows
             this.charts.flowsChart.data.labels = [...history.months];
             this.charts.flowsChart.data.datasets[0].data = [...history.monthlyBurned];
             this.charts.flowsChart.data.datasets[1].data = [...history.marketPurchases];
             this.charts.flowsChart.data.datasets[1].label = 'Market Purchases';
+            this.charts.flowsChart.data.datasets[2].data = [...history.naive_purchases];
+            // Buyback destinations other than burning (hidden while every buyback is burned)
+            [[3, history.buyback_distributed], [4, history.buyback_held]].forEach(([index, series]) => {
+                const dataset = this.charts.flowsChart.data.datasets[index];
+                dataset.data = [...series];
+                dataset.hidden = !series.some(value => value > 0);
+            });
             this.charts.flowsChart.update('none');
             console.log('✅ Updated flowsChart');
 
@@ -383,11 +1338,102 @@ class ChartManager {
             this.charts.impactChart.update('none');
             console.log('✅ Updated impactChart');
             
+            // Update Staking Ratio & APR
+            if (this.charts.stakingChart) {
+                this.charts.stakingChart.data.labels = [...history.months];
+                this.charts.stakingChart.data.datasets[0].data = [...history.staking_ratio];
+                this.charts.stakingChart.data.datasets[1].data = [...history.staker_apr];
+                this.charts.stakingChart.update('none');
+            }
+            
+            // Update Staker Yield
+            if (this.charts.stakerYieldChart) {
+                const chart = this.charts.stakerYieldChart;
+                chart.data.labels = [...history.months];
+                chart.data.datasets[0].data = [...history.staker_apr];
+                chart.data.datasets[1].data = [...history.staker_trailing_yield];
+                chart.data.datasets[2].data = [...history.staker_position_usd];
+                chart.update('none');
+            }
+            
+            // Update Revenue by Stream
+            this.updateRevenueChart(simState);
+            
+            // Update Unlocks vs Burns
+            this.updateUnlockChart(simState);
+            
+            // Update Treasury Balance Sheet (WOO value = holdings value minus USDC)
+            if (this.charts.treasuryValueChart) {
+                const chart = this.charts.treasuryValueChart;
+                const wooValue = (values, usdc) => values.map((value, i) => value - usdc[i]);
+                chart.data.labels = [...history.months];
+                chart.data.datasets[0].data = wooValue(history.woofi_treasury_value_usd, history.woofi_treasury_usdc);
+                chart.data.datasets[1].data = [...history.woofi_treasury_usdc];
+                chart.data.datasets[2].data = wooValue(history.woox_treasury_value_usd, history.woox_treasury_usdc);
+                chart.data.datasets[3].data = [...history.woox_treasury_usdc];
+                chart.data.datasets[4].data = [...history.treasury_conversion_usd];
+                chart.update('none');
+            }
+            
+            // Update Buyback Execution (no buybacks until the first fill)
+            if (this.charts.buybackChart) {
+                const chart = this.charts.buybackChart;
+                chart.data.labels = [...history.months];
+                chart.data.datasets[0].data = [...history.price];
+                chart.data.datasets[1].data = history.buyback_avg_price.map(value => value > 0 ? value : null);
+                chart.data.datasets[2].data = [...history.buyback_reserve];
+                chart.update('none');
+            }
+            
         } catch (error) {
             console.error('❌ Error updating charts:', error);
         }
     }
 
+    /**
+     * Draw Monte Carlo percentile bands (fan) on the price chart
+     */
+    updateFanChart(result) {
+        const chart = this.charts.priceChart;
+        if (!chart) {
+            console.error('❌ priceChart not found');
+            return;
+        }
+
+        const [low, mid, high] = result.percentiles.map(pct => result.bands.price[`p${pct}`]);
+        const [lowPct, midPct, highPct] = result.percentiles;
+        const bandStyle = {
+            borderColor: CONFIG.CHART_COLORS.price + '60',
+            borderWidth: 1,
+            borderDash: [4, 4],
+            pointRadius: 0,
+            tension: 0.2
+        };
+
+        // Keep the deterministic run as dataset 0, replace any previous fan
+        this.clearFanChart(false);
+        chart.data.labels = [...result.months];
+        chart.data.datasets.push(
+            { label: `P${highPct}`, data: [...high], ...bandStyle, fill: false },
+            { label: `P${lowPct}–P${highPct} band`, data: [...low], ...bandStyle, backgroundColor: CONFIG.CHART_COLORS.price + '25', fill: '-1' },
+            { label: `P${midPct} (median)`, data: [...mid], borderColor: CONFIG.CHART_COLORS.price, borderWidth: 2, pointRadius: 0, tension: 0.2, fill: false }
+        );
+        chart.data.datasets[0].fill = false;
+        chart.update('none');
+    }
+
+    /**
+     * Remove Monte Carlo bands from the price chart
+     */
+    clearFanChart(redraw = true) {
+        const chart = this.charts.priceChart;
+        if (!chart) return;
+
+        chart.data.datasets.length = 1;
+        chart.data.datasets[0].fill = true;
+        if (redraw) chart.update('none');
+    }
+
     /**
      * Destroy all charts
      */
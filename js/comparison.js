@@ -0,0 +1,85 @@
+/**
+ * Side-by-side V1 vs V2 comparison for WOO tokenomics simulation
+ */
+
+// Headless usage: load the engine that the browser gets from simulation.js
+if (typeof WOOSimulation === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'), require('./simulation.js'));
+}
+
+class ModelComparison {
+    /**
+     * End-of-run metrics compared in the delta table (history series, values in millions except price)
+     */
+    static METRICS = [
+        { key: 'price', label: 'WOO Price', unit: 'usd' },
+        { key: 'circulating', label: 'Circulating Supply', unit: 'tokens' },
+        { key: 'staked', label: 'Total Staked', unit: 'tokens' },
+        { key: 'woofi_treasury', label: 'WOOFi Treasury', unit: 'tokens' },
+        { key: 'woox_treasury', label: 'WOO X Treasury', unit: 'tokens' },
+        { key: 'cumulative_burned', label: 'Cumulative Burned', unit: 'tokens' }
+    ];
+
+    /**
+     * Run one model to completion with the shared inputs
+     */
+    runModel(params, modelVersion) {
+        const simulation = new WOOSimulation({ verbose: false });
+        simulation.initializeWithParams(params, modelVersion);
+        simulation.runToCompletion();
+        return simulation.getState();
+    }
+
+    /**
+     * Run V1 and V2 with the same parameters and compute end-of-run and annual deltas
+     */
+    run(params = {}) {
+        const sharedParams = { ...DEFAULT_PARAMS, ...params };
+        const v1 = this.runModel(sharedParams, 'v1');
+        const v2 = this.runModel(sharedParams, 'v2');
+
+        const last = series => series.length ? series[series.length - 1] : null;
+        const deltaRow = (label, unit, v1Value, v2Value) => {
+            const hasBoth = v1Value !== null && v1Value !== undefined && v2Value !== null && v2Value !== undefined;
+            return {
+                label,
+                unit,
+                v1: v1Value ?? null,
+                v2: v2Value ?? null,
+                delta: hasBoth ? v2Value - v1Value : null,
+                delta_pct: hasBoth && v1Value !== 0 ? (v2Value - v1Value) / Math.abs(v1Value) * 100 : null
+            };
+        };
+
+        const deltas = ModelComparison.METRICS.map(metric =>
+            deltaRow(metric.label, metric.unit, last(v1.history[metric.key]), last(v2.history[metric.key])));
+
+        // Annual value ratios: V1 P/R against V2 P/V (USD spent)
+        const years = Math.floor(sharedParams.simulation_months / 12);
+        for (let year = 1; year <= years; year++) {
+            deltas.push(deltaRow(`Year ${year} P/R (V1) vs P/V (V2)`, 'ratio',
+                v1.annual_pr_ratios?.[year - 1], v2.annual_pv_ratios_usd?.[year - 1]));
+        }
+
+        return {
+            months: v2.history.months.length >= v1.history.months.length ? [...v2.history.months] : [...v1.history.months],
+            v1: {
+                history: v1.history,
+                months_run: v1.history.months.length,
+                annual_pr_ratios: [...(v1.annual_pr_ratios || [])]
+            },
+            v2: {
+                history: v2.history,
+                months_run: v2.history.months.length,
+                annual_pv_ratios_usd: [...(v2.annual_pv_ratios_usd || [])],
+                annual_pv_ratios_market: [...(v2.annual_pv_ratios_market || [])]
+            },
+            deltas
+        };
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelComparison };
+}
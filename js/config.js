@@ -47,6 +47,169 @@ const CONFIG = {
         woox_staker_bps_reward: 0.00001 // V1: Fixed 0.1 bps to stakers
     },
     
+    // Monte Carlo defaults (volatility and drift are per month)
+    MONTE_CARLO: {
+        paths: 200,
+        seed: 42,
+        distribution: 'gbm', // 'lognormal' | 'gbm' | 'regime'
+        volatility: 0.25,
+        drift: 0.0,
+        correlation: 0.7, // Share of each venue's shock that is common market movement
+        regime: {
+            bull_multiplier: 1.4,
+            bear_multiplier: 0.6,
+            switch_probability: 0.1 // Chance per month of flipping regime
+        },
+        percentiles: [5, 50, 95]
+    },
+    
+    // Sensitivity analysis factors (ranges mirror the UI sliders, in DEFAULT_PARAMS units)
+    SENSITIVITY: {
+        factors: {
+            supply_elasticity: { label: 'Supply Elasticity', min: 1, max: 20 },
+            buying_pressure_elasticity: { label: 'Buy Pressure Elasticity', min: 0.1, max: 5 },
+            buying_pressure_decay: { label: 'Buy Pressure Decay', min: 0.01, max: 0.5 },
+            buyback_burn_share: { label: 'Buyback & Burn Share', min: 0, max: 1 },
+            affiliate_share: { label: 'Affiliate Cut', min: 0, max: 0.8 },
+            daily_woofi_swap_volume: { label: 'WOOFi Swap Volume', min: 10_000_000, max: 150_000_000 },
+            daily_woofi_perp_volume: { label: 'WOOFi Perp Volume', min: 5_000_000, max: 100_000_000 },
+            daily_woox_volume: { label: 'WOO X Volume', min: 100_000_000, max: 1_000_000_000 }
+        },
+        oat_delta: 0.2, // One-at-a-time: ±20% around the current value
+        morris_trajectories: 20,
+        morris_levels: 4,
+        seed: 42
+    },
+    
+    // Elasticity calibration against imported price history (bounds mirror the UI sliders)
+    CALIBRATION: {
+        parameters: {
+            supply_elasticity: { label: 'Supply Elasticity', min: 1, max: 20 },
+            buying_pressure_elasticity: { label: 'Buy Pressure Elasticity', min: 0.1, max: 5 },
+            buying_pressure_decay: { label: 'Buy Pressure Decay', min: 0.01, max: 0.5 }
+        },
+        max_iterations: 300,
+        profile_iterations: 80, // Inner Nelder-Mead budget per profile point
+        tolerance: 1e-10,
+        profile_points: 15,
+        confidence: 0.95
+    },
+    
+    // Fee split goal-seek (shares move in whole percents, like the sliders)
+    GOAL_SEEK: {
+        coarse_step: 5, // Grid step (%) when all three shares are free
+        refine_radius: 5, // Refinement window (%) around the best coarse split
+        equality_tolerance: 0.01 // '=' targets count as met within 1%
+    },
+    
+    // Agent-based approach ([low, high] ranges are sampled uniformly per agent)
+    AGENT_BASED: {
+        seed: 7,
+        max_sell_impact: 0.5, // Cap on one month's temporary price drop from agent selling
+        stakers: {
+            count: 200,
+            size_alpha: 1.5, // Pareto tail of stake sizes (lower = more concentrated)
+            required_apr: [0.01, 0.06], // Unstake when trailing APR falls below this
+            restake_margin: 0.25, // Restake once APR clears the requirement by this margin
+            unstake_rate: 0.1, // Share of stake withdrawn per month below the requirement
+            restake_rate: 0.2, // Share of liquid WOO restaked per month above it
+            stop_loss: [0.15, 0.5], // Sell liquid WOO after this drawdown from entry
+            take_profit: [0.3, 1.5], // ...or after this gain
+            sell_rate: 0.25 // Share of liquid WOO sold when a rule triggers
+        },
+        traders: {
+            count: 120,
+            size_alpha: 1.2,
+            momentum: [-0.5, 2], // Activity change per unit of last month's price return
+            noise: 0.1 // Monthly activity noise (standard deviation)
+        },
+        lps: {
+            count: 20,
+            size_alpha: 1.5,
+            tolerance: [0.1, 0.4], // Volume-per-liquidity band LPs accept before moving capital
+            adjust_rate: 0.1 // Share of capital added or withdrawn per month
+        },
+        treasury: {
+            sell_rate: 0.02, // Share of each treasury sold per month when price is above trend
+            lookback: 3 // Months in the trailing average price
+        }
+    },
+    
+    // Token unlocks: default tranches for the 300M locked gap between total and circulating supply
+    // (illustrative sizes and terms; months count from the simulation start)
+    VESTING: {
+        tranches: [
+            { id: 'team', label: 'Team', amount: 120_000_000, cliff_months: 12, duration_months: 24, release: 'linear', sell_through: 0.3, color: '#1e40af' },
+            { id: 'investors', label: 'Investors', amount: 90_000_000, cliff_months: 6, duration_months: 18, release: 'linear', sell_through: 0.5, color: '#8b5cf6' },
+            { id: 'ecosystem', label: 'Ecosystem', amount: 60_000_000, cliff_months: 0, duration_months: 36, release: 'stepped', step_months: 3, sell_through: 0.2, color: '#0d9488' },
+            { id: 'treasury', label: 'Treasury', amount: 30_000_000, cliff_months: 0, duration_months: 24, release: 'linear', sell_through: 0, to_treasury: true, color: '#f59e0b' }
+        ]
+    },
+    
+    // WOOFi revenue streams: default chain/product split of the WOOFi swap and perp volumes
+    // (illustrative shares of the default volumes; fee_rate and affiliate_share fall back to the
+    // product's fee rate and, for perps, the affiliate cut)
+    REVENUE_STREAMS: {
+        products: ['swap', 'perp'],
+        streams: [
+            { id: 'arbitrum_swap', label: 'Arbitrum Swap', product: 'swap', daily_volume: 17_000_000, color: '#3b82f6' },
+            { id: 'bsc_swap', label: 'BNB Chain Swap', product: 'swap', daily_volume: 14_000_000, color: '#eab308' },
+            { id: 'base_swap', label: 'Base Swap', product: 'swap', daily_volume: 9_400_000, color: '#6366f1' },
+            { id: 'other_swap', label: 'Other Chains Swap', product: 'swap', daily_volume: 9_000_000, color: '#94a3b8' },
+            { id: 'perps', label: 'WOOFi Pro Perps', product: 'perp', daily_volume: 11_300_000, color: '#f59e0b' }
+        ],
+        // Chart colors for streams without one, in order
+        palette: ['#ec4899', '#14b8a6', '#a855f7', '#84cc16', '#f97316', '#64748b']
+    },
+    
+    // Fee schedules per product (illustrative): maker/taker rates, maker rebates and VIP tier discounts,
+    // netted into one effective rate by the maker share and each tier's share of volume (see FeeSchedule.effectiveRate)
+    FEE_SCHEDULES: {
+        woofi_swap: {
+            label: 'WOOFi Swap',
+            maker_rate: 0.00025, taker_rate: 0.00025, maker_rebate: 0, maker_share: 0, // Swaps are all taker flow
+            vip_tiers: [
+                { id: 'regular', label: 'All Traders', discount: 0, volume_share: 1 }
+            ]
+        },
+        woofi_perp: {
+            label: 'WOOFi Perp',
+            maker_rate: 0.0002, taker_rate: 0.0005, maker_rebate: 0, maker_share: 0.3,
+            vip_tiers: [
+                { id: 'regular', label: 'Regular', discount: 0, volume_share: 0.6 },
+                { id: 'vip', label: 'VIP', discount: 0.2, volume_share: 0.4 }
+            ]
+        },
+        woox: {
+            label: 'WOO X',
+            maker_rate: 0, taker_rate: 0.0003, maker_rebate: 0.00005, maker_share: 0.6,
+            vip_tiers: [
+                { id: 'regular', label: 'Regular', discount: 0, volume_share: 0.3 },
+                { id: 'vip', label: 'VIP', discount: 0.25, volume_share: 0.5 },
+                { id: 'institutional', label: 'Institutional', discount: 0.5, volume_share: 0.2 }
+            ]
+        }
+    },
+    
+    // Scenario library persistence
+    SCENARIOS: {
+        storage_key: 'woo-tokenomics-scenarios',
+        version: 1
+    },
+    
+    // Buyback execution strategies by control index: instant spends each month's budget at once,
+    // twap splits it into buyback_twap_slices orders, below_ma only buys when the price is under its
+    // buyback_ma_months average and capped spends at most buyback_monthly_cap_usd (both bank the rest)
+    BUYBACK_STRATEGIES: ['instant', 'twap', 'below_ma', 'capped'],
+    
+    // Simulation timesteps by control index; each month runs STEPS_PER_MONTH steps
+    // (weekly steps are quarter months of 7.5 days, daily steps are 1/30 month)
+    TIMESTEPS: ['monthly', 'weekly', 'daily'],
+    STEPS_PER_MONTH: { monthly: 1, weekly: 4, daily: 30 },
+    
+    // Reference staking position (WOO) for the per-position staker yield metric
+    STAKER_POSITION_WOO: 10_000,
+    
     // Chart colors - Corporate palette
     CHART_COLORS: {
         woofi_treasury: '#1e40af',
@@ -57,7 +220,26 @@ const CONFIG = {
         burned: '#dc2626',
         purchases: '#3b82f6',
         permanent: '#f59e0b',
-        temporary: '#06b6d4'
+        temporary: '#06b6d4',
+        sensitivity_low: '#dc2626',
+        sensitivity_high: '#059669',
+        model_v1: '#f59e0b',
+        model_v2: '#8b5cf6',
+        volume_swap: '#3b82f6',
+        volume_perp: '#f59e0b',
+        volume_woox: '#0d9488',
+        backtest_actual: '#1f2937',
+        staking_ratio: '#059669',
+        staker_apr: '#f59e0b',
+        staker_trailing_yield: '#b45309',
+        staker_position: '#10b981',
+        woofi_treasury_usdc: '#93c5fd',
+        woox_treasury_usdc: '#a5f3fc',
+        treasury_conversion: '#f59e0b',
+        buyback_reserve: '#94a3b8',
+        buyback_distributed: '#34d399',
+        buyback_held: '#60a5fa',
+        timeline: '#6b7280'
     }
 };
 
@@ -72,8 +254,13 @@ const DEFAULT_VALUES = {
     supplyElasticity: 10.0,
     buyingPressureElasticity: 1.5,
     buyingPressureDecay: 15,
+    priceModel: 0,                  // Index into LiquidityModel.MODELS (0 = linear elasticity)
+    ammLiquidity: 10,               // AMM pool USDC reserve ($M)
+    orderbookDepth: 1,              // Order book depth within 2% of mid ($M per side)
+    orderbookDepthExponent: 1,      // Depth curve shape (1 = linear in price move)
     circulatingSupply: 1909.2,
     simulationDuration: 36,
+    timestep: 0,                    // Index into CONFIG.TIMESTEPS (0 = monthly)
     // Initial state configurations (from data sources)
     initialStaked: 629.5,           // From Dune WOO Staking Dashboard
     initialWoofiTreasury: 41.8,     // From woo.org/token
@@ -87,9 +274,140 @@ const DEFAULT_VALUES = {
     buybackBurnShare: 50,           // V2: 50% to buyback & burn
     stakerShare: 30,                // V2: 30% to stakers (USDC only)
     treasuryShare: 20,              // V2: 20% to treasury
-    wooxStakerBps: 0.1              // V2: 0.1 bps to stakers (0.001%)
+    wooxStakerBps: 0.1,             // V2: 0.1 bps to stakers (0.001%)
+    buybackStrategy: 0,             // V2: Index into CONFIG.BUYBACK_STRATEGIES (0 = spend instantly)
+    buybackMaMonths: 3,             // V2: Moving-average window for the below-average strategy
+    buybackMonthlyCap: 0.5,         // V2: Spending cap for the capped strategy ($M per month)
+    buybackDestBurn: 100,           // V2: Share of bought-back WOO burned (%)
+    buybackDestStakers: 0,          // V2: Share distributed to stakers pro rata (%)
+    buybackDestTreasury: 0,         // V2: Share held by the WOOFi treasury (%)
+    
+    // Hybrid specific parameters (also uses the V1 auto-compound rate and the V2 splits)
+    treasuryMatchRate: 0,           // Hybrid: WOOFi treasury burns matching auto-compound purchases (%)
+    
+    // Staking demand (0% sensitivity keeps staked WOO fixed)
+    stakingFlowRate: 0,             // Monthly stake/unstake (% of staked) per 100% APR gap
+    opportunityYield: 5,            // Annual yield stakers could earn elsewhere (%)
+    unstakeCooldown: 1,             // Months before unstaked WOO is liquid again
+    
+    // Treasury spending ($M per month, funded by selling treasury WOO)
+    treasuryOpex: 0,
+    treasuryGrants: 0,
+    treasuryMarketMaking: 0,
+    treasuryIncentives: 0,
+    treasurySpendWoofiShare: 50,    // Share of spending drawn from the WOOFi treasury (%), rest from WOO X
+    
+    // Treasury asset policy: target WOO share of each treasury's value (100 = convert inflows to WOO, 0 = hold USDC)
+    woofiTreasuryWooShare: 100,
+    wooxTreasuryWooShare: 100
+};
+
+// Default engine parameters for headless runs (WOOSimulation.initializeWithParams).
+// Units: volumes in USD per day, rates and shares as decimals, balances in raw tokens.
+const DEFAULT_PARAMS = {
+    simulation_months: DEFAULT_VALUES.simulationDuration,
+    timestep: 'monthly', // 'monthly' | 'weekly' | 'daily' (history stays monthly, see CONFIG.TIMESTEPS)
+    daily_woofi_swap_volume: DEFAULT_VALUES.woofiSwapVolume * 1_000_000,
+    daily_woofi_perp_volume: DEFAULT_VALUES.woofiPerpVolume * 1_000_000,
+    daily_woox_volume: DEFAULT_VALUES.wooxVolume * 1_000_000,
+    volume_path: null, // Optional per-month volumes [{ woofi_swap, woofi_perp, woox }] in USD/month
+    volume_schedule: null, // Optional growth/seasonality/steps/series (see VolumeSchedule.build)
+    vesting_schedule: null, // Optional { tranches: [...] } token unlocks (see VestingSchedule.build); null = nothing unlocks
+    fee_schedule: null, // Optional { woofi_swap, woofi_perp, woox } maker/taker fee schedules (see FeeSchedule.rates); null = flat fee rates
+    revenue_streams: null, // Optional [{ id, product, daily_volume, fee_rate, affiliate_share, schedule }] WOOFi streams (see RevenueStreams.build); null = one swap and one perp stream
+    parameter_schedule: null, // Optional [{ month, model, params, label }] changes applied mid-run (see WOOSimulation.normalizeSchedule)
+    woofi_fee_rate: DEFAULT_VALUES.woofiTradingFeeRate / 100 / 100, // Same conversion as the woofiTradingFeeRate control
+    affiliate_share: DEFAULT_VALUES.affiliateCut / 100,
+    
+    // V1 specific parameters
+    auto_compound_adoption_rate: DEFAULT_VALUES.autoCompoundRate / 100,
+    
+    // V2 specific parameters
+    buyback_burn_share: DEFAULT_VALUES.buybackBurnShare / 100,
+    staker_share: DEFAULT_VALUES.stakerShare / 100,
+    treasury_share: DEFAULT_VALUES.treasuryShare / 100,
+    woox_staker_bps: DEFAULT_VALUES.wooxStakerBps / 10000, // 0.1 bps -> 0.00001
+    
+    // Buyback execution strategy (see CONFIG.BUYBACK_STRATEGIES); unspent budget is banked in a USD reserve
+    buyback_strategy: 'instant',
+    buyback_twap_slices: 30, // TWAP orders per month (daily)
+    buyback_ma_months: DEFAULT_VALUES.buybackMaMonths,
+    buyback_monthly_cap_usd: DEFAULT_VALUES.buybackMonthlyCap * 1_000_000,
+    
+    // Buyback destination: shares of bought-back WOO burned, distributed to stakers (staked pro rata)
+    // and held by the WOOFi treasury (normalized to sum to 1)
+    buyback_dest_burn: DEFAULT_VALUES.buybackDestBurn / 100,
+    buyback_dest_stakers: DEFAULT_VALUES.buybackDestStakers / 100,
+    buyback_dest_treasury: DEFAULT_VALUES.buybackDestTreasury / 100,
+    
+    // Staking demand: net flow = sensitivity × (APR / opportunity yield - 1), capped per month
+    staking_flow_sensitivity: DEFAULT_VALUES.stakingFlowRate / 100,
+    opportunity_yield: DEFAULT_VALUES.opportunityYield / 100,
+    unstake_cooldown_months: DEFAULT_VALUES.unstakeCooldown,
+    max_staking_flow: 0.1, // At most 10% of staked WOO moves in one month
+    
+    // Treasury spending policies (USD per month); each month's spend is sold from the treasuries
+    treasury_spending: {
+        opex: DEFAULT_VALUES.treasuryOpex * 1_000_000,
+        grants: DEFAULT_VALUES.treasuryGrants * 1_000_000,
+        market_making: DEFAULT_VALUES.treasuryMarketMaking * 1_000_000,
+        liquidity_incentives: DEFAULT_VALUES.treasuryIncentives * 1_000_000
+    },
+    treasury_spend_woofi_share: DEFAULT_VALUES.treasurySpendWoofiShare / 100, // Shortfalls are covered by the other treasury
+    
+    // Treasury asset policy: USD inflows are steered toward this WOO share of treasury value, the rest held as USDC
+    woofi_treasury_woo_share: DEFAULT_VALUES.woofiTreasuryWooShare / 100,
+    woox_treasury_woo_share: DEFAULT_VALUES.wooxTreasuryWooShare / 100,
+    
+    // Price impact model
+    supply_elasticity: DEFAULT_VALUES.supplyElasticity,
+    buying_pressure_elasticity: DEFAULT_VALUES.buyingPressureElasticity,
+    buying_pressure_decay: DEFAULT_VALUES.buyingPressureDecay / 100, // Per month
+    
+    // Price model for market purchases and the temporary impact: 'elasticity' | 'amm' | 'orderbook'
+    price_model: 'elasticity',
+    amm_liquidity_usd: DEFAULT_VALUES.ammLiquidity * 1_000_000, // USDC side of the constant-product pool
+    orderbook_depth_usd: DEFAULT_VALUES.orderbookDepth * 1_000_000, // Cumulative depth within 2% of mid
+    orderbook_depth_exponent: DEFAULT_VALUES.orderbookDepthExponent,
+    
+    // Initial state
+    initial_price: CONFIG.INITIAL_STATE.woo_price,
+    initial_circulating_supply: DEFAULT_VALUES.circulatingSupply * 1_000_000,
+    initial_staked: DEFAULT_VALUES.initialStaked * 1_000_000,
+    initial_woofi_treasury: DEFAULT_VALUES.initialWoofiTreasury * 1_000_000,
+    initial_woox_treasury: DEFAULT_VALUES.initialWooxTreasury * 1_000_000,
+    initial_woofi_treasury_usdc: 0, // USDC already held (USD)
+    initial_woox_treasury_usdc: 0
 };
 
+// Built-in scenario presets (V2 fee splits from V2-CHANGES.md); parameters override DEFAULT_VALUES
+const SCENARIO_PRESETS = [
+    {
+        id: 'preset-high-burn',
+        name: 'High burn',
+        tag: 'preset',
+        description: 'V2 split weighted to buyback & burn: 70% burn, 20% stakers, 10% treasury',
+        model: 'v2',
+        parameters: { buybackBurnShare: 70, stakerShare: 20, treasuryShare: 10 }
+    },
+    {
+        id: 'preset-staker-focused',
+        name: 'Staker-focused',
+        tag: 'preset',
+        description: 'V2 split weighted to USDC staker rewards: 30% burn, 60% stakers, 10% treasury',
+        model: 'v2',
+        parameters: { buybackBurnShare: 30, stakerShare: 60, treasuryShare: 10 }
+    },
+    {
+        id: 'preset-treasury-building',
+        name: 'Treasury building',
+        tag: 'preset',
+        description: 'V2 split weighted to treasury accumulation: 30% burn, 30% stakers, 40% treasury',
+        model: 'v2',
+        parameters: { buybackBurnShare: 30, stakerShare: 30, treasuryShare: 40 }
+    }
+];
+
 // Simulation duration options
 const DURATION_OPTIONS = [
     { value: 12, label: '12 Months' },
@@ -97,4 +415,9 @@ const DURATION_OPTIONS = [
     { value: 36, label: '36 Months' },
     { value: 48, label: '48 Months' },
     { value: 60, label: '60 Months' }
-];
\ No newline at end of file
+];
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONFIG, DEFAULT_VALUES, DEFAULT_PARAMS, SCENARIO_PRESETS, DURATION_OPTIONS };
+}
@@ -0,0 +1,89 @@
+/**
+ * Per-product fee schedules (maker/taker, rebates, VIP tiers) for WOO tokenomics simulation
+ */
+
+// Headless usage: load the shared constants that the browser gets from config.js
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'));
+}
+
+class FeeSchedule {
+    static PRODUCTS = ['woofi_swap', 'woofi_perp', 'woox'];
+
+    /**
+     * Engine param each product's net fee rate is stored under
+     */
+    static RATE_PARAMS = {
+        woofi_swap: 'woofi_swap_fee_rate',
+        woofi_perp: 'woofi_perp_fee_rate',
+        woox: 'woox_total_fee_rate'
+    };
+
+    /**
+     * Schedules from `params.fee_schedule` by product, each filled in from its CONFIG.FEE_SCHEDULES
+     * default; tiers with a default id only need the fields they change (products left out keep
+     * their flat rate)
+     */
+    static schedules(params) {
+        const schedule = params.fee_schedule;
+        if (!schedule) return {};
+
+        return Object.fromEntries(FeeSchedule.PRODUCTS.filter(product => schedule[product]).map(product => {
+            const defaults = CONFIG.FEE_SCHEDULES[product];
+            const merged = { ...defaults, ...schedule[product] };
+            merged.vip_tiers = (schedule[product].vip_tiers || defaults.vip_tiers).map(tier => ({
+                discount: 0,
+                volume_share: 0,
+                ...defaults.vip_tiers.find(entry => entry.id === tier.id),
+                ...tier
+            }));
+            return [product, merged];
+        }));
+    }
+
+    /**
+     * Effective net fee rate on a product's volume (decimal, floored at 0)
+     *
+     * Schedule fields:
+     * - maker_rate, taker_rate: fees on maker and taker volume (decimals, 0.0003 = 3 bps)
+     * - maker_rebate: paid back on maker volume (decimal, not discounted)
+     * - maker_share: share of volume that is maker flow (0-1)
+     * - vip_tiers: [{ id, label, discount, volume_share }] - fee discount (0-1) and share of volume
+     *   per tier; shares are scaled to sum to 1 (no discount when every share is 0)
+     */
+    static effectiveRate(schedule) {
+        const tiers = schedule.vip_tiers || [];
+        const totalShare = tiers.reduce((sum, tier) => sum + Math.max(0, tier.volume_share), 0);
+        const discount = totalShare > 0
+            ? tiers.reduce((sum, tier) => sum + Math.max(0, tier.volume_share) * Math.min(1, Math.max(0, tier.discount)), 0) / totalShare
+            : 0;
+
+        const maker_share = Math.min(1, Math.max(0, schedule.maker_share));
+        const maker_net = schedule.maker_rate * (1 - discount) - schedule.maker_rebate;
+        const taker_net = schedule.taker_rate * (1 - discount);
+        return Math.max(0, maker_share * maker_net + (1 - maker_share) * taker_net);
+    }
+
+    /**
+     * Net fee rate per product in engine params (woofi_swap_fee_rate, woofi_perp_fee_rate, woox_total_fee_rate):
+     * scheduled products use their effective rate, the rest the WOOFi fee rate or the fixed WOO X rate
+     */
+    static rates(params) {
+        const schedules = FeeSchedule.schedules(params);
+        const flat = {
+            woofi_swap: params.woofi_fee_rate,
+            woofi_perp: params.woofi_fee_rate,
+            woox: CONFIG.FIXED_PARAMS.woox_total_fee_rate
+        };
+
+        return Object.fromEntries(FeeSchedule.PRODUCTS.map(product => [
+            FeeSchedule.RATE_PARAMS[product],
+            schedules[product] ? FeeSchedule.effectiveRate(schedules[product]) : flat[product]
+        ]));
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { FeeSchedule };
+}
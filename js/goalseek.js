@@ -0,0 +1,184 @@
+/**
+ * Goal-seek solver for the V2 fee split
+ */
+
+// Headless usage: load the engine that the browser gets from simulation.js
+if (typeof WOOSimulation === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'), require('./simulation.js'));
+}
+
+class GoalSeeker {
+    static SHARES = ['buyback_burn_share', 'staker_share', 'treasury_share'];
+
+    /**
+     * Metrics that targets and constraints can refer to.
+     * History series are read at a month (values in millions except price); annual ratios at a year.
+     */
+    static METRICS = {
+        circulating: { label: 'Circulating Supply (M)', source: 'history', period: 'month' },
+        price: { label: 'WOO Price (USD)', source: 'history', period: 'month' },
+        cumulative_burned: { label: 'Cumulative Burned (M)', source: 'history', period: 'month' },
+        staked: { label: 'Total Staked (M)', source: 'history', period: 'month' },
+        woofi_treasury: { label: 'WOOFi Treasury (M)', source: 'history', period: 'month' },
+        woox_treasury: { label: 'WOO X Treasury (M)', source: 'history', period: 'month' },
+        annual_pv_ratios_usd: { label: 'P/V Ratio (USD Spent)', source: 'annual', period: 'year' },
+        annual_pv_ratios_market: { label: 'P/V Ratio (Market Value)', source: 'annual', period: 'year' }
+    };
+
+    /**
+     * Read a metric from a finished simulation state ({ metric, period }; period defaults to the last month/year)
+     */
+    static metricValue(state, spec) {
+        const metric = GoalSeeker.METRICS[spec.metric];
+        if (!metric) throw new Error(`Unknown goal-seek metric: ${spec.metric}`);
+
+        const series = metric.source === 'annual' ? state[spec.metric] || [] : state.history[spec.metric] || [];
+        if (series.length === 0) return null;
+        const index = spec.period ? Math.min(spec.period, series.length) - 1 : series.length - 1;
+        return series[index] ?? null;
+    }
+
+    /**
+     * How far a value misses a condition ({ comparator: '<=' | '>=' | '=', value }), relative to the target
+     */
+    static violation(value, condition) {
+        if (value === null) return Infinity;
+        const scale = Math.max(Math.abs(condition.value), 1e-9);
+        if (condition.comparator === '<=') return Math.max(0, value - condition.value) / scale;
+        if (condition.comparator === '>=') return Math.max(0, condition.value - value) / scale;
+        return Math.abs(value - condition.value) / scale;
+    }
+
+    constructor(options = {}) {
+        this.settings = { ...CONFIG.GOAL_SEEK, ...options };
+        this.evaluations = 0;
+    }
+
+    /**
+     * Integer-percent splits (summing to 100) reachable by moving only the free shares
+     */
+    candidateSplits(current, free, bounds = {}, step = 1, around = null) {
+        const fixed = GoalSeeker.SHARES.filter(key => !free.includes(key));
+        const inBounds = split => GoalSeeker.SHARES.every(key =>
+            split[key] >= (bounds[key]?.min ?? 0) * 100 - 1e-9 && split[key] <= (bounds[key]?.max ?? 1) * 100 + 1e-9);
+        const splits = [];
+
+        if (free.length === 1) {
+            // Same behaviour as the sliders: the other two keep their ratio
+            const [key] = free;
+            const [first, second] = fixed;
+            const otherTotal = current[first] + current[second];
+            for (let pct = 0; pct <= 100; pct += step) {
+                const remaining = 100 - pct;
+                const firstPct = otherTotal > 0 ? Math.round(remaining * current[first] / otherTotal) : Math.floor(remaining / 2);
+                splits.push({ [key]: pct, [first]: firstPct, [second]: remaining - firstPct });
+            }
+        } else if (free.length === 2) {
+            // The fixed share stays put; the free pair trades off
+            const [key, partner] = free;
+            const available = 100 - current[fixed[0]];
+            for (let pct = 0; pct <= available; pct += step) {
+                splits.push({ [fixed[0]]: current[fixed[0]], [key]: pct, [partner]: available - pct });
+            }
+        } else {
+            const [a, b, c] = GoalSeeker.SHARES;
+            for (let pa = 0; pa <= 100; pa += step) {
+                for (let pb = 0; pa + pb <= 100; pb += step) {
+                    const split = { [a]: pa, [b]: pb, [c]: 100 - pa - pb };
+                    if (!around || GoalSeeker.SHARES.every(key => Math.abs(split[key] - around[key]) <= this.settings.refine_radius)) {
+                        splits.push(split);
+                    }
+                }
+            }
+        }
+
+        return splits.filter(inBounds);
+    }
+
+    /**
+     * Run V2 with a split (integer percents) and score it against the target and constraints
+     */
+    evaluate(params, split, target, constraints) {
+        this.evaluations++;
+        const simulation = new WOOSimulation({ verbose: false });
+        simulation.initializeWithParams({
+            ...params,
+            buyback_burn_share: split.buyback_burn_share / 100,
+            staker_share: split.staker_share / 100,
+            treasury_share: split.treasury_share / 100
+        }, 'v2');
+        simulation.runToCompletion();
+        const state = simulation.getState();
+
+        const targetValue = GoalSeeker.metricValue(state, target);
+        const constraintValues = constraints.map(constraint => GoalSeeker.metricValue(state, constraint));
+        const constraintViolation = constraints.reduce((sum, constraint, i) => sum + GoalSeeker.violation(constraintValues[i], constraint), 0);
+        const targetViolation = GoalSeeker.violation(targetValue, target);
+        return { split, state, targetValue, constraintValues, targetViolation, constraintViolation };
+    }
+
+    /**
+     * Find a V2 split for `target` ({ metric, period, comparator, value }) subject to `constraints`,
+     * moving only the `free` shares. Inequality targets return the feasible split closest to the current one;
+     * '=' targets return the split that gets nearest the value. Infeasible problems return the least-violating split.
+     * The current split is also run so callers can show before/after values.
+     */
+    solve(params = {}, { target, constraints = [], free = GoalSeeker.SHARES, bounds = {} } = {}) {
+        if (!target) throw new Error('Goal-seek needs a target');
+        const freeKeys = GoalSeeker.SHARES.filter(key => free.includes(key));
+        if (freeKeys.length === 0) throw new Error('Select at least one fee share to solve for');
+
+        const baseParams = { ...DEFAULT_PARAMS, ...params };
+        const current = Object.fromEntries(GoalSeeker.SHARES.map(key => [key, Math.round(baseParams[key] * 100)]));
+        current.treasury_share = 100 - current.buyback_burn_share - current.staker_share;
+        this.evaluations = 0;
+
+        const distance = split => GoalSeeker.SHARES.reduce((sum, key) => sum + Math.abs(split[key] - current[key]), 0);
+        const score = result => {
+            const violation = result.constraintViolation + (target.comparator === '=' ? 0 : result.targetViolation);
+            const objective = target.comparator === '=' ? result.targetViolation : distance(result.split);
+            return [violation, objective];
+        };
+        const better = (a, b) => {
+            const [va, oa] = score(a);
+            const [vb, ob] = score(b);
+            return va !== vb ? va < vb : oa < ob;
+        };
+        const search = splits => splits
+            .map(split => this.evaluate(baseParams, split, target, constraints))
+            .reduce((best, result) => (!best || better(result, best) ? result : best), null);
+
+        const baseline = this.evaluate(baseParams, current, target, constraints);
+        let best;
+        if (freeKeys.length === 3) {
+            // Coarse grid over the simplex, then refine at 1% around the best point
+            const coarse = search(this.candidateSplits(current, freeKeys, bounds, this.settings.coarse_step));
+            const refined = coarse && search(this.candidateSplits(current, freeKeys, bounds, 1, coarse.split));
+            best = refined && better(refined, coarse) ? refined : coarse;
+        } else {
+            best = search(this.candidateSplits(current, freeKeys, bounds, 1));
+        }
+        if (!best) throw new Error('No fee split satisfies the share bounds');
+
+        const feasible = best.constraintViolation === 0 && (target.comparator === '=' ? best.targetViolation <= this.settings.equality_tolerance : best.targetViolation === 0);
+        return {
+            feasible,
+            target,
+            constraints,
+            free: freeKeys,
+            current: Object.fromEntries(GoalSeeker.SHARES.map(key => [key, current[key] / 100])),
+            solution: Object.fromEntries(GoalSeeker.SHARES.map(key => [key, best.split[key] / 100])),
+            current_value: baseline.targetValue,
+            current_constraint_values: baseline.constraintValues,
+            target_value: best.targetValue,
+            constraint_values: best.constraintValues,
+            state: best.state,
+            evaluations: this.evaluations
+        };
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { GoalSeeker };
+}
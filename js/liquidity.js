@@ -0,0 +1,77 @@
+/**
+ * Market liquidity price models for WOO tokenomics simulation
+ */
+
+// Headless usage: load the shared constants that the browser gets from config.js
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'));
+}
+
+class LiquidityModel {
+    /**
+     * Price models by control index: `elasticity` keeps the linear depth-proxy model,
+     * `amm` trades against a constant-product pool, `orderbook` against a parametric depth curve
+     */
+    static MODELS = ['elasticity', 'amm', 'orderbook'];
+
+    static LABELS = {
+        elasticity: 'Linear Elasticity',
+        amm: 'Constant-Product AMM',
+        orderbook: 'Order Book Depth Curve'
+    };
+
+    /**
+     * Order book depth is quoted as the USD resting within this price move of mid
+     */
+    static DEPTH_BAND = 0.02;
+
+    /**
+     * Execute a market trade of `usd` (positive buys WOO, negative sells WOO worth |usd|) at `price`
+     *
+     * Returns { tokens, naive_tokens, avg_price, post_price, slippage }: WOO bought or sold,
+     * `usd / price` for comparison, the average execution price, the price after the trade and
+     * the average price's distance from `price` (0.01 = 1% worse than the start price).
+     * The `elasticity` model fills at `price` and leaves the price move to the impact model.
+     */
+    static trade(params, price, usd) {
+        const size = Math.abs(usd);
+        const naive_tokens = price > 0 ? size / price : 0;
+        const none = { tokens: naive_tokens, naive_tokens, avg_price: price, post_price: price, slippage: 0 };
+        if (size <= 0 || price <= 0) return none;
+
+        let avg_price = price;
+        let post_price = price;
+        if (params.price_model === 'amm') {
+            // Constant product x·y = k with `amm_liquidity_usd` of USDC against WOO at `price`
+            const reserve_usd = params.amm_liquidity_usd;
+            if (!(reserve_usd > 0)) return none;
+            const ratio = usd > 0 ? (reserve_usd + size) / reserve_usd : reserve_usd / (reserve_usd + size);
+            avg_price = price * ratio;
+            post_price = price * ratio * ratio;
+        } else if (params.price_model === 'orderbook') {
+            // Cumulative depth D(move) = orderbook_depth_usd × (move / DEPTH_BAND)^exponent per side
+            const depth_usd = params.orderbook_depth_usd;
+            const exponent = Math.max(0.1, params.orderbook_depth_exponent);
+            if (!(depth_usd > 0)) return none;
+            const move = Math.min(usd > 0 ? Infinity : 0.99, LiquidityModel.DEPTH_BAND * Math.pow(size / depth_usd, 1 / exponent));
+            const direction = usd > 0 ? 1 : -1;
+            avg_price = price * (1 + direction * move * exponent / (exponent + 1)); // USD-weighted fill level
+            post_price = price * (1 + direction * move);
+        } else {
+            return none;
+        }
+
+        return {
+            tokens: usd > 0 ? size / avg_price : naive_tokens,
+            naive_tokens,
+            avg_price,
+            post_price,
+            slippage: Math.abs(avg_price / price - 1)
+        };
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LiquidityModel };
+}
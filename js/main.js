@@ -7,6 +7,7 @@ class WOOTokenomicsApp {
         this.simulation = new WOOSimulation();
         this.chartManager = new ChartManager();
         this.uiManager = new UIManager();
+        this.scenarioLibrary = new ScenarioLibrary();
         this.simInterval = null;
         this.simulationStartTime = null;
         this.lastChartUpdate = 0;
@@ -28,10 +29,21 @@ class WOOTokenomicsApp {
             
             // Set up event handlers
             this.setupEventHandlers();
+            this.refreshScenarioList();
             
             // Create initial charts
             this.chartManager.createCharts();
             
+            // Restore controls from a shared link
+            this.restoreFromUrl();
+            
+            // Draw the volume schedule preview once charts exist
+            if (document.readyState === 'complete') {
+                this.updateVolumePreview();
+            } else {
+                window.addEventListener('load', () => this.updateVolumePreview(), { once: true });
+            }
+            
             
             console.log('WOO Tokenomics Simulator initialized successfully');
         } catch (error) {
@@ -86,6 +98,136 @@ class WOOTokenomicsApp {
             resetButton.addEventListener('click', () => this.resetSimulation());
         }
 
+        // Monte Carlo handlers
+        const runMonteCarloButton = document.getElementById('runMonteCarloButton');
+        if (runMonteCarloButton) {
+            runMonteCarloButton.addEventListener('click', () => this.runMonteCarlo());
+        }
+
+        const clearMonteCarloButton = document.getElementById('clearMonteCarloButton');
+        if (clearMonteCarloButton) {
+            clearMonteCarloButton.addEventListener('click', () => this.clearMonteCarlo());
+        }
+
+        // Sensitivity analysis handlers
+        const runSensitivityButton = document.getElementById('runSensitivityButton');
+        if (runSensitivityButton) {
+            runSensitivityButton.addEventListener('click', () => this.runSensitivity());
+        }
+
+        const exportSensitivityButton = document.getElementById('exportSensitivityButton');
+        if (exportSensitivityButton) {
+            exportSensitivityButton.addEventListener('click', () => this.exportSensitivityCSV());
+        }
+
+        // Goal-seek handlers
+        const runGoalSeekButton = document.getElementById('runGoalSeekButton');
+        if (runGoalSeekButton) {
+            runGoalSeekButton.addEventListener('click', () => this.runGoalSeek());
+        }
+
+        const applyGoalSeekButton = document.getElementById('applyGoalSeekButton');
+        if (applyGoalSeekButton) {
+            applyGoalSeekButton.addEventListener('click', () => this.applyGoalSeek());
+        }
+
+        // Redraw the last result when switching output metric
+        const sensMetric = document.getElementById('sensMetric');
+        if (sensMetric) {
+            sensMetric.addEventListener('change', () => this.renderSensitivity());
+        }
+
+        // Configuration file handlers
+        const exportConfigButton = document.getElementById('exportConfigButton');
+        if (exportConfigButton) {
+            exportConfigButton.addEventListener('click', () => this.uiManager.saveParameters());
+        }
+
+        const loadConfigButton = document.getElementById('loadConfigButton');
+        if (loadConfigButton) {
+            loadConfigButton.addEventListener('click', () => this.loadConfiguration());
+        }
+
+        const shareLinkButton = document.getElementById('shareLinkButton');
+        if (shareLinkButton) {
+            shareLinkButton.addEventListener('click', () => this.copyShareLink());
+        }
+
+        // Scenario library handlers
+        const scenarioHandlers = {
+            saveScenarioButton: () => this.saveScenario(),
+            loadScenarioButton: () => this.loadScenario(),
+            deleteScenarioButton: () => this.deleteScenario(),
+            diffScenariosButton: () => this.diffScenarios()
+        };
+        Object.entries(scenarioHandlers).forEach(([id, handler]) => {
+            document.getElementById(id)?.addEventListener('click', handler);
+        });
+
+        const scenarioSelect = document.getElementById('scenarioSelect');
+        if (scenarioSelect) {
+            scenarioSelect.addEventListener('change', () => {
+                this.uiManager.showScenarioDetails(this.scenarioLibrary.get(scenarioSelect.value));
+            });
+        }
+
+        // Volume schedule preview follows the volume sliders, duration, schedule and revenue stream controls
+        const previewInputs = [
+            ...Object.values(this.uiManager.volumeScheduleControls),
+            this.uiManager.revenueStreamControls.enabled,
+            this.uiManager.revenueStreamControls.streams,
+            this.uiManager.controls.woofiSwapVolume,
+            this.uiManager.controls.woofiPerpVolume,
+            this.uiManager.controls.wooxVolume,
+            this.uiManager.controls.simulationDuration
+        ];
+        previewInputs.forEach(input => {
+            input?.addEventListener('input', () => this.updateVolumePreview());
+            input?.addEventListener('change', () => this.updateVolumePreview());
+        });
+
+        // Historical backtest handlers
+        const runBacktestButton = document.getElementById('runBacktestButton');
+        if (runBacktestButton) {
+            runBacktestButton.addEventListener('click', () => this.runBacktest());
+        }
+
+        const runCalibrationButton = document.getElementById('runCalibrationButton');
+        if (runCalibrationButton) {
+            runCalibrationButton.addEventListener('click', () => this.runCalibration());
+        }
+
+        const applyCalibrationButton = document.getElementById('applyCalibrationButton');
+        if (applyCalibrationButton) {
+            applyCalibrationButton.addEventListener('click', () => this.applyCalibration());
+        }
+
+        const calibrationProfileParam = document.getElementById('calibrationProfileParam');
+        if (calibrationProfileParam) {
+            calibrationProfileParam.addEventListener('change', () => {
+                if (this.calibrationResult) this.chartManager.updateProfileChart(this.calibrationResult, calibrationProfileParam.value);
+            });
+        }
+
+        const backtestFile = document.getElementById('backtestFile');
+        if (backtestFile) {
+            backtestFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                const reader = new FileReader();
+                reader.onload = (event) => {
+                    document.getElementById('backtestData').value = event.target.result;
+                };
+                reader.readAsText(file);
+            });
+        }
+
+        // V1 vs V2 comparison handler
+        const runComparisonButton = document.getElementById('runComparisonButton');
+        if (runComparisonButton) {
+            runComparisonButton.addEventListener('click', () => this.runComparison());
+        }
+
         // Documentation button
         const docButton = document.getElementById('docButton');
         if (docButton) {
@@ -110,9 +252,6 @@ class WOOTokenomicsApp {
             darkModeToggle.addEventListener('click', () => this.toggleDarkMode());
         }
 
-        // Initialize model-specific UI
-        this.updateModelSpecificUI();
-        
         // Setup enhanced tooltip positioning for table
         this.setupTooltipPositioning();
     }
@@ -141,8 +280,9 @@ class WOOTokenomicsApp {
             // Get current model selection
             const selectedModel = document.querySelector('input[name="tokenomicsModel"]:checked')?.value || 'v2';
             
-            // Initialize simulation with current parameter values and model
-            this.simulation.initialize(this.uiManager.getControlValues(), selectedModel);
+            // Initialize simulation with current parameter values, volume schedule and model
+            this.simulation = this.createSimulation();
+            this.simulation.initializeWithParams(this.uiManager.getSimulationParams(), selectedModel);
             
             // Update button states
             this.uiManager.setSimulationRunning(true);
@@ -224,6 +364,217 @@ class WOOTokenomicsApp {
         }
     }
 
+    /**
+     * Run Monte Carlo paths with the current parameters and draw percentile bands
+     */
+    runMonteCarlo() {
+        try {
+            const selectedModel = document.querySelector('input[name="tokenomicsModel"]:checked')?.value || 'v2';
+            const params = this.uiManager.getSimulationParams();
+            const options = this.uiManager.getMonteCarloOptions();
+            
+            this.uiManager.updateSimulationStatus('running', `Running ${options.paths} Monte Carlo paths...`);
+            const result = new MonteCarloRunner().run(params, selectedModel, options);
+            this.monteCarloResult = result;
+            
+            this.chartManager.updateFanChart(result);
+            this.uiManager.showMonteCarloSummary(result);
+            this.uiManager.updateSimulationStatus('completed', `Monte Carlo completed (${result.paths} paths)`);
+        } catch (error) {
+            console.error('Monte Carlo run failed:', error);
+            this.uiManager.updateSimulationStatus('error', 'Monte Carlo run failed');
+            this.uiManager.showError('Monte Carlo run failed');
+        }
+    }
+
+    /**
+     * Remove Monte Carlo bands and summary
+     */
+    clearMonteCarlo() {
+        this.monteCarloResult = null;
+        this.chartManager.clearFanChart();
+        this.uiManager.hideMonteCarloSummary();
+    }
+
+    /**
+     * Redraw the volume schedule preview from the current controls
+     */
+    updateVolumePreview() {
+        try {
+            const params = { ...DEFAULT_PARAMS, ...this.uiManager.getSimulationParams() };
+            this.chartManager.updateVolumePreview(WOOSimulation.scheduledVolumes(params) || VolumeSchedule.build(params));
+        } catch (error) {
+            console.error('Volume preview failed:', error);
+        }
+    }
+
+    /**
+     * Run V1 and V2 with the current shared inputs and overlay the results
+     */
+    runComparison() {
+        try {
+            const params = this.uiManager.getSimulationParams();
+            const result = new ModelComparison().run(params);
+            this.comparisonResult = result;
+            
+            this.chartManager.updateComparisonCharts(result);
+            this.uiManager.showComparisonTable(result);
+            this.uiManager.updateSimulationStatus('completed', 'V1 vs V2 comparison completed');
+        } catch (error) {
+            console.error('Model comparison failed:', error);
+            this.uiManager.updateSimulationStatus('error', 'Model comparison failed');
+            this.uiManager.showError('Model comparison failed');
+        }
+    }
+
+    /**
+     * Replay the selected model over imported history and report the fit
+     */
+    runBacktest() {
+        const status = document.getElementById('backtestStatus');
+        try {
+            const selectedModel = document.querySelector('input[name="tokenomicsModel"]:checked')?.value || 'v2';
+            const rows = Backtester.parse(document.getElementById('backtestData')?.value);
+            const result = new Backtester().run(rows, this.uiManager.getSimulationParams(), selectedModel);
+            this.backtestResult = result;
+            
+            this.chartManager.updateBacktestCharts(result);
+            this.uiManager.showBacktestResults(result);
+            if (status) status.textContent = `${result.model.toUpperCase()} • ${result.labels.length} months from ${result.start}`;
+        } catch (error) {
+            console.error('Backtest failed:', error);
+            if (status) status.textContent = error.message;
+        }
+    }
+
+    /**
+     * Fit the price-impact elasticities to the imported price history
+     */
+    runCalibration() {
+        const status = document.getElementById('backtestStatus');
+        try {
+            const selectedModel = document.querySelector('input[name="tokenomicsModel"]:checked')?.value || 'v2';
+            const rows = Backtester.parse(document.getElementById('backtestData')?.value);
+            const result = new Calibrator(selectedModel).run(rows, this.uiManager.getSimulationParams());
+            this.calibrationResult = result;
+            
+            this.uiManager.showCalibrationResults(result);
+            this.chartManager.updateProfileChart(result, document.getElementById('calibrationProfileParam')?.value || result.keys[0]);
+            if (status) status.textContent = `Calibrated in ${result.evaluations} runs`;
+        } catch (error) {
+            console.error('Calibration failed:', error);
+            if (status) status.textContent = error.message;
+        }
+    }
+
+    /**
+     * Copy the fitted elasticities into the sliders (rounded to slider steps)
+     */
+    applyCalibration() {
+        if (!this.calibrationResult) return;
+        const fitted = this.calibrationResult.fitted.values;
+        this.applyConfiguration({
+            parameters: {
+                supplyElasticity: fitted.supply_elasticity,
+                buyingPressureElasticity: fitted.buying_pressure_elasticity,
+                buyingPressureDecay: fitted.buying_pressure_decay * 100
+            }
+        });
+        this.uiManager.updateSimulationStatus('ready', 'Fitted elasticities applied');
+    }
+
+    /**
+     * Run OAT or Morris sensitivity analysis around the current parameters
+     */
+    runSensitivity() {
+        try {
+            const selectedModel = document.querySelector('input[name="tokenomicsModel"]:checked')?.value || 'v2';
+            const params = this.uiManager.getSimulationParams();
+            const options = this.uiManager.getSensitivityOptions();
+            const analyzer = new SensitivityAnalyzer(selectedModel);
+            
+            this.uiManager.updateSimulationStatus('running', 'Running sensitivity analysis...');
+            this.sensitivityResult = options.method === 'morris'
+                ? analyzer.runMorris(params, { year: options.year })
+                : analyzer.runOneAtATime(params, { year: options.year });
+            
+            this.renderSensitivity();
+            const exportSensitivityButton = document.getElementById('exportSensitivityButton');
+            if (exportSensitivityButton) exportSensitivityButton.disabled = false;
+            this.uiManager.updateSimulationStatus('completed', 'Sensitivity analysis completed');
+        } catch (error) {
+            console.error('Sensitivity analysis failed:', error);
+            this.uiManager.updateSimulationStatus('error', 'Sensitivity analysis failed');
+            this.uiManager.showError('Sensitivity analysis failed');
+        }
+    }
+
+    /**
+     * Solve the V2 fee split for the goal-seek target and draw the resulting run
+     */
+    runGoalSeek() {
+        const status = document.getElementById('goalSeekStatus');
+        try {
+            const result = new GoalSeeker().solve(this.uiManager.getSimulationParams(), this.uiManager.getGoalSeekOptions());
+            this.goalSeekResult = result;
+            
+            this.uiManager.showGoalSeekResults(result);
+            this.chartManager.updateCharts(result.state);
+            const applyGoalSeekButton = document.getElementById('applyGoalSeekButton');
+            if (applyGoalSeekButton) applyGoalSeekButton.disabled = false;
+        } catch (error) {
+            console.error('Goal seek failed:', error);
+            if (status) status.textContent = error.message;
+        }
+    }
+
+    /**
+     * Copy the solved fee split into the V2 sliders
+     */
+    applyGoalSeek() {
+        if (!this.goalSeekResult) return;
+        const { solution } = this.goalSeekResult;
+        this.applyConfiguration({
+            model: 'v2',
+            parameters: {
+                buybackBurnShare: Math.round(solution.buyback_burn_share * 100),
+                stakerShare: Math.round(solution.staker_share * 100),
+                treasuryShare: Math.round(solution.treasury_share * 100)
+            }
+        });
+        this.uiManager.updateSimulationStatus('ready', 'Goal-seek fee split applied');
+    }
+
+    /**
+     * Draw the last sensitivity result for the selected output metric
+     */
+    renderSensitivity() {
+        if (!this.sensitivityResult) return;
+        const { metric } = this.uiManager.getSensitivityOptions();
+        this.chartManager.updateTornadoChart(this.sensitivityResult, metric);
+        this.uiManager.showSensitivityTable(this.sensitivityResult, metric);
+    }
+
+    /**
+     * Download the last sensitivity result as CSV
+     */
+    exportSensitivityCSV() {
+        if (!this.sensitivityResult) {
+            this.uiManager.showError('No sensitivity results to export');
+            return;
+        }
+
+        const blob = new Blob([SensitivityAnalyzer.toCSV(this.sensitivityResult)], { type: 'text/csv' });
+        const url = window.URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `woo-sensitivity-${this.sensitivityResult.method}-${this.sensitivityResult.model}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        window.URL.revokeObjectURL(url);
+    }
+
     /**
      * Stop the simulation
      */
@@ -273,29 +624,13 @@ class WOOTokenomicsApp {
 
 
     /**
-     * Set up model selection (placeholder for future versions)
+     * Engine for the selected modeling approach
      */
-    setupModelSelection() {
-        const modelOptions = document.querySelectorAll('.model-option');
-        const approachOptions = document.querySelectorAll('.approach-option');
-        
-        modelOptions.forEach(option => {
-            option.addEventListener('click', (e) => {
-                if (!option.classList.contains('opacity-50')) {
-                    // Handle model selection when other models are available
-                    console.log('Model selection:', option.dataset.model);
-                }
-            });
-        });
-        
-        approachOptions.forEach(option => {
-            option.addEventListener('click', (e) => {
-                if (!option.classList.contains('opacity-50')) {
-                    // Handle approach selection when agent-based is available
-                    console.log('Approach selection:', option.dataset.approach);
-                }
-            });
-        });
+    createSimulation() {
+        if (this.uiManager.getCurrentApproach() === 'agent-based') {
+            return new AgentBasedSimulation({ agents: this.uiManager.getAgentOptions() });
+        }
+        return new WOOSimulation();
     }
 
     /**
@@ -327,25 +662,156 @@ class WOOTokenomicsApp {
      * Apply loaded configuration
      */
     applyConfiguration(config) {
+        if (ModelRegistry.has(config.model)) {
+            const radio = document.querySelector(`input[name="tokenomicsModel"][value="${config.model}"]`);
+            if (radio) radio.checked = true;
+            this.uiManager.switchToModel(config.model);
+        }
+
+        if (config.approach) {
+            this.uiManager.switchToApproach(config.approach);
+        }
+
+        if (config.structured) {
+            this.uiManager.applyStructuredState(config.structured);
+        }
+
         if (config.parameters) {
+            const feeSliders = UIManager.BALANCED_SLIDERS.flatMap(group => group.sliders);
             Object.keys(config.parameters).forEach(key => {
                 if (this.uiManager.controls[key]) {
                     this.uiManager.controls[key].value = config.parameters[key];
                 }
             });
             
-            // Trigger change events to update displays
+            // Trigger change events to update displays (fee sliders skip their auto-balancing input handler)
             Object.keys(this.uiManager.controls).forEach(key => {
-                if (this.uiManager.controls[key].dispatchEvent) {
-                    this.uiManager.controls[key].dispatchEvent(new Event('input'));
-                }
+                const control = this.uiManager.controls[key];
+                if (!control?.dispatchEvent || feeSliders.includes(key)) return;
+                control.dispatchEvent(new Event(key === 'simulationDuration' ? 'change' : 'input'));
+            });
+            feeSliders.forEach(key => {
+                const display = this.uiManager.controlValues[key];
+                if (display && this.uiManager.controls[key]) display.textContent = `${parseFloat(this.uiManager.controls[key].value).toFixed(0)}%`;
             });
+            this.uiManager.updateFeeDistributionDisplay();
+            this.uiManager.updateWooxBpsDisplay();
             
-            this.updateButtonText();
+            // A running simulation keeps its old inputs, so stop it
+            if (this.simInterval) {
+                this.stopSimulation();
+                this.uiManager.resetButton();
+            }
             console.log('Configuration loaded successfully');
         }
     }
 
+    /**
+     * Apply controls encoded in the URL hash and optionally start the run
+     */
+    restoreFromUrl() {
+        const config = ShareLink.decode(window.location.hash);
+        if (!config) return;
+
+        this.applyConfiguration(config);
+        this.uiManager.updateSimulationStatus('ready', 'Parameters restored from link');
+        console.log('Restored parameters from shared link');
+
+        if (config.autoRun) {
+            // Charts are created on window load, so start after them
+            if (document.readyState === 'complete') {
+                this.startSimulation();
+            } else {
+                window.addEventListener('load', () => this.startSimulation(), { once: true });
+            }
+        }
+    }
+
+    /**
+     * Put the current controls in the URL hash and copy the link
+     */
+    copyShareLink() {
+        const autoRun = document.getElementById('shareAutoRun')?.checked ?? true;
+        const hash = ShareLink.encode(this.uiManager.getConfiguration(), { autoRun });
+        history.replaceState(null, '', hash);
+
+        const url = window.location.href;
+        const copied = navigator.clipboard?.writeText(url);
+        if (copied) {
+            copied
+                .then(() => this.uiManager.updateSimulationStatus('completed', 'Share link copied to clipboard'))
+                .catch(error => {
+                    console.error('Failed to copy share link:', error);
+                    this.uiManager.updateSimulationStatus('ready', 'Share link is in the address bar');
+                });
+        } else {
+            this.uiManager.updateSimulationStatus('ready', 'Share link is in the address bar');
+        }
+    }
+
+    /**
+     * Refresh scenario selects from the library
+     */
+    refreshScenarioList(selectedId = null) {
+        this.uiManager.renderScenarioList(this.scenarioLibrary.list(), selectedId);
+    }
+
+    /**
+     * Save the current controls as a named scenario
+     */
+    saveScenario() {
+        try {
+            const scenario = this.scenarioLibrary.save({
+                ...this.uiManager.getConfiguration(),
+                ...this.uiManager.getScenarioForm()
+            });
+            this.refreshScenarioList(scenario.id);
+            this.uiManager.updateSimulationStatus('completed', `Scenario "${scenario.name}" saved`);
+        } catch (error) {
+            console.error('Failed to save scenario:', error);
+            this.uiManager.showError(error.message || 'Failed to save scenario');
+        }
+    }
+
+    /**
+     * Load the selected scenario into the controls
+     */
+    loadScenario() {
+        const scenario = this.scenarioLibrary.get(document.getElementById('scenarioSelect')?.value);
+        if (!scenario) {
+            this.uiManager.showError('Select a scenario to load');
+            return;
+        }
+        this.applyConfiguration(scenario);
+        this.uiManager.updateSimulationStatus('ready', `Scenario "${scenario.name}" loaded`);
+    }
+
+    /**
+     * Delete the selected saved scenario
+     */
+    deleteScenario() {
+        const scenario = this.scenarioLibrary.get(document.getElementById('scenarioSelect')?.value);
+        if (!scenario || scenario.preset) {
+            this.uiManager.showError('Presets cannot be deleted');
+            return;
+        }
+        this.scenarioLibrary.remove(scenario.id);
+        this.refreshScenarioList();
+    }
+
+    /**
+     * Show the parameter diff between the two selected scenarios
+     */
+    diffScenarios() {
+        const scenarioA = this.scenarioLibrary.get(document.getElementById('scenarioDiffA')?.value);
+        const scenarioB = this.scenarioLibrary.get(document.getElementById('scenarioDiffB')?.value);
+        if (!scenarioA || !scenarioB) {
+            this.uiManager.showError('Select two scenarios to compare');
+            return;
+        }
+        this.uiManager.showScenarioDiff(ScenarioLibrary.diff(scenarioA, scenarioB), scenarioA, scenarioB);
+    }
+
     /**
      * Show documentation modal
      */
@@ -417,7 +883,7 @@ class WOOTokenomicsApp {
                 <h2 class="text-2xl font-semibold mb-4" style="color: var(--text-primary);">Platform Architecture</h2>
                 <p class="mb-4" style="color: var(--text-secondary);">
                     This research platform is designed for iterative tokenomics modeling using multiple model versions and approaches. 
-                    Currently, we support <strong>Version 0</strong> of the WOO tokenomics system with a <strong>System Dynamics</strong> approach.
+                    Currently, we support <strong>Version 0</strong> of the WOO tokenomics system with <strong>System Dynamics</strong> and <strong>Agent-Based</strong> approaches.
                 </p>
                 
                 <div class="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
@@ -433,7 +899,7 @@ class WOOTokenomicsApp {
                         <h3 class="font-semibold mb-2" style="color: var(--primary-blue);">Modeling Approaches</h3>
                         <ul class="space-y-2 text-sm" style="color: var(--text-secondary);">
                             <li>• <strong>System Dynamics:</strong> Stock & flow modeling (Active)</li>
-                            <li>• <strong>Agent-Based:</strong> Individual agent behaviors (Planned)</li>
+                            <li>• <strong>Agent-Based:</strong> Individual agent behaviors (Active)</li>
                         </ul>
                     </div>
                 </div>
@@ -899,10 +1365,10 @@ class WOOTokenomicsApp {
                     <div class="border rounded-lg p-4" style="border-color: var(--accent-teal);">
                         <h3 class="font-semibold mb-3" style="color: var(--accent-teal);">Treasury Runway</h3>
                         <p class="text-sm mb-2" style="color: var(--text-secondary);">
-                            Months of operation remaining at current burn rate. Critical for sustainability analysis.
+                            Months of treasury spending (opex, grants, market making, liquidity incentives) the treasuries' WOO and USDC holdings cover. Critical for sustainability analysis.
                         </p>
                         <div class="text-xs" style="color: var(--text-secondary);">
-                            <strong>Formula:</strong> WOOFi Treasury Balance ÷ Monthly Burn Rate
+                            <strong>Formula:</strong> ((WOOFi + WOO X Treasury) × Price + Treasury USDC) ÷ Monthly Spending
                         </div>
                     </div>
 
@@ -1022,7 +1488,7 @@ class WOOTokenomicsApp {
                             </tr>
                             <tr class="border-b" style="border-color: var(--border-color);">
                                 <td class="p-3 font-medium">Treasury Runway</td>
-                                <td class="p-3" style="color: var(--text-secondary);">Months remaining at current burn rate</td>
+                                <td class="p-3" style="color: var(--text-secondary);">Months of treasury spending covered at the current price</td>
                                 <td class="p-3" style="color: var(--text-secondary);">Months</td>
                             </tr>
                             <tr class="border-b" style="border-color: var(--border-color);">
@@ -1040,6 +1506,26 @@ class WOOTokenomicsApp {
                                 <td class="p-3" style="color: var(--text-secondary);">Percentage of total supply staked</td>
                                 <td class="p-3" style="color: var(--text-secondary);">Percentage</td>
                             </tr>
+                            <tr class="border-b" style="border-color: var(--border-color);">
+                                <td class="p-3 font-medium">Staker APR</td>
+                                <td class="p-3" style="color: var(--text-secondary);">Annualized USD rewards (USDC, auto-compound, distributed buybacks) on staked value</td>
+                                <td class="p-3" style="color: var(--text-secondary);">Percentage</td>
+                            </tr>
+                            <tr class="border-b" style="border-color: var(--border-color);">
+                                <td class="p-3 font-medium">Rewards / Staked WOO</td>
+                                <td class="p-3" style="color: var(--text-secondary);">USD rewards that month per staked WOO</td>
+                                <td class="p-3" style="color: var(--text-secondary);">USD</td>
+                            </tr>
+                            <tr class="border-b" style="border-color: var(--border-color);">
+                                <td class="p-3 font-medium">10k WOO Rewards</td>
+                                <td class="p-3" style="color: var(--text-secondary);">USD earned that month by a 10,000 WOO staking position</td>
+                                <td class="p-3" style="color: var(--text-secondary);">USD</td>
+                            </tr>
+                            <tr class="border-b" style="border-color: var(--border-color);">
+                                <td class="p-3 font-medium">T12M Yield</td>
+                                <td class="p-3" style="color: var(--text-secondary);">Last 12 months of rewards per staked WOO ÷ current price (annualized before month 12)</td>
+                                <td class="p-3" style="color: var(--text-secondary);">Percentage</td>
+                            </tr>
                             <tr class="border-b" style="border-color: var(--border-color);">
                                 <td class="p-3 font-medium">Supply Burned %</td>
                                 <td class="p-3" style="color: var(--text-secondary);">Percentage of max supply permanently burned</td>
@@ -1218,12 +1704,13 @@ class WOOTokenomicsApp {
                 platform: 'WOO Tokenomics Research Platform',
                 version: '1.0',
                 model: 'v0',
-                approach: 'system-dynamics',
+                approach: this.simulation instanceof AgentBasedSimulation ? 'agent-based' : 'system-dynamics',
                 timestamp: new Date().toISOString(),
                 duration_months: this.simulation.simParams?.simulation_months || 0
             },
             parameters: this.simulation.simParams,
             results: simState.history,
+            ...(simState.agent_history && { agent_results: simState.agent_history }),
             finalState: {
                 month: simState.month,
                 woo_price: simState.woo_price,
@@ -1268,7 +1755,11 @@ class WOOTokenomicsApp {
             'Staker Fees (USD)',
             'Treasury Fees (USD)',
             'Orderly Fees (USD)',
-            'Buyback Fees (USD)'
+            'Buyback Fees (USD)',
+            'Staker APR (%)',
+            'Rewards per Staked WOO (USD)',
+            `${CONFIG.STAKER_POSITION_WOO} WOO Position Rewards (USD)`,
+            'Trailing 12M Staker Yield (%)'
         ];
 
         // Prepare CSV data
@@ -1286,7 +1777,11 @@ class WOOTokenomicsApp {
                 (history.staker_fees_received && history.staker_fees_received[i] ? history.staker_fees_received[i] * 1e6 : 0),
                 (history.treasury_fees_received && history.treasury_fees_received[i] ? history.treasury_fees_received[i] * 1e6 : 0),
                 (history.orderly_fees_received && history.orderly_fees_received[i] ? history.orderly_fees_received[i] * 1e6 : 0),
-                (history.buyback_fees_received && history.buyback_fees_received[i] ? history.buyback_fees_received[i] * 1e6 : 0)
+                (history.buyback_fees_received && history.buyback_fees_received[i] ? history.buyback_fees_received[i] * 1e6 : 0),
+                history.staker_apr[i],
+                history.staker_revenue_per_woo[i],
+                history.staker_position_usd[i],
+                history.staker_trailing_yield[i]
             ];
             csvData.push(row);
         }
@@ -1486,7 +1981,9 @@ document.addEventListener('DOMContentLoaded', () => {
         getParameters: () => app.simulation.simParams,
         version: '1.0',
         model: 'v0',
-        approach: 'system-dynamics'
+        get approach() {
+            return app.uiManager.getCurrentApproach();
+        }
     };
     
     console.log('🔬 WOO Tokenomics Research Platform initialized');
@@ -0,0 +1,182 @@
+/**
+ * Hybrid tokenomics model: V2 fee split and protocol buyback & burn, with V1 staker
+ * auto-compound and optional treasury burn matching
+ */
+
+// Headless usage: load the shared constants, the registry and the V1/V2 mechanisms reused here
+if (typeof TokenomicsV2 === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('../config.js'), require('./registry.js'), require('./v1.js'), require('./v2.js'));
+}
+
+const TokenomicsHybrid = {
+    id: 'hybrid',
+    label: 'Hybrid - Buyback + Auto-Compound',
+    summary: 'V2 splits and buyback, stakers auto-compound, optional burn match',
+
+    defaults: {
+        treasury_match_rate: DEFAULT_VALUES.treasuryMatchRate / 100
+    },
+
+    controls: {
+        treasuryMatchRate: { param: 'treasury_match_rate', divisor: 100 }
+    },
+
+    /**
+     * Hybrid: V2 fee splits plus the V1 auto-compound adoption and a treasury match rate
+     */
+    parameters(p) {
+        return {
+            ...TokenomicsV2.parameters(p),
+            auto_compound_adoption_rate: p.auto_compound_adoption_rate,
+            treasury_match_rate: p.treasury_match_rate
+        };
+    },
+
+    history: ['auto_compound_amounts', ...TokenomicsV2.history],
+    historyFlows: ['auto_compound_amounts', ...TokenomicsV2.historyFlows],
+
+    ratios: [
+        { key: 'annual_pv_ratios_usd', label: 'USD Spent', element: 'pvRatioUSD', color: 'var(--primary-blue)' },
+        { key: 'annual_pv_ratios_market', label: 'Token Value', element: 'pvRatioMarket', color: 'var(--accent-teal)' }
+    ],
+    ratioDescription: 'Hybrid: Shows dual ratios - USD spent (USDC, buyback and auto-compound) vs token value (USDC, burned and distributed tokens at the current price and auto-compound)',
+    ratioTitle: year => `Year ${year} P/V Ratios`,
+    ratioTooltip: year => `Price-to-Value Distributed ratios for Year ${year}. USD Spent: Market Cap ÷ (USDC + USD spent on buybacks burned or distributed + auto-compound USD). Token Value: Market Cap ÷ (USDC + current value of tokens burned or distributed + auto-compound USD). Buybacks held by the treasury are not counted.`,
+
+    /**
+     * Hybrid: Same configurable buyback/stakers/treasury split as V2
+     */
+    distributeFees(feeData) {
+        return TokenomicsV2.distributeFees.call(this, feeData);
+    },
+
+    /**
+     * Hybrid: Protocol buyback & burn, then auto-compound for adopting stakers, optionally
+     * matched by WOOFi treasury burns
+     */
+    calculateBuybackAndBurn(distributionData) {
+        const budget_usd = distributionData.buyback_burn_amount;
+        const total_staker_rewards = distributionData.total_staker_rewards_usd;
+        const empty = { buyback_usd: 0, auto_compound_usd: 0, usdc_distribution: 0, market_purchase_tokens: 0, buyback_tokens: 0, compound_tokens: 0, tokens_burned: 0, usdc_to_stakers: 0, woofi_tokens_burned: 0, woox_tokens_burned: 0 };
+
+        // Debug: Check for invalid values
+        if (budget_usd < 0 || !isFinite(budget_usd) || total_staker_rewards < 0 || !isFinite(total_staker_rewards)) {
+            console.error('Invalid hybrid allocation:', { budget_usd, total_staker_rewards });
+            return empty;
+        }
+
+        if (this.simState.woo_price <= 0 || !isFinite(this.simState.woo_price)) {
+            console.error('Invalid WOO price:', this.simState.woo_price);
+            return empty;
+        }
+
+        // 1. Protocol market purchase with buyback funds (timed by the buyback strategy), burned
+        const { spend_usd: buyback_usd, execution: buyback } = this.executeBuyback(budget_usd);
+
+        // 2. Auto-compound: adopting stakers' USDC buys WOO after the buyback, against the price it left
+        const auto_compound_usd = total_staker_rewards * this.simParams.auto_compound_adoption_rate;
+        const usdc_distribution = total_staker_rewards - auto_compound_usd;
+        const compound = LiquidityModel.trade(this.simParams, buyback.post_price, auto_compound_usd);
+
+        // 3. Bought-back tokens go to the buyback destinations (burned, distributed to stakers or held by the treasury)
+        const route = this.routeBuyback(buyback.tokens, buyback_usd);
+        
+        // 4. Treasury burn matching on the auto-compounded tokens (limited by the WOOFi treasury)
+        const woofi_tokens_burned = Math.min(compound.tokens * this.simParams.treasury_match_rate, this.simState.woofi_treasury_balance);
+
+        // Both purchases leave circulation: compounded tokens are staked, buyback tokens go to their destinations
+        const spent_usd = buyback_usd + auto_compound_usd;
+        const market_purchase_tokens = buyback.tokens + compound.tokens;
+        const avg_price = market_purchase_tokens > 0 ? spent_usd / market_purchase_tokens : this.simState.woo_price;
+
+        return {
+            buyback_usd,
+            auto_compound_usd,
+            usdc_distribution,
+            market_purchase_tokens,
+            buyback_tokens: buyback.tokens,
+            compound_tokens: compound.tokens,
+            tokens_burned: route.burned_tokens + woofi_tokens_burned,
+            buyback_distributed_tokens: route.distributed_tokens,
+            buyback_distributed_usd: route.distributed_usd,
+            buyback_held_tokens: route.held_tokens,
+            buyback_held_usd: route.held_usd,
+            usdc_to_stakers: usdc_distribution,
+            woofi_tokens_burned,
+            woox_tokens_burned: 0,
+            execution: {
+                tokens: market_purchase_tokens,
+                naive_tokens: buyback.naive_tokens + compound.naive_tokens,
+                avg_price,
+                post_price: compound.post_price,
+                slippage: Math.abs(avg_price / this.simState.woo_price - 1)
+            }
+        };
+    },
+
+    /**
+     * Hybrid: Buybacks and auto-compound purchases both drive the temporary price impact
+     */
+    buyingPressure(burnData) {
+        return burnData.buyback_usd + burnData.auto_compound_usd;
+    },
+
+    /**
+     * Hybrid: Treasury inflows, less any matching burns (same accounting as V1), plus the
+     * buyback share the WOOFi treasury holds
+     */
+    updateTreasury(distributionData, burnData) {
+        TokenomicsV1.updateTreasury.call(this, distributionData, burnData);
+        this.simState.woofi_treasury_balance += burnData.buyback_held_tokens || 0;
+    },
+
+    /**
+     * Hybrid: Auto-compounded tokens and buybacks distributed to stakers are staked
+     */
+    updateStakerPositions(burnData) {
+        const staked_tokens = (burnData.compound_tokens || 0) + (burnData.buyback_distributed_tokens || 0);
+        if (staked_tokens > 0) {
+            this.simState.total_staked_woo += staked_tokens;
+        }
+    },
+
+    /**
+     * Hybrid: Buyback and auto-compound tracking
+     */
+    trackIntermediate(distributionData, burnData) {
+        this.simState.buyback_usd = burnData.buyback_usd;
+        this.simState.buyback_burn_amount = distributionData.buyback_burn_amount;
+        this.simState.auto_compound_usd = burnData.auto_compound_usd;
+        this.simState.usdc_distribution = burnData.usdc_distribution;
+    },
+
+    /**
+     * Hybrid: Track both auto-compound and buyback spending
+     */
+    recordHistory(burnData) {
+        TokenomicsV1.recordHistory.call(this, burnData);
+        TokenomicsV2.recordHistory.call(this, burnData);
+    },
+
+    /**
+     * Hybrid: Dual P/V ratios with auto-compound spending counted as value to stakers
+     */
+    annualRatios(annual) {
+        const annualUSDC = annual.sum('usdc_distributed');
+        const annualCompound = annual.sum('auto_compound_amounts');
+        const totalAnnualValueUSD = annualUSDC + annual.sum('buyback_amounts') - annual.sum('buyback_held_usd') + annualCompound;
+        const annualTokenValue = (annual.sum('monthlyBurned') + annual.sum('buyback_distributed')) * this.simState.woo_price;
+        const totalAnnualValueMarket = annualUSDC + annualTokenValue + annualCompound;
+        return {
+            annual_pv_ratios_usd: totalAnnualValueUSD > 0 ? annual.marketCap / totalAnnualValueUSD : Infinity,
+            annual_pv_ratios_market: totalAnnualValueMarket > 0 ? annual.marketCap / totalAnnualValueMarket : Infinity
+        };
+    }
+};
+
+ModelRegistry.register(TokenomicsHybrid);
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TokenomicsHybrid };
+}
@@ -0,0 +1,85 @@
+/**
+ * Registry of tokenomics model versions
+ *
+ * Each model is a self-contained definition registered with `ModelRegistry.register()`:
+ * - id, label, summary: selector value and text (`summary` is shown under the label)
+ * - defaults: engine params the model adds on top of DEFAULT_PARAMS (optional)
+ * - controls: { controlId: { param, divisor } } - model-specific inputs read by paramsFromControls;
+ *   sections marked `data-models="<id> ..."` in index.html are shown only for those models
+ * - parameters(p): model-specific engine params from the merged params
+ * - history: extra history series the model records (other models record zeros)
+ * - historyFlows: the history series that are per-timestep flows (summed into months, see WOOSimulation.HISTORY_FLOWS)
+ * - ratios: [{ key, label, element, color }] - annual ratio arrays on simState and their card elements
+ * - ratioTitle(year), ratioTooltip(year), ratioDescription: ratio card text
+ * - Mechanism hooks, called with `this` bound to the running WOOSimulation:
+ *   distributeFees(feeData), calculateBuybackAndBurn(distributionData), buyingPressure(burnData),
+ *   updateTreasury(distributionData, burnData), updateStakerPositions(burnData),
+ *   trackIntermediate(distributionData, burnData), recordHistory(burnData),
+ *   annualRatios(annual) -> { ratioKey: value }, isExhausted() (optional early stop)
+ */
+
+class ModelRegistry {
+    static models = new Map();
+
+    /**
+     * Add (or replace) a model definition
+     */
+    static register(model) {
+        if (!model?.id) throw new Error('Tokenomics model needs an id');
+        ModelRegistry.models.set(model.id, {
+            defaults: {},
+            controls: {},
+            history: [],
+            historyFlows: [],
+            ratios: [],
+            ...model
+        });
+        return model;
+    }
+
+    /**
+     * Look up a model by id (throws for unknown ids)
+     */
+    static get(id) {
+        const model = ModelRegistry.models.get(id);
+        if (!model) throw new Error(`Unknown tokenomics model: ${id}`);
+        return model;
+    }
+
+    static has(id) {
+        return ModelRegistry.models.has(id);
+    }
+
+    /**
+     * All registered models in registration order
+     */
+    static list() {
+        return [...ModelRegistry.models.values()];
+    }
+
+    /**
+     * Union of every model's extra history series, so all runs share one history schema
+     */
+    static historySeries() {
+        return [...new Set(ModelRegistry.list().flatMap(model => model.history))];
+    }
+
+    /**
+     * Union of every model's per-timestep flow series
+     */
+    static historyFlows() {
+        return [...new Set(ModelRegistry.list().flatMap(model => model.historyFlows))];
+    }
+
+    /**
+     * Union of every model's annual ratio keys
+     */
+    static ratioKeys() {
+        return [...new Set(ModelRegistry.list().flatMap(model => model.ratios.map(ratio => ratio.key)))];
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelRegistry };
+}
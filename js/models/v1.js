@@ -0,0 +1,203 @@
+/**
+ * V1 tokenomics model: auto-compound with treasury burn matching
+ */
+
+// Headless usage: load the shared constants and the registry
+if (typeof ModelRegistry === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('../config.js'), require('./registry.js'));
+}
+
+const TokenomicsV1 = {
+    id: 'v1',
+    label: 'V1 - Auto-Compound Model',
+    summary: '80/20 split, staker choice, treasury burn matching',
+
+    controls: {
+        autoCompoundRate: { param: 'auto_compound_adoption_rate', divisor: 100 }
+    },
+
+    /**
+     * V1: Fixed parameters from CONFIG
+     */
+    parameters(p) {
+        return {
+            woofi_staker_share: CONFIG.FIXED_PARAMS.woofi_staker_share,
+            auto_compound_adoption_rate: p.auto_compound_adoption_rate,
+            woox_staker_bps: CONFIG.FIXED_PARAMS.woox_staker_bps_reward
+        };
+    },
+
+    history: ['auto_compound_amounts'],
+    historyFlows: ['auto_compound_amounts'],
+
+    ratios: [
+        { key: 'annual_pr_ratios', label: 'P/R Ratio', element: 'prRatio', color: 'var(--primary-blue)' }
+    ],
+    ratioDescription: 'V1: Shows single P/R ratio - Market Cap ÷ (USDC + Token Burns + Auto-compound spending)',
+    ratioTitle: year => `Year ${year}`,
+    ratioTooltip: year => `P/R ratio for Year ${year}. Market Cap ÷ (USDC + Current value of burned tokens + Auto-compound USD spending) for months ${(year - 1) * 12 + 1}-${year * 12}. The 3 components: USDC to stakers, burn value, auto-compound spending.`,
+
+    /**
+     * V1: Simulation also ends when the WOOFi treasury can no longer match burns
+     */
+    isExhausted() {
+        return this.simState.woofi_treasury_balance <= 0 ? 'treasury depletion' : false;
+    },
+
+    /**
+     * V1: Distribute fees with fixed 80/20 split - stakers/treasury
+     */
+    distributeFees(feeData) {
+        const gross_swap_fees = feeData.gross_woofi_swap_fees;
+        const gross_perp_fees = feeData.gross_woofi_perp_fees;
+
+        // 1. SWAP FEES: Stream affiliate cuts (usually none), then 80/20 split
+        const swap_affiliate_cut = feeData.woofi_swap_affiliate_cut; // Only from revenue streams with an affiliate share
+        const net_swap_fees = gross_swap_fees - swap_affiliate_cut;
+        const swap_staker_rewards = net_swap_fees * this.simParams.woofi_staker_share; // 80%
+        const swap_treasury_inflow = net_swap_fees * (1 - this.simParams.woofi_staker_share); // 20%
+
+        // 2. PERP FEES: Affiliate cut first, then 80/20 split
+        const perp_affiliate_cut = feeData.woofi_perp_affiliate_cut; // 60% to Orderly/Affiliates
+        const net_perp_fees = gross_perp_fees - perp_affiliate_cut; // 40% remaining
+        const perp_staker_rewards = net_perp_fees * this.simParams.woofi_staker_share; // 80% of remaining
+        const perp_treasury_inflow = net_perp_fees * (1 - this.simParams.woofi_staker_share); // 20% of remaining
+
+        // 3. COMBINE TOTALS
+        const total_woofi_staker_rewards = swap_staker_rewards + perp_staker_rewards;
+        const total_woofi_treasury_inflow = swap_treasury_inflow + perp_treasury_inflow;
+        const total_affiliate_cut = swap_affiliate_cut + perp_affiliate_cut;
+
+        // Total staker rewards (WOOFi + WOO X)
+        const total_staker_rewards_usd = total_woofi_staker_rewards + feeData.woox_staker_rewards;
+
+        return {
+            // V1: No buyback allocation
+            buyback_burn_amount: 0,
+
+            // Updated distributions
+            affiliate_cut: total_affiliate_cut,
+            woofi_staker_rewards: total_woofi_staker_rewards,
+            woofi_treasury_inflow_usd: total_woofi_treasury_inflow,
+            woox_treasury_inflow_usd: feeData.woox_treasury_inflow,
+            total_staker_rewards_usd,
+            total_affiliate_cut,
+
+            // Fee recipient breakdown for tracking
+            staker_fees_total: total_woofi_staker_rewards + feeData.woox_staker_rewards,
+            treasury_fees_total: total_woofi_treasury_inflow + feeData.woox_treasury_inflow,
+            orderly_fees_total: total_affiliate_cut,
+            buyback_fees_total: 0 // V1: No buyback
+        };
+    },
+
+    /**
+     * V1: Calculate auto-compound purchases and treasury burn matching
+     */
+    calculateBuybackAndBurn(distributionData) {
+        const total_staker_rewards = distributionData.total_staker_rewards_usd;
+
+        // Debug: Check for invalid values
+        if (total_staker_rewards < 0 || !isFinite(total_staker_rewards)) {
+            console.error('Invalid staker rewards:', total_staker_rewards);
+            return { buyback_usd: 0, auto_compound_usd: 0, usdc_distribution: 0, market_purchase_tokens: 0, tokens_burned: 0, usdc_to_stakers: 0, woofi_tokens_burned: 0, woox_tokens_burned: 0 };
+        }
+
+        if (this.simState.woo_price <= 0 || !isFinite(this.simState.woo_price)) {
+            console.error('Invalid WOO price:', this.simState.woo_price);
+            return { buyback_usd: 0, auto_compound_usd: 0, usdc_distribution: 0, market_purchase_tokens: 0, tokens_burned: 0, usdc_to_stakers: 0, woofi_tokens_burned: 0, woox_tokens_burned: 0 };
+        }
+
+        // 1. Split staker rewards based on auto-compound adoption
+        const auto_compound_usd = total_staker_rewards * this.simParams.auto_compound_adoption_rate;
+        const usdc_distribution = total_staker_rewards - auto_compound_usd;
+
+        // 2. Auto-compound: Market purchase for stakers (filled under the scenario's price model)
+        const execution = this.executeMarketBuy(auto_compound_usd);
+        const market_purchase_tokens = auto_compound_usd > 0 ? execution.tokens : 0;
+
+        // 3. Treasury burn matching: Treasury burns tokens to match market purchases
+        const woofi_tokens_burned = Math.min(market_purchase_tokens, this.simState.woofi_treasury_balance);
+        const woox_tokens_burned = 0; // V1: Only WOOFi treasury burns
+        const tokens_burned = woofi_tokens_burned + woox_tokens_burned;
+
+        return {
+            buyback_usd: 0, // V1: No protocol buyback
+            auto_compound_usd,
+            usdc_distribution,
+            market_purchase_tokens,
+            tokens_burned,
+            usdc_to_stakers: usdc_distribution, // V1: Partial USDC to stakers
+            woofi_tokens_burned,
+            woox_tokens_burned,
+            execution
+        };
+    },
+
+    /**
+     * V1: Auto-compound purchases drive the temporary price impact
+     */
+    buyingPressure(burnData) {
+        return burnData.auto_compound_usd;
+    },
+
+    /**
+     * V1: Update treasury balances (inflow and burn depletion)
+     */
+    updateTreasury(distributionData, burnData) {
+        // WOO bought with the inflows under each treasury's asset policy (the rest is held as USDC)
+        const woofi_inflow_tokens = this.splitTreasuryInflow('woofi', distributionData.woofi_treasury_inflow_usd);
+        const woox_inflow_tokens = this.splitTreasuryInflow('woox', distributionData.woox_treasury_inflow_usd);
+
+        // V1: Treasury burns tokens to match auto-compound purchases (depletion risk)
+        this.simState.woofi_treasury_balance += woofi_inflow_tokens - burnData.woofi_tokens_burned;
+        this.simState.woox_treasury_balance += woox_inflow_tokens - burnData.woox_tokens_burned;
+
+        // Prevent negative treasury balances
+        this.simState.woofi_treasury_balance = Math.max(0, this.simState.woofi_treasury_balance);
+        this.simState.woox_treasury_balance = Math.max(0, this.simState.woox_treasury_balance);
+    },
+
+    /**
+     * V1: Update staker positions (auto-compound increases staked balance)
+     */
+    updateStakerPositions(burnData) {
+        // V1: Auto-compound purchases increase staked token balance
+        if (burnData.market_purchase_tokens > 0) {
+            this.simState.total_staked_woo += burnData.market_purchase_tokens;
+        }
+    },
+
+    /**
+     * V1: Auto-compound tracking
+     */
+    trackIntermediate(distributionData, burnData) {
+        this.simState.auto_compound_usd = burnData.auto_compound_usd;
+        this.simState.usdc_distribution = burnData.usdc_distribution;
+        this.simState.buyback_usd = 0; // V1: No buyback
+        this.simState.buyback_burn_amount = 0;
+    },
+
+    /**
+     * V1: Track auto-compound spending
+     */
+    recordHistory(burnData) {
+        this.simState.history.auto_compound_amounts.push(burnData.auto_compound_usd / 1e6);
+    },
+
+    /**
+     * V1: Single P/R ratio calculation (matching original V1 logic)
+     */
+    annualRatios(annual) {
+        const annualBurnValue = annual.sum('monthlyBurned') * this.simState.woo_price;
+        const totalAnnualValue = annual.sum('usdc_distributed') + annualBurnValue + annual.sum('auto_compound_amounts');
+        return { annual_pr_ratios: totalAnnualValue > 0 ? annual.marketCap / totalAnnualValue : Infinity };
+    }
+};
+
+ModelRegistry.register(TokenomicsV1);
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TokenomicsV1 };
+}
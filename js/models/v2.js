@@ -0,0 +1,213 @@
+/**
+ * V2 tokenomics model: configurable fee split with protocol buyback & burn
+ */
+
+// Headless usage: load the shared constants and the registry
+if (typeof ModelRegistry === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('../config.js'), require('./registry.js'));
+}
+
+const TokenomicsV2 = {
+    id: 'v2',
+    label: 'V2 - Direct Buyback Model',
+    summary: 'Configurable splits, protocol buyback, USDC rewards',
+
+    controls: {
+        buybackBurnShare: { param: 'buyback_burn_share', divisor: 100 },
+        stakerShare: { param: 'staker_share', divisor: 100 },
+        treasuryShare: { param: 'treasury_share', divisor: 100 },
+        wooxStakerBps: { param: 'woox_staker_bps', divisor: 10000 } // Convert bps to decimal
+    },
+
+    /**
+     * V2: Configurable fee splits
+     */
+    parameters(p) {
+        return {
+            buyback_burn_share: p.buyback_burn_share,
+            staker_share: p.staker_share,
+            treasury_share: p.treasury_share,
+            woox_staker_bps: p.woox_staker_bps
+        };
+    },
+
+    history: ['buyback_amounts', 'buyback_reserve', 'buyback_avg_price', 'buyback_distributed', 'buyback_held', 'buyback_held_usd'],
+    historyFlows: ['buyback_amounts', 'buyback_distributed', 'buyback_held', 'buyback_held_usd'],
+
+    ratios: [
+        { key: 'annual_pv_ratios_usd', label: 'USD Spent', element: 'pvRatioUSD', color: 'var(--primary-blue)' },
+        { key: 'annual_pv_ratios_market', label: 'Token Value', element: 'pvRatioMarket', color: 'var(--accent-teal)' }
+    ],
+    ratioDescription: 'V2: Shows dual ratios - USD spent (cash flow) vs current token value (market value)',
+    ratioTitle: year => `Year ${year} P/V Ratios`,
+    ratioTooltip: year => `Price-to-Value Distributed ratios for Year ${year}. USD Spent: Market Cap ÷ (USDC + USD spent on buybacks burned or distributed to stakers). Token Value: Market Cap ÷ (USDC + current value of tokens burned or distributed). Buybacks held by the treasury are not counted.`,
+
+    /**
+     * V2: Distribute fees with configurable splits - buyback/stakers/treasury
+     */
+    distributeFees(feeData) {
+        const gross_swap_fees = feeData.gross_woofi_swap_fees;
+        const gross_perp_fees = feeData.gross_woofi_perp_fees;
+
+        // 1. SWAP FEES: Stream affiliate cuts (usually none), then configurable split
+        const swap_affiliate_cut = feeData.woofi_swap_affiliate_cut; // Only from revenue streams with an affiliate share
+        const net_swap_fees = gross_swap_fees - swap_affiliate_cut;
+        const swap_buyback_amount = net_swap_fees * this.simParams.buyback_burn_share;
+        const swap_staker_rewards = net_swap_fees * this.simParams.staker_share;
+        const swap_treasury_inflow = net_swap_fees * this.simParams.treasury_share;
+
+        // 2. PERP FEES: Affiliate cut first, then configurable split
+        const perp_affiliate_cut = feeData.woofi_perp_affiliate_cut; // 60% to Orderly/Affiliates
+        const net_perp_fees = gross_perp_fees - perp_affiliate_cut; // 40% remaining
+        const perp_buyback_amount = net_perp_fees * this.simParams.buyback_burn_share;
+        const perp_staker_rewards = net_perp_fees * this.simParams.staker_share;
+        const perp_treasury_inflow = net_perp_fees * this.simParams.treasury_share;
+
+        // 3. COMBINE TOTALS
+        const total_buyback_burn_amount = swap_buyback_amount + perp_buyback_amount;
+        const total_woofi_staker_rewards = swap_staker_rewards + perp_staker_rewards;
+        const total_woofi_treasury_inflow = swap_treasury_inflow + perp_treasury_inflow;
+        const total_affiliate_cut = swap_affiliate_cut + perp_affiliate_cut;
+
+        // Total staker rewards (WOOFi + WOO X)
+        const total_staker_rewards_usd = total_woofi_staker_rewards + feeData.woox_staker_rewards;
+
+        return {
+            // V2: New buyback & burn allocation
+            buyback_burn_amount: total_buyback_burn_amount,
+
+            // Updated distributions
+            affiliate_cut: total_affiliate_cut,
+            woofi_staker_rewards: total_woofi_staker_rewards,
+            woofi_treasury_inflow_usd: total_woofi_treasury_inflow,
+            woox_treasury_inflow_usd: feeData.woox_treasury_inflow,
+            total_staker_rewards_usd,
+            total_affiliate_cut,
+
+            // Fee recipient breakdown for tracking
+            staker_fees_total: total_woofi_staker_rewards + feeData.woox_staker_rewards,
+            treasury_fees_total: total_woofi_treasury_inflow + feeData.woox_treasury_inflow,
+            orderly_fees_total: total_affiliate_cut,
+            buyback_fees_total: total_buyback_burn_amount
+        };
+    },
+
+    /**
+     * V2: Calculate protocol buyback and direct burn
+     */
+    calculateBuybackAndBurn(distributionData) {
+        const budget_usd = distributionData.buyback_burn_amount;
+        const usdc_to_stakers = distributionData.total_staker_rewards_usd;
+
+        // Debug: Check for invalid values
+        if (budget_usd < 0 || !isFinite(budget_usd)) {
+            console.error('Invalid buyback_usd:', budget_usd);
+            return { buyback_usd: 0, market_purchase_tokens: 0, tokens_burned: 0, usdc_to_stakers: 0, woofi_tokens_burned: 0, woox_tokens_burned: 0 };
+        }
+
+        if (this.simState.woo_price <= 0 || !isFinite(this.simState.woo_price)) {
+            console.error('Invalid WOO price:', this.simState.woo_price);
+            return { buyback_usd: 0, market_purchase_tokens: 0, tokens_burned: 0, usdc_to_stakers: 0, woofi_tokens_burned: 0, woox_tokens_burned: 0 };
+        }
+
+        // 1. Protocol market purchase with buyback funds (timed by the buyback strategy,
+        //    filled under the scenario's price model)
+        const { spend_usd: buyback_usd, execution } = this.executeBuyback(budget_usd);
+        const market_purchase_tokens = execution.tokens;
+
+        // 2. Purchased tokens go to the buyback destinations: burned, distributed to stakers or held by the treasury
+        const route = this.routeBuyback(market_purchase_tokens, buyback_usd);
+        const tokens_burned = route.burned_tokens;
+
+        return {
+            buyback_usd,
+            market_purchase_tokens,
+            tokens_burned,
+            buyback_distributed_tokens: route.distributed_tokens,
+            buyback_distributed_usd: route.distributed_usd,
+            buyback_held_tokens: route.held_tokens,
+            buyback_held_usd: route.held_usd,
+            usdc_to_stakers, // All staker rewards in USDC
+            woofi_tokens_burned: 0, // V2: No treasury burns
+            woox_tokens_burned: 0,
+            execution
+        };
+    },
+
+    /**
+     * V2: Protocol buybacks drive the temporary price impact
+     */
+    buyingPressure(burnData) {
+        return burnData.buyback_usd;
+    },
+
+    /**
+     * V2: Update treasury balances (accumulation only, no burns)
+     */
+    updateTreasury(distributionData, burnData) {
+        // WOO bought with the inflows under each treasury's asset policy (the rest is held as USDC)
+        const woofi_inflow_tokens = this.splitTreasuryInflow('woofi', distributionData.woofi_treasury_inflow_usd);
+        const woox_inflow_tokens = this.splitTreasuryInflow('woox', distributionData.woox_treasury_inflow_usd);
+
+        // V2: Both treasuries only accumulate (no burns); the WOOFi treasury also holds its buyback share
+        this.simState.woofi_treasury_balance += woofi_inflow_tokens + (burnData.buyback_held_tokens || 0); // No subtraction
+        this.simState.woox_treasury_balance += woox_inflow_tokens;
+    },
+
+    /**
+     * V2: Update staker positions (fee rewards are USDC; only distributed buybacks add stake)
+     */
+    updateStakerPositions(burnData) {
+        // V2: Bought-back WOO distributed to stakers is staked pro rata
+        if (burnData.buyback_distributed_tokens > 0) {
+            this.simState.total_staked_woo += burnData.buyback_distributed_tokens;
+        }
+    },
+
+    /**
+     * V2: Buyback tracking
+     */
+    trackIntermediate(distributionData, burnData) {
+        this.simState.buyback_usd = burnData.buyback_usd;
+        this.simState.buyback_burn_amount = distributionData.buyback_burn_amount;
+        this.simState.auto_compound_usd = 0; // V2: No auto-compound
+        this.simState.usdc_distribution = 0;
+    },
+
+    /**
+     * V2: Track buyback spending
+     */
+    recordHistory(burnData) {
+        this.simState.history.buyback_amounts.push(burnData.buyback_usd / 1e6);
+        this.simState.history.buyback_reserve.push(this.simState.buyback_reserve_usd / 1e6);
+        this.simState.history.buyback_distributed.push((burnData.buyback_distributed_tokens || 0) / 1e6);
+        this.simState.history.buyback_held.push((burnData.buyback_held_tokens || 0) / 1e6);
+        this.simState.history.buyback_held_usd.push((burnData.buyback_held_usd || 0) / 1e6);
+        
+        // Average execution price of every buyback so far (0 before the first fill)
+        const { cumulative_buyback_usd, cumulative_buyback_tokens } = this.simState;
+        this.simState.history.buyback_avg_price.push(cumulative_buyback_tokens > 0 ? cumulative_buyback_usd / cumulative_buyback_tokens : 0);
+    },
+
+    /**
+     * V2: Dual P/V ratio calculation (USD spent and current token value); buybacks held by
+     * the treasury stay with the protocol and are not counted as value distributed
+     */
+    annualRatios(annual) {
+        const annualUSDC = annual.sum('usdc_distributed');
+        const totalAnnualValueUSD = annualUSDC + annual.sum('buyback_amounts') - annual.sum('buyback_held_usd');
+        const annualBurnValue = (annual.sum('monthlyBurned') + annual.sum('buyback_distributed')) * this.simState.woo_price;
+        const totalAnnualValueMarket = annualUSDC + annualBurnValue;
+        return {
+            annual_pv_ratios_usd: totalAnnualValueUSD > 0 ? annual.marketCap / totalAnnualValueUSD : Infinity,
+            annual_pv_ratios_market: totalAnnualValueMarket > 0 ? annual.marketCap / totalAnnualValueMarket : Infinity
+        };
+    }
+};
+
+ModelRegistry.register(TokenomicsV2);
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TokenomicsV2 };
+}
@@ -0,0 +1,171 @@
+/**
+ * Monte Carlo mode for WOO tokenomics simulation
+ */
+
+// Headless usage: load the engine that the browser gets from simulation.js
+if (typeof WOOSimulation === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'), require('./simulation.js'));
+}
+
+/**
+ * Seeded uniform random generator (mulberry32) so runs are reproducible
+ */
+function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    const uniform = () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+
+    // Standard normal via Box-Muller
+    uniform.normal = () => {
+        const u1 = Math.max(uniform(), 1e-12);
+        const u2 = uniform();
+        return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+    };
+    return uniform;
+}
+
+class MonteCarloRunner {
+    /**
+     * Monthly volume samplers. Each returns one path of multipliers (mean ~1) per venue.
+     * Venues share a market shock weighted by `correlation`.
+     */
+    static VOLUME_DISTRIBUTIONS = {
+        // Independent lognormal months around the base volume
+        lognormal: (months, random, options) => {
+            const sigma = options.volatility;
+            return MonteCarloRunner.correlatedShocks(months, random, options.correlation)
+                .map(shocks => shocks.map(z => Math.exp(sigma * z - sigma * sigma / 2)));
+        },
+
+        // Geometric Brownian motion: volumes compound with monthly drift and volatility
+        gbm: (months, random, options) => {
+            const sigma = options.volatility;
+            const levels = [1, 1, 1];
+            return MonteCarloRunner.correlatedShocks(months, random, options.correlation)
+                .map(shocks => shocks.map((z, venue) => {
+                    levels[venue] *= Math.exp(options.drift - sigma * sigma / 2 + sigma * z);
+                    return levels[venue];
+                }));
+        },
+
+        // Two-state Markov regime (bull/bear) with lognormal noise inside each regime
+        regime: (months, random, options) => {
+            const sigma = options.volatility;
+            const { bull_multiplier, bear_multiplier, switch_probability } = options.regime;
+            let bull = true;
+            return MonteCarloRunner.correlatedShocks(months, random, options.correlation)
+                .map(shocks => {
+                    if (random() < switch_probability) bull = !bull;
+                    const level = bull ? bull_multiplier : bear_multiplier;
+                    return shocks.map(z => level * Math.exp(sigma * z - sigma * sigma / 2));
+                });
+        }
+    };
+
+    /**
+     * Standard normal shocks per month for [woofi_swap, woofi_perp, woox]
+     */
+    static correlatedShocks(months, random, correlation) {
+        const common = Math.sqrt(correlation);
+        const own = Math.sqrt(1 - correlation);
+        return Array.from({ length: months }, () => {
+            const market = random.normal();
+            return [0, 1, 2].map(() => common * market + own * random.normal());
+        });
+    }
+
+    /**
+     * Percentile (0-100) of a numeric array using linear interpolation
+     */
+    static percentile(values, pct) {
+        const sorted = [...values].sort((a, b) => a - b);
+        if (sorted.length === 0) return null;
+        const rank = (pct / 100) * (sorted.length - 1);
+        const lower = Math.floor(rank);
+        const upper = Math.ceil(rank);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+    }
+
+    /**
+     * Sample one volume path (USD per month) around the scheduled (or flat) base volumes, WOOFi
+     * volumes following the revenue streams when they are defined
+     */
+    sampleVolumePath(params, random, options) {
+        const sampler = MonteCarloRunner.VOLUME_DISTRIBUTIONS[options.distribution];
+        if (!sampler) {
+            throw new Error(`Unknown volume distribution: ${options.distribution}`);
+        }
+
+        const base = WOOSimulation.scheduledVolumes(params) || VolumeSchedule.build(params);
+        return sampler(params.simulation_months, random, options).map((multipliers, month) => ({
+            woofi_swap: base[month].woofi_swap * multipliers[0],
+            woofi_perp: base[month].woofi_perp * multipliers[1],
+            woox: base[month].woox * multipliers[2]
+        }));
+    }
+
+    /**
+     * Run N seeded paths and return P5/P50/P95 bands per month, with the number of paths
+     * still running each month (`surviving`)
+     */
+    run(params = {}, modelVersion = 'v2', options = {}) {
+        const settings = { ...CONFIG.MONTE_CARLO, ...options, regime: { ...CONFIG.MONTE_CARLO.regime, ...options.regime } };
+        const baseParams = { ...DEFAULT_PARAMS, ...params };
+        const random = createSeededRandom(settings.seed);
+
+        // Series collected per path, indexed [path][month]
+        const series = { price: [], cumulative_burned: [], woofi_treasury: [], woox_treasury: [] };
+        let months = [];
+
+        for (let path = 0; path < settings.paths; path++) {
+            const simulation = new WOOSimulation({ verbose: false });
+            simulation.initializeWithParams({
+                ...baseParams,
+                volume_path: this.sampleVolumePath(baseParams, random, settings)
+            }, modelVersion);
+
+            const history = simulation.runToCompletion();
+            if (history.months.length > months.length) months = [...history.months];
+            Object.keys(series).forEach(key => series[key].push(history[key]));
+        }
+
+        // Paths that ended early (e.g. V1 depletion) hold their last state, so every month ranks all paths
+        const surviving = months.map((_, i) => series.price.filter(path => i < path.length).length);
+        Object.keys(series).forEach(key => {
+            series[key] = series[key].map(path => months.map((_, i) => path[Math.min(i, path.length - 1)]));
+        });
+
+        // Percentile bands per month
+        const bands = {};
+        Object.keys(series).forEach(key => {
+            bands[key] = {};
+            settings.percentiles.forEach(pct => {
+                bands[key][`p${pct}`] = months.map((_, i) => {
+                    const values = series[key].map(path => path[i]).filter(value => value !== undefined);
+                    return MonteCarloRunner.percentile(values, pct);
+                });
+            });
+        });
+
+        return {
+            model: modelVersion,
+            paths: settings.paths,
+            seed: settings.seed,
+            distribution: settings.distribution,
+            percentiles: settings.percentiles,
+            months,
+            surviving,
+            bands
+        };
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MonteCarloRunner, createSeededRandom };
+}
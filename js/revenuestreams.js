@@ -0,0 +1,93 @@
+/**
+ * WOOFi revenue streams (per chain or product) for WOO tokenomics simulation
+ */
+
+// Headless usage: load the shared constants and the schedule multipliers streams reuse
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'));
+}
+if (typeof VolumeSchedule === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./volumeschedule.js'));
+}
+
+class RevenueStreams {
+    /**
+     * Volume venue each stream product feeds
+     */
+    static VENUES = { swap: 'woofi_swap', perp: 'woofi_perp' };
+
+    /**
+     * Streams used when none are defined: all WOOFi swap and perp volume as one stream each
+     */
+    static IMPLICIT = [
+        { id: 'woofi_swap', label: 'WOOFi Swap', product: 'swap', color: CONFIG.CHART_COLORS.volume_swap },
+        { id: 'woofi_perp', label: 'WOOFi Perp', product: 'perp', color: CONFIG.CHART_COLORS.volume_perp }
+    ];
+
+    /**
+     * Streams from `params.revenue_streams`, each filled in from its CONFIG.REVENUE_STREAMS default
+     * (streams not in CONFIG.REVENUE_STREAMS need a product and daily_volume). An unset fee_rate or
+     * affiliate_share is left to the engine, which applies the product's fee rate and the perp affiliate cut.
+     */
+    static streams(params) {
+        if (!params.revenue_streams?.length) return [];
+
+        return params.revenue_streams.map(stream => {
+            const defaults = CONFIG.REVENUE_STREAMS.streams.find(entry => entry.id === stream.id) || {};
+            const merged = { product: 'swap', daily_volume: 0, schedule: null, ...defaults, ...stream };
+            if (!RevenueStreams.VENUES[merged.product]) {
+                throw new Error(`Unknown product '${merged.product}' for revenue stream ${merged.id}`);
+            }
+            return merged;
+        });
+    }
+
+    /**
+     * Build a per-month volume path ({ streamId: USD per month } per month) from engine params
+     *
+     * Stream fields:
+     * - id, label, color: chart series
+     * - product: 'swap' | 'perp' (the WOOFi volume the stream is part of)
+     * - daily_volume: USD per day
+     * - fee_rate: fee on volume as a decimal (defaults to the product's fee rate, see FeeSchedule.rates)
+     * - affiliate_share: share of the stream's fees paid to affiliates (defaults to the affiliate cut for perps, 0 for swaps)
+     * - schedule: { growth, seasonality, steps: [{ month, multiplier }], series } shaped like
+     *   a volume schedule (see VolumeSchedule.build); series are daily USD per month
+     */
+    static build(params) {
+        const p = { ...DEFAULT_PARAMS, ...params };
+        const streams = RevenueStreams.streams(p);
+
+        return Array.from({ length: p.simulation_months }, (_, month) => {
+            const entry = {};
+            streams.forEach(stream => {
+                const schedule = stream.schedule || {};
+                const series = schedule.series;
+                const daily = series?.length ? series[Math.min(month, series.length - 1)] : stream.daily_volume;
+                const steps = (schedule.steps || [])
+                    .filter(step => month + 1 >= step.month)
+                    .reduce((product, step) => product * step.multiplier, 1);
+                // Series are taken as given, so growth only shapes the flat base
+                const growth = series?.length ? 1 : VolumeSchedule.growthMultiplier(schedule.growth, month);
+                entry[stream.id] = daily * 30 * growth * VolumeSchedule.seasonalMultiplier(schedule.seasonality, month) * steps;
+            });
+            return entry;
+        });
+    }
+
+    /**
+     * WOOFi swap and perp volumes (USD) for one month of a stream path
+     */
+    static venueVolumes(streams, entry) {
+        const volumes = { woofi_swap: 0, woofi_perp: 0 };
+        streams.forEach(stream => {
+            volumes[RevenueStreams.VENUES[stream.product]] += entry[stream.id] || 0;
+        });
+        return volumes;
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { RevenueStreams };
+}
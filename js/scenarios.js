@@ -0,0 +1,172 @@
+/**
+ * Named scenario library for WOO tokenomics simulation
+ */
+
+// Headless usage: load presets and defaults from config.js
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'));
+}
+
+class ScenarioLibrary {
+    /**
+     * @param {Storage|null} storage - localStorage-compatible store (in-memory when unavailable)
+     */
+    constructor(storage = globalThis.localStorage ?? null) {
+        this.storage = storage;
+        this.memory = [];
+    }
+
+    /**
+     * Built-in presets as full scenarios (read-only)
+     */
+    static getPresets() {
+        return SCENARIO_PRESETS.map(preset => ({
+            ...preset,
+            preset: true,
+            approach: 'system-dynamics',
+            parameters: { ...DEFAULT_VALUES, ...preset.parameters }
+        }));
+    }
+
+    /**
+     * Read saved scenarios from storage
+     */
+    load() {
+        if (!this.storage) return [...this.memory];
+        try {
+            const raw = this.storage.getItem(CONFIG.SCENARIOS.storage_key);
+            const data = raw ? JSON.parse(raw) : null;
+            return Array.isArray(data?.scenarios) ? data.scenarios : [];
+        } catch (error) {
+            console.error('Failed to read scenario library:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Write saved scenarios to storage
+     */
+    persist(scenarios) {
+        if (!this.storage) {
+            this.memory = [...scenarios];
+            return;
+        }
+        this.storage.setItem(CONFIG.SCENARIOS.storage_key, JSON.stringify({
+            version: CONFIG.SCENARIOS.version,
+            scenarios
+        }));
+    }
+
+    /**
+     * Presets followed by saved scenarios
+     */
+    list() {
+        return [...ScenarioLibrary.getPresets(), ...this.load()];
+    }
+
+    /**
+     * Find a preset or saved scenario by id
+     */
+    get(id) {
+        return this.list().find(scenario => scenario.id === id) || null;
+    }
+
+    /**
+     * Save a scenario (a saved scenario with the same name is replaced), including the structured
+     * editors' state (see UIManager.getConfiguration)
+     */
+    save({ name, tag = '', description = '', model = 'v2', approach = 'system-dynamics', parameters = {}, structured = {} }) {
+        const trimmedName = (name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Scenario name is required');
+        }
+
+        const scenarios = this.load();
+        const existing = scenarios.find(scenario => scenario.name === trimmedName);
+        const scenario = {
+            id: existing?.id || `scenario-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            name: trimmedName,
+            tag: tag.trim(),
+            description: description.trim(),
+            timestamp: new Date().toISOString(),
+            model,
+            approach,
+            parameters: { ...parameters },
+            structured: JSON.parse(JSON.stringify(structured))
+        };
+
+        this.persist(existing
+            ? scenarios.map(saved => saved.id === existing.id ? scenario : saved)
+            : [...scenarios, scenario]);
+        return scenario;
+    }
+
+    /**
+     * Delete a saved scenario (presets cannot be deleted)
+     */
+    remove(id) {
+        const scenarios = this.load();
+        const remaining = scenarios.filter(scenario => scenario.id !== id);
+        if (remaining.length === scenarios.length) return false;
+        this.persist(remaining);
+        return true;
+    }
+
+    /**
+     * Parameters (and model) that differ between two scenarios; structured editors saved in both are
+     * compared field by field (`vesting.tranches.team.amount`), one saved in only one is a single row
+     */
+    static diff(a, b) {
+        const same = (x, y) => {
+            if (x === undefined || y === undefined) return x === y;
+            const nx = Number(x);
+            const ny = Number(y);
+            return x !== '' && y !== '' && !isNaN(nx) && !isNaN(ny) ? nx === ny : String(x) === String(y);
+        };
+
+        const rows = [];
+        if (a.model !== b.model) {
+            rows.push({ key: 'model', a: a.model, b: b.model });
+        }
+
+        const keys = [...new Set([...Object.keys(a.parameters || {}), ...Object.keys(b.parameters || {})])];
+        keys.forEach(key => {
+            const valueA = a.parameters?.[key];
+            const valueB = b.parameters?.[key];
+            if (!same(valueA, valueB)) {
+                rows.push({ key, a: valueA ?? null, b: valueB ?? null });
+            }
+        });
+
+        const sections = [...new Set([...Object.keys(a.structured || {}), ...Object.keys(b.structured || {})])];
+        sections.forEach(section => {
+            const sectionA = a.structured?.[section];
+            const sectionB = b.structured?.[section];
+            if (!sectionA || !sectionB) {
+                rows.push({ key: section, a: sectionA ? 'saved' : null, b: sectionB ? 'saved' : null });
+                return;
+            }
+            const fieldsA = ScenarioLibrary.flatten(sectionA, section);
+            const fieldsB = ScenarioLibrary.flatten(sectionB, section);
+            [...new Set([...Object.keys(fieldsA), ...Object.keys(fieldsB)])].forEach(key => {
+                if (!same(fieldsA[key], fieldsB[key])) {
+                    rows.push({ key, a: fieldsA[key] ?? null, b: fieldsB[key] ?? null });
+                }
+            });
+        });
+        return rows;
+    }
+
+    /**
+     * Leaf values of a nested object or array by dotted path
+     */
+    static flatten(value, prefix) {
+        if (value === null || typeof value !== 'object') return { [prefix]: value };
+        return Object.assign({}, ...Object.entries(value).map(([key, child]) => ScenarioLibrary.flatten(child, `${prefix}.${key}`)));
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ScenarioLibrary };
+}
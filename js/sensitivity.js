@@ -0,0 +1,199 @@
+/**
+ * Parameter sensitivity analysis for WOO tokenomics simulation
+ */
+
+// Headless usage: load the engine and seeded random generator (each checked on its own, since
+// other modules may already have loaded the engine without the generator)
+if (typeof WOOSimulation === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'), require('./simulation.js'));
+}
+if (typeof createSeededRandom === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./montecarlo.js'));
+}
+
+class SensitivityAnalyzer {
+    /**
+     * Output metrics evaluated on a finished simulation state
+     */
+    static METRICS = {
+        final_price: {
+            label: 'Final Price (USD)',
+            evaluate: (state) => state.history.price[state.history.price.length - 1] ?? null
+        },
+        cumulative_burned: {
+            label: 'Cumulative Burned (M WOO)',
+            evaluate: (state) => state.history.cumulative_burned[state.history.cumulative_burned.length - 1] ?? 0
+        },
+        pv_ratio: {
+            label: 'Year-N P/V Ratio',
+            // The model's first ratio: V1 P/R, V2 USD-spent P/V
+            evaluate: (state, year, modelVersion) => {
+                const ratios = state[ModelRegistry.get(modelVersion).ratios[0]?.key];
+                return ratios?.[year - 1] ?? null;
+            }
+        }
+    };
+
+    constructor(modelVersion = 'v2', options = {}) {
+        this.modelVersion = modelVersion;
+        this.settings = { ...CONFIG.SENSITIVITY, ...options };
+        this.factorKeys = options.factorKeys || Object.keys(this.settings.factors);
+    }
+
+    /**
+     * Run one simulation and evaluate every metric
+     */
+    evaluate(params, year) {
+        const simulation = new WOOSimulation({ verbose: false });
+        simulation.initializeWithParams(params, this.modelVersion);
+        simulation.runToCompletion();
+        const state = simulation.getState();
+
+        const outputs = {};
+        Object.entries(SensitivityAnalyzer.METRICS).forEach(([key, metric]) => {
+            outputs[key] = metric.evaluate(state, year, this.modelVersion);
+        });
+        return outputs;
+    }
+
+    /**
+     * Set a factor on a parameter object (fee and buyback destination shares keep their split at 100%)
+     */
+    applyFactor(params, key, value) {
+        if (WOOSimulation.shareSplit(key)) {
+            return WOOSimulation.rebalanceFeeSplit(params, key, value);
+        }
+        return { ...params, [key]: value };
+    }
+
+    /**
+     * Year used for the P/V metric (defaults to the last full year, capped at 3)
+     */
+    resolveYear(params, year) {
+        const fullYears = Math.floor(params.simulation_months / 12);
+        return Math.max(1, Math.min(year || Math.min(3, fullYears), fullYears));
+    }
+
+    /**
+     * One-at-a-time: move each factor ±delta around its current value
+     */
+    runOneAtATime(params = {}, options = {}) {
+        const baseParams = { ...DEFAULT_PARAMS, ...params };
+        const delta = options.delta ?? this.settings.oat_delta;
+        const year = this.resolveYear(baseParams, options.year);
+        const base = this.evaluate(baseParams, year);
+
+        const factors = this.factorKeys.map(key => {
+            const range = this.settings.factors[key];
+            const clamp = value => Math.min(range.max, Math.max(range.min, value));
+            const low_value = clamp(baseParams[key] * (1 - delta));
+            const high_value = clamp(baseParams[key] * (1 + delta));
+
+            const low = this.evaluate(this.applyFactor(baseParams, key, low_value), year);
+            const high = this.evaluate(this.applyFactor(baseParams, key, high_value), year);
+
+            const outputs = {};
+            Object.keys(SensitivityAnalyzer.METRICS).forEach(metric => {
+                const swing = low[metric] !== null && high[metric] !== null ? Math.abs(high[metric] - low[metric]) : null;
+                outputs[metric] = { low: low[metric], high: high[metric], swing };
+            });
+
+            return { key, label: range.label, base_value: baseParams[key], low_value, high_value, outputs };
+        });
+
+        return { method: 'oat', model: this.modelVersion, year, delta, base, factors };
+    }
+
+    /**
+     * Morris elementary effects: global screening over each factor's full range
+     */
+    runMorris(params = {}, options = {}) {
+        const baseParams = { ...DEFAULT_PARAMS, ...params };
+        const trajectories = options.trajectories ?? this.settings.morris_trajectories;
+        const levels = options.levels ?? this.settings.morris_levels;
+        const random = createSeededRandom(options.seed ?? this.settings.seed);
+        const year = this.resolveYear(baseParams, options.year);
+
+        const k = this.factorKeys.length;
+        const delta = levels / (2 * (levels - 1));
+        const startLevels = Math.floor(levels / 2); // Start points that still allow a +delta step
+        const metrics = Object.keys(SensitivityAnalyzer.METRICS);
+        const effects = this.factorKeys.map(() => Object.fromEntries(metrics.map(metric => [metric, []])));
+
+        // Map a point in the unit hypercube onto parameter ranges
+        const toParams = point => point.reduce((result, x, i) => {
+            const range = this.settings.factors[this.factorKeys[i]];
+            return this.applyFactor(result, this.factorKeys[i], range.min + x * (range.max - range.min));
+        }, baseParams);
+
+        for (let t = 0; t < trajectories; t++) {
+            const point = Array.from({ length: k }, () => Math.floor(random() * startLevels) / (levels - 1));
+            const order = this.factorKeys.map((_, i) => i);
+            for (let i = order.length - 1; i > 0; i--) {
+                const j = Math.floor(random() * (i + 1));
+                [order[i], order[j]] = [order[j], order[i]];
+            }
+            let previous = this.evaluate(toParams(point), year);
+
+            order.forEach(i => {
+                point[i] += delta;
+                const current = this.evaluate(toParams(point), year);
+                metrics.forEach(metric => {
+                    if (current[metric] !== null && previous[metric] !== null) {
+                        effects[i][metric].push((current[metric] - previous[metric]) / delta);
+                    }
+                });
+                previous = current;
+            });
+        }
+
+        const factors = this.factorKeys.map((key, i) => {
+            const outputs = {};
+            metrics.forEach(metric => {
+                const values = effects[i][metric];
+                const n = values.length;
+                const mu = n ? values.reduce((sum, v) => sum + v, 0) / n : null;
+                const mu_star = n ? values.reduce((sum, v) => sum + Math.abs(v), 0) / n : null;
+                const sigma = n > 1 ? Math.sqrt(values.reduce((sum, v) => sum + (v - mu) ** 2, 0) / (n - 1)) : null;
+                outputs[metric] = { mu, mu_star, sigma };
+            });
+            return { key, label: this.settings.factors[key].label, outputs };
+        });
+
+        return { method: 'morris', model: this.modelVersion, year, trajectories, levels, factors };
+    }
+
+    /**
+     * Factors sorted by influence on one metric (largest first)
+     */
+    static rankFactors(result, metric) {
+        const score = factor => (result.method === 'oat' ? factor.outputs[metric].swing : factor.outputs[metric].mu_star) ?? -1;
+        return [...result.factors].sort((a, b) => score(b) - score(a));
+    }
+
+    /**
+     * CSV table of a sensitivity result (one row per factor and metric)
+     */
+    static toCSV(result) {
+        const metrics = Object.keys(SensitivityAnalyzer.METRICS);
+        const rows = result.method === 'oat'
+            ? [['Factor', 'Base Value', 'Low Value', 'High Value', 'Metric', 'Base Output', 'Low Output', 'High Output', 'Swing']]
+            : [['Factor', 'Metric', 'mu', 'mu*', 'sigma']];
+
+        result.factors.forEach(factor => {
+            metrics.forEach(metric => {
+                const out = factor.outputs[metric];
+                rows.push(result.method === 'oat'
+                    ? [factor.label, factor.base_value, factor.low_value, factor.high_value, metric, result.base[metric], out.low, out.high, out.swing]
+                    : [factor.label, metric, out.mu, out.mu_star, out.sigma]);
+            });
+        });
+
+        return rows.map(row => row.map(value => value ?? '').join(',')).join('\n');
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SensitivityAnalyzer };
+}
@@ -0,0 +1,196 @@
+/**
+ * Shareable URL-hash encoding of simulation controls
+ *
+ * Format: #v=<version>&m=<model>&p=<value_value_...>[&s=<structured>][&a=agent-based][&run=1]
+ * Values follow the key order of their format version; empty entries keep the default.
+ * Version 2 writes dropdowns by name (`daily`, `amm`, ...) and adds `s`: the structured
+ * settings (schedules, streams, ...) as compact JSON in base64url.
+ */
+
+// Headless usage: load the constants and model registry that the browser gets from config.js and js/models/
+if (typeof LiquidityModel === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'), require('./liquidity.js'));
+}
+if (typeof ModelRegistry === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./models/registry.js'), require('./models/v1.js'), require('./models/v2.js'), require('./models/hybrid.js'));
+}
+
+class ShareLink {
+    static VERSION = 2;
+    static DEFAULT_APPROACH = 'system-dynamics';
+    static APPROACHES = ['system-dynamics', 'agent-based'];
+
+    /**
+     * Control keys by the format version that set their order (append-only: add a new version to
+     * reorder or remove); versions without an entry use the latest earlier one
+     */
+    static KEYS = {
+        1: [
+            'simulationDuration',
+            'woofiSwapVolume',
+            'woofiPerpVolume',
+            'wooxVolume',
+            'woofiTradingFeeRate',
+            'autoCompoundRate',
+            'woofiStakerShare',
+            'buybackBurnShare',
+            'stakerShare',
+            'treasuryShare',
+            'wooxStakerBps',
+            'affiliateCut',
+            'circulatingSupply',
+            'initialStaked',
+            'initialWoofiTreasury',
+            'initialWooxTreasury',
+            'supplyElasticity',
+            'buyingPressureElasticity',
+            'buyingPressureDecay',
+            'stakingFlowRate',
+            'opportunityYield',
+            'unstakeCooldown',
+            'treasuryOpex',
+            'treasuryGrants',
+            'treasuryMarketMaking',
+            'treasuryIncentives',
+            'treasurySpendWoofiShare',
+            'woofiTreasuryWooShare',
+            'wooxTreasuryWooShare',
+            'priceModel',
+            'ammLiquidity',
+            'orderbookDepth',
+            'orderbookDepthExponent',
+            'buybackStrategy',
+            'buybackMaMonths',
+            'buybackMonthlyCap',
+            'timestep',
+            'treasuryMatchRate',
+            'buybackDestBurn',
+            'buybackDestStakers',
+            'buybackDestTreasury'
+        ]
+    };
+
+    /**
+     * Dropdown controls and the names of their options by index
+     */
+    static ENUMS = {
+        timestep: () => CONFIG.TIMESTEPS,
+        priceModel: () => LiquidityModel.MODELS,
+        buybackStrategy: () => CONFIG.BUYBACK_STRATEGIES
+    };
+
+    /**
+     * Encode a configuration ({ model, approach, parameters, structured }) as a URL hash
+     */
+    static encode(config, options = {}) {
+        const keys = ShareLink.keys(ShareLink.VERSION);
+        const values = keys.map(key => {
+            const value = config.parameters?.[key];
+            if (value === undefined || value === null) return '';
+            const name = ShareLink.ENUMS[key]?.()[value];
+            return encodeURIComponent(String(name ?? value)).replace(/_/g, '%5F');
+        });
+
+        let hash = `#v=${ShareLink.VERSION}&m=${config.model || 'v2'}&p=${values.join('_')}`;
+        if (config.structured && Object.keys(config.structured).length) {
+            hash += `&s=${ShareLink.toBase64Url(JSON.stringify(config.structured))}`;
+        }
+        if (config.approach && config.approach !== ShareLink.DEFAULT_APPROACH) hash += `&a=${config.approach}`;
+        if (options.autoRun) hash += '&run=1';
+        return hash;
+    }
+
+    /**
+     * Decode a URL hash into { model, approach, parameters, structured, autoRun } (null when absent or unsupported)
+     */
+    static decode(hash) {
+        if (!hash || hash.length < 2) return null;
+
+        const query = new URLSearchParams(hash.replace(/^#/, ''));
+        const version = parseInt(query.get('v'));
+        const keys = ShareLink.keys(version);
+        if (!keys || !query.has('p')) {
+            if (query.has('v')) console.warn(`Unsupported share link version: ${query.get('v')}`);
+            return null;
+        }
+
+        // Split before unescaping: values escape their own underscores
+        const values = hash.match(/(?:^|[#&])p=([^&]*)/);
+        if (!values) return null;
+
+        const parameters = {};
+        values[1].split('_').forEach((raw, index) => {
+            if (index >= keys.length || raw === '') return;
+            let text;
+            try {
+                text = decodeURIComponent(raw);
+            } catch (error) {
+                console.warn(`Ignoring malformed share link value for ${keys[index]}`);
+                return;
+            }
+            const value = ShareLink.parseValue(keys[index], text);
+            if (value !== null) parameters[keys[index]] = value;
+        });
+
+        let structured = {};
+        if (query.has('s')) {
+            try {
+                structured = JSON.parse(ShareLink.fromBase64Url(query.get('s')));
+            } catch (error) {
+                console.warn('Ignoring unreadable structured settings in share link:', error.message);
+            }
+        }
+
+        const model = query.get('m');
+        return {
+            model: ModelRegistry.has(model) ? model : null,
+            approach: ShareLink.APPROACHES.includes(query.get('a')) ? query.get('a') : ShareLink.DEFAULT_APPROACH,
+            parameters,
+            structured: structured && typeof structured === 'object' && !Array.isArray(structured) ? structured : {},
+            autoRun: query.get('run') === '1'
+        };
+    }
+
+    /**
+     * Control keys of a format version (null when unsupported)
+     */
+    static keys(version) {
+        if (!(version >= 1 && version <= ShareLink.VERSION)) return null;
+        const defined = Object.keys(ShareLink.KEYS).map(Number).filter(entry => entry <= version);
+        return ShareLink.KEYS[Math.max(...defined)];
+    }
+
+    /**
+     * Control value as stored in the controls (null when invalid): numbers, or for dropdowns
+     * an option name or index (names become the option's index)
+     */
+    static parseValue(key, value) {
+        const names = ShareLink.ENUMS[key]?.();
+        if (names) {
+            const index = names.includes(value) ? names.indexOf(value) : Number(value);
+            return Number.isInteger(index) && index >= 0 && index < names.length ? String(index) : null;
+        }
+        return isNaN(Number(value)) ? null : value;
+    }
+
+    /**
+     * UTF-8 text to unpadded base64url (and back)
+     */
+    static toBase64Url(text) {
+        let binary = '';
+        new TextEncoder().encode(text).forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    static fromBase64Url(encoded) {
+        const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+        return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ShareLink };
+}
@@ -2,97 +2,205 @@
  * Core simulation logic for WOO tokenomics
  */
 
+// Headless usage: load the shared constants that the browser gets from config.js
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'));
+}
+if (typeof VolumeSchedule === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./volumeschedule.js'));
+}
+if (typeof VestingSchedule === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./vesting.js'));
+}
+if (typeof RevenueStreams === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./revenuestreams.js'));
+}
+if (typeof FeeSchedule === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./feeschedule.js'));
+}
+if (typeof LiquidityModel === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./liquidity.js'));
+}
+if (typeof ModelRegistry === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./models/registry.js'), require('./models/v1.js'), require('./models/v2.js'), require('./models/hybrid.js'));
+}
+
 class WOOSimulation {
-    constructor() {
+    /**
+     * History series that are per-timestep flows (summed into the month when timesteps are finer
+     * than a month); HISTORY_RATES are averaged and every other series takes its month-end value
+     */
+    static HISTORY_FLOWS = [
+        'monthlyBurned', 'marketPurchases', 'naive_purchases', 'permImpact', 'usdc_distributed',
+        'treasury_inflows', 'woofi_fees_generated', 'woox_fees_generated', 'woox_treasury_inflows',
+        'staker_fees_received', 'treasury_fees_received', 'orderly_fees_received', 'buyback_fees_received',
+        'staking_flow', 'staker_revenue_per_woo', 'staker_position_usd', 'treasury_spend_usd', 'treasury_sold', 'treasury_spend_shortfall',
+        'treasury_conversion_usd', 'unlocked', 'unlock_sold', 'unlocked_by_tranche', 'woofi_fees_by_stream'
+    ];
+    static HISTORY_RATES = ['execution_price', 'post_trade_price', 'purchase_slippage', 'staker_apr'];
+
+    /**
+     * Engine params that shape the whole run; scheduled parameter changes leave them as initialized
+     */
+    static RUN_PARAMS = ['simulation_months', 'steps_per_month', 'initial_circulating_supply', 'vesting_tranches', 'unlock_path', 'revenue_streams', 'revenue_stream_path', 'parameter_schedule'];
+
+    /**
+     * Share params that always sum to 100%: the V2 fee split and the buyback destination
+     */
+    static SHARE_SPLITS = [
+        ['buyback_burn_share', 'staker_share', 'treasury_share'],
+        ['buyback_dest_burn', 'buyback_dest_stakers', 'buyback_dest_treasury']
+    ];
+
+    constructor(options = {}) {
         this.simState = {};
         this.simParams = {};
         this.simInterval = null;
+        this.verbose = options.verbose ?? true; // Debug logging (disable for batch runs)
+        this.lastError = null; // Engine error that stopped the last run (rethrown by runToCompletion)
     }
 
     /**
-     * Initialize simulation with parameters and initial state
+     * Initialize simulation from DOM controls (reads `.value` strings)
      */
     initialize(controls, modelVersion = 'v2') {
+        this.initializeWithParams(WOOSimulation.paramsFromControls(controls), modelVersion);
+    }
+
+    /**
+     * Convert UI controls into a plain parameter object (see DEFAULT_PARAMS for units)
+     */
+    static paramsFromControls(controls) {
+        const read = (key, convert = value => value) =>
+            controls[key] ? convert(parseFloat(controls[key].value)) : undefined;
+        
+        const params = {
+            simulation_months: controls.simulationDuration ? parseInt(controls.simulationDuration.value) : undefined,
+            daily_woofi_swap_volume: read('woofiSwapVolume', v => v * 1_000_000),
+            daily_woofi_perp_volume: read('woofiPerpVolume', v => v * 1_000_000),
+            daily_woox_volume: read('wooxVolume', v => v * 1_000_000),
+            woofi_fee_rate: read('woofiTradingFeeRate', v => v / 100 / 100),
+            affiliate_share: read('affiliateCut', v => v / 100),
+            staking_flow_sensitivity: read('stakingFlowRate', v => v / 100),
+            opportunity_yield: read('opportunityYield', v => v / 100),
+            unstake_cooldown_months: read('unstakeCooldown', v => Math.round(v)),
+            treasury_spend_woofi_share: read('treasurySpendWoofiShare', v => v / 100),
+            woofi_treasury_woo_share: read('woofiTreasuryWooShare', v => v / 100),
+            woox_treasury_woo_share: read('wooxTreasuryWooShare', v => v / 100),
+            supply_elasticity: read('supplyElasticity'),
+            buying_pressure_elasticity: read('buyingPressureElasticity'),
+            buying_pressure_decay: read('buyingPressureDecay', v => v / 100),
+            price_model: read('priceModel', v => LiquidityModel.MODELS[v]),
+            amm_liquidity_usd: read('ammLiquidity', v => v * 1_000_000),
+            orderbook_depth_usd: read('orderbookDepth', v => v * 1_000_000),
+            orderbook_depth_exponent: read('orderbookDepthExponent'),
+            buyback_strategy: read('buybackStrategy', v => CONFIG.BUYBACK_STRATEGIES[v]),
+            buyback_ma_months: read('buybackMaMonths', v => Math.round(v)),
+            buyback_monthly_cap_usd: read('buybackMonthlyCap', v => v * 1_000_000),
+            buyback_dest_burn: read('buybackDestBurn', v => v / 100),
+            buyback_dest_stakers: read('buybackDestStakers', v => v / 100),
+            buyback_dest_treasury: read('buybackDestTreasury', v => v / 100),
+            timestep: read('timestep', v => CONFIG.TIMESTEPS[v]),
+            initial_circulating_supply: read('circulatingSupply', v => v * 1_000_000),
+            initial_staked: read('initialStaked', v => v * 1_000_000),
+            initial_woofi_treasury: read('initialWoofiTreasury', v => v * 1_000_000),
+            initial_woox_treasury: read('initialWooxTreasury', v => v * 1_000_000)
+        };
+        
+        // Treasury spending policies ($M per month); the engine fills missing budgets from DEFAULT_PARAMS
+        const spending = {
+            opex: read('treasuryOpex', v => v * 1_000_000),
+            grants: read('treasuryGrants', v => v * 1_000_000),
+            market_making: read('treasuryMarketMaking', v => v * 1_000_000),
+            liquidity_incentives: read('treasuryIncentives', v => v * 1_000_000)
+        };
+        if (Object.values(spending).some(value => value !== undefined)) {
+            params.treasury_spending = {};
+            Object.entries(spending).forEach(([key, value]) => {
+                if (value !== undefined) params.treasury_spending[key] = value;
+            });
+        }
+        
+        // Model-specific controls declared by each registered model
+        ModelRegistry.list().forEach(model => {
+            Object.entries(model.controls).forEach(([key, control]) => {
+                params[control.param] = read(key, v => v / (control.divisor ?? 1));
+            });
+        });
+        
+        // Drop missing controls so DEFAULT_PARAMS fill the gaps
+        Object.keys(params).forEach(key => {
+            if (params[key] === undefined) delete params[key];
+        });
+        return params;
+    }
+
+    /**
+     * The SHARE_SPLITS group a param belongs to (null for other params)
+     */
+    static shareSplit(key) {
+        return WOOSimulation.SHARE_SPLITS.find(keys => keys.includes(key)) || null;
+    }
+
+    /**
+     * Set one share of a split (V2 fee split or buyback destination) and rescale the other
+     * two proportionally so the split still sums to 100% (same rule as the auto-balancing sliders)
+     */
+    static rebalanceFeeSplit(params, shareKey, share) {
+        const keys = WOOSimulation.shareSplit(shareKey) || WOOSimulation.SHARE_SPLITS[0];
+        const merged = { ...DEFAULT_PARAMS, ...params };
+        const others = keys.filter(key => key !== shareKey);
+        const otherTotal = others.reduce((sum, key) => sum + merged[key], 0);
+        const remaining = Math.max(0, 1 - share);
+        
+        const result = { ...params, [shareKey]: share };
+        others.forEach(key => {
+            result[key] = otherTotal > 0 ? remaining * (merged[key] / otherTotal) : remaining / others.length;
+        });
+        return result;
+    }
+
+    /**
+     * Initialize simulation from a plain parameter object (headless API).
+     * Missing keys fall back to DEFAULT_PARAMS.
+     */
+    initializeWithParams(params = {}, modelVersion = 'v2') {
         if (this.simInterval) clearInterval(this.simInterval);
+        this.lastError = null;
         
-        // Store model version
+        const model = ModelRegistry.get(modelVersion);
+        const p = { ...DEFAULT_PARAMS, ...model.defaults, ...params };
+        
+        // Store model version and its mechanisms
         this.modelVersion = modelVersion;
+        this.model = model;
         
-        // Extract parameters from controls
-        this.simParams = {
-            monthly_woofi_swap_volume: parseFloat(controls.woofiSwapVolume.value) * 1_000_000 * 30,
-            monthly_woofi_perp_volume: parseFloat(controls.woofiPerpVolume.value) * 1_000_000 * 30,
-            monthly_woox_volume: parseFloat(controls.wooxVolume.value) * 1_000_000 * 30,
-            
-            // Model-specific parameters
-            ...(modelVersion === 'v1' ? {
-                // V1: Fixed parameters from CONFIG
-                woofi_staker_share: CONFIG.FIXED_PARAMS.woofi_staker_share,
-                auto_compound_adoption_rate: parseFloat(controls.autoCompoundRate.value) / 100,
-                woox_staker_bps: CONFIG.FIXED_PARAMS.woox_staker_bps_reward
-            } : {
-                // V2: Configurable fee splits
-                buyback_burn_share: parseFloat(controls.buybackBurnShare.value) / 100,
-                staker_share: parseFloat(controls.stakerShare.value) / 100,
-                treasury_share: parseFloat(controls.treasuryShare.value) / 100,
-                woox_staker_bps: parseFloat(controls.wooxStakerBps.value) / 10000 // Convert bps to decimal
-            }),
-            
-            affiliate_share: parseFloat(controls.affiliateCut.value) / 100,
-            woofi_fee_rate: parseFloat(controls.woofiTradingFeeRate.value) / 100 / 100, // Convert from percentage (0.08%) to decimal (0.0008)
-            supply_elasticity: parseFloat(controls.supplyElasticity.value),
-            buying_pressure_elasticity: parseFloat(controls.buyingPressureElasticity.value),
-            buying_pressure_decay: parseFloat(controls.buyingPressureDecay.value) / 100,
-            simulation_months: parseInt(controls.simulationDuration.value),
-            initial_circulating_supply: parseFloat(controls.circulatingSupply.value) * 1_000_000,
-            // Fixed parameters
-            ...CONFIG.FIXED_PARAMS
-        };
+        // Params as given, updated by scheduled changes during the run
+        this.activeParams = { ...params };
+        this.simParams = this.buildSimParams(p, model);
         
         // Initialize state with dynamic initial values
         this.simState = {
             month: 0,
+            step: 0, // Timesteps taken (equals month with monthly steps)
             ...CONFIG.INITIAL_STATE,
+            woo_price: p.initial_price,
             circulating_supply: this.simParams.initial_circulating_supply,
-            total_staked_woo: parseFloat(controls.initialStaked.value) * 1_000_000,
-            woofi_treasury_balance: parseFloat(controls.initialWoofiTreasury.value) * 1_000_000,
-            woox_treasury_balance: parseFloat(controls.initialWooxTreasury.value) * 1_000_000,
-            history: {
-                months: [], 
-                woofi_treasury: [], 
-                woox_treasury: [],
-                circulating: [], 
-                staked: [], 
-                price: [],
-                monthlyBurned: [], 
-                marketPurchases: [], 
-                permImpact: [], 
-                tempImpact: [],
-                usdc_distributed: [],
-                // Model-specific tracking arrays
-                buyback_amounts: [], // V2: Track buyback spending
-                auto_compound_amounts: [], // V1: Track auto-compound amounts
-                treasury_inflows: [],
-                woofi_fees_generated: [],
-                woox_fees_generated: [],
-                woox_treasury_inflows: [], // Track WOO X treasury inflows
-                // Fee recipient breakdown
-                staker_fees_received: [],
-                treasury_fees_received: [],
-                orderly_fees_received: [],
-                // Fee recipient breakdown
-                staker_fees_received: [],
-                treasury_fees_received: [],
-                orderly_fees_received: [],
-                // Health & Sustainability Analytics
-                treasury_runway_months: [],
-                price_change_pct: [],
-                supply_reduction_pct: [],
-                cumulative_burned: [],
-                // Performance Indicators
-                staking_ratio: [],
-                treasury_runway: []
-            },
+            total_staked_woo: p.initial_staked,
+            woofi_treasury_balance: p.initial_woofi_treasury,
+            woox_treasury_balance: p.initial_woox_treasury,
+            woofi_treasury_usdc: p.initial_woofi_treasury_usdc,
+            woox_treasury_usdc: p.initial_woox_treasury_usdc,
+            treasury_conversion_usd: 0,
+            buyback_reserve_usd: 0, // Budget banked by the buyback strategy
+            cumulative_buyback_usd: 0,
+            cumulative_buyback_tokens: 0,
+            unstaking_queue: [], // [{ release_step, amount }] waiting out the cooldown
+            cumulative_tokens_unlocked: 0,
+            applied_changes: [], // [{ month, model, label }] scheduled changes applied so far
+            vesting_tranches: this.simParams.vesting_tranches.map(({ id, label, color }) => ({ id, label: label || id, color })),
+            revenue_streams: this.simParams.revenue_streams.map(({ id, label, color }) => ({ id, label: label || id, color })),
+            history: this.createHistory(),
             // Store initial values for comparison
             initial_values: {
                 price: 0,
@@ -100,11 +208,18 @@ class WOOSimulation {
                 total_treasury: 0,
                 total_staked: 0
             },
-            // Store annual P/V ratios (dual calculation)
-            annual_pv_ratios_usd: [],
-            annual_pv_ratios_market: []
+            // Annual value ratios (every registered model's keys, e.g. V1 P/R and V2 P/V)
+            ...Object.fromEntries(ModelRegistry.ratioKeys().map(key => [key, []]))
          };
          
+         // Per-timestep records, aggregated into `history` at each month end (the same object when monthly)
+         this.simState.step_history = this.simParams.steps_per_month > 1 ? this.createHistory() : this.simState.history;
+         
+         // Tokens that are issued but not yet circulating (the pool vesting unlocks draw from)
+         this.simState.locked_supply = Math.max(0, this.simState.total_supply - this.simState.circulating_supply);
+         
+         this.simState.treasury_runway_months = this.calculateTreasuryRunway();
+         
          // Store initial values for analytics comparisons
          this.simState.initial_values = {
              price: this.simState.woo_price,
@@ -115,25 +230,227 @@ class WOOSimulation {
      }
 
     /**
-     * Execute one simulation step (one month)
+     * Engine parameters from merged params (volumes are monthly from here on)
+     */
+    buildSimParams(p, model) {
+        return {
+            monthly_woofi_swap_volume: p.daily_woofi_swap_volume * 30,
+            monthly_woofi_perp_volume: p.daily_woofi_perp_volume * 30,
+            monthly_woox_volume: p.daily_woox_volume * 30,
+            
+            // Model-specific parameters
+            ...model.parameters(p),
+            
+            affiliate_share: p.affiliate_share,
+            woofi_fee_rate: p.woofi_fee_rate,
+            supply_elasticity: p.supply_elasticity,
+            buying_pressure_elasticity: p.buying_pressure_elasticity,
+            buying_pressure_decay: p.buying_pressure_decay,
+            price_model: LiquidityModel.MODELS.includes(p.price_model) ? p.price_model : 'elasticity',
+            amm_liquidity_usd: p.amm_liquidity_usd,
+            orderbook_depth_usd: p.orderbook_depth_usd,
+            orderbook_depth_exponent: p.orderbook_depth_exponent,
+            buyback_strategy: CONFIG.BUYBACK_STRATEGIES.includes(p.buyback_strategy) ? p.buyback_strategy : 'instant',
+            buyback_twap_slices: p.buyback_twap_slices,
+            buyback_ma_months: p.buyback_ma_months,
+            buyback_monthly_cap_usd: p.buyback_monthly_cap_usd,
+            ...WOOSimulation.normalizeBuybackDestination(p),
+            staking_flow_sensitivity: p.staking_flow_sensitivity,
+            opportunity_yield: p.opportunity_yield,
+            unstake_cooldown_months: p.unstake_cooldown_months,
+            max_staking_flow: p.max_staking_flow,
+            treasury_spending: { ...DEFAULT_PARAMS.treasury_spending, ...p.treasury_spending },
+            treasury_spend_woofi_share: p.treasury_spend_woofi_share,
+            woofi_treasury_woo_share: p.woofi_treasury_woo_share,
+            woox_treasury_woo_share: p.woox_treasury_woo_share,
+            simulation_months: p.simulation_months,
+            steps_per_month: CONFIG.STEPS_PER_MONTH[p.timestep] || 1,
+            initial_circulating_supply: p.initial_circulating_supply,
+            // Explicit per-month volumes win over a schedule or revenue streams; none of them means flat volumes
+            volume_path: p.volume_path || WOOSimulation.scheduledVolumes(p),
+            // Token unlocks per month by tranche (none without a vesting schedule)
+            vesting_tranches: VestingSchedule.tranches(p),
+            unlock_path: p.vesting_schedule ? VestingSchedule.build(p) : null,
+            // WOOFi revenue streams and their volumes per month (one swap and one perp stream over the venue volumes without any)
+            revenue_streams: p.revenue_streams?.length ? RevenueStreams.streams(p) : RevenueStreams.IMPLICIT,
+            revenue_stream_path: p.revenue_streams?.length ? RevenueStreams.build(p) : null,
+            // Parameter changes applied mid-run by simulationStep()
+            parameter_schedule: WOOSimulation.normalizeSchedule(p.parameter_schedule),
+            // Fixed parameters
+            ...CONFIG.FIXED_PARAMS,
+            // Net fee rate per product (from its fee schedule, else the flat WOOFi and fixed WOO X rates)
+            ...FeeSchedule.rates(p)
+        };
+    }
+
+    /**
+     * Per-month volumes (USD) from the volume schedule and revenue streams, null when neither is set;
+     * streams set the WOOFi swap and perp volumes and the schedule still shapes WOO X
+     */
+    static scheduledVolumes(p) {
+        const streams = RevenueStreams.streams(p);
+        if (!p.volume_schedule && streams.length === 0) return null;
+        
+        const path = VolumeSchedule.build(p);
+        if (streams.length === 0) return path;
+        return RevenueStreams.build(p).map((entry, month) => ({ ...path[month], ...RevenueStreams.venueVolumes(streams, entry) }));
+    }
+
+    /**
+     * Buyback destination shares scaled to sum to 1 (everything is burned when none is set)
+     */
+    static normalizeBuybackDestination(p) {
+        const shares = [p.buyback_dest_burn, p.buyback_dest_stakers, p.buyback_dest_treasury].map(share => Math.max(0, share || 0));
+        const total = shares.reduce((sum, share) => sum + share, 0);
+        const [burn, stakers, treasury] = total > 0 ? shares.map(share => share / total) : [1, 0, 0];
+        return { buyback_dest_burn: burn, buyback_dest_stakers: stakers, buyback_dest_treasury: treasury };
+    }
+
+    /**
+     * Scheduled parameter changes sorted by month: [{ month, model, params, label }]
+     *
+     * `month` is the 1-based month the change first applies to (13 = the start of year 2);
+     * `model` optionally switches the tokenomics model and `params` are engine params merged
+     * over the params in force (nested objects such as treasury_spending are merged key by key).
+     */
+    static normalizeSchedule(schedule) {
+        if (!schedule?.length) return [];
+        
+        return schedule.map(change => {
+            if (change.model) ModelRegistry.get(change.model); // Fail fast on unknown models
+            const params = change.params || {};
+            return {
+                month: Math.max(1, Math.round(change.month) || 1),
+                model: change.model || null,
+                params,
+                label: change.label || [change.model?.toUpperCase(), ...Object.keys(params)].filter(Boolean).join(', ')
+            };
+        }).sort((a, b) => a.month - b.month);
+    }
+
+    /**
+     * Apply the scheduled changes due at the start of the current month: switch the model,
+     * merge the params and rebuild simParams (RUN_PARAMS keep their initial values)
+     */
+    applyScheduledChanges() {
+        const month = this.simState.month + 1;
+        const due = this.simParams.parameter_schedule.filter(change => change.month === month);
+        if (due.length === 0) return;
+        
+        due.forEach(change => {
+            Object.entries(change.params).forEach(([key, value]) => {
+                const current = this.activeParams[key];
+                const nested = value && typeof value === 'object' && !Array.isArray(value) && current && typeof current === 'object';
+                this.activeParams[key] = nested ? { ...current, ...value } : value;
+            });
+            if (change.model) {
+                this.modelVersion = change.model;
+                this.model = ModelRegistry.get(change.model);
+            }
+            this.simState.applied_changes.push({ month, model: change.model, label: change.label });
+        });
+        
+        const runParams = Object.fromEntries(WOOSimulation.RUN_PARAMS.map(key => [key, this.simParams[key]]));
+        const p = { ...DEFAULT_PARAMS, ...this.model.defaults, ...this.activeParams };
+        this.simParams = { ...this.buildSimParams(p, this.model), ...runParams };
+        
+        if (this.verbose) console.log(`Applied scheduled changes at month ${month}:`, due.map(change => change.label).join('; '));
+    }
+
+    /**
+     * Empty history series (one entry per month in `history`, per timestep in `step_history`)
+     */
+    createHistory() {
+        return {
+            months: [], 
+            woofi_treasury: [], 
+            woox_treasury: [],
+            circulating: [], 
+            staked: [], 
+            price: [],
+            monthlyBurned: [], 
+            marketPurchases: [], 
+            permImpact: [], 
+            tempImpact: [],
+            // Market purchase execution (tokens in millions, prices in USD, slippage in %)
+            naive_purchases: [],
+            execution_price: [],
+            post_trade_price: [],
+            purchase_slippage: [],
+            usdc_distributed: [],
+            // Model-specific tracking arrays (every registered model's series, see ModelRegistry)
+            ...Object.fromEntries(ModelRegistry.historySeries().map(key => [key, []])),
+            treasury_inflows: [],
+            woofi_fees_generated: [],
+            woox_fees_generated: [],
+            woox_treasury_inflows: [], // Track WOO X treasury inflows
+            // Fee recipient breakdown
+            staker_fees_received: [],
+            treasury_fees_received: [],
+            orderly_fees_received: [],
+            buyback_fees_received: [],
+            // Health & Sustainability Analytics
+            treasury_runway_months: [],
+            price_change_pct: [],
+            supply_reduction_pct: [],
+            cumulative_burned: [],
+            // Performance Indicators
+            staking_ratio: [],
+            treasury_runway: [],
+            // Staking demand
+            staker_apr: [],
+            staking_flow: [],
+            // Staker yield: USD rewards per staked WOO, earned by a CONFIG.STAKER_POSITION_WOO position, trailing 12-month yield (%)
+            staker_revenue_per_woo: [],
+            staker_position_usd: [],
+            staker_trailing_yield: [],
+            unstaking_woo: [],
+            // Treasury spending
+            treasury_spend_usd: [],
+            treasury_sold: [],
+            treasury_spend_shortfall: [],
+            // Treasury balance sheet (USD) and WOO bought by the asset policy
+            woofi_treasury_usdc: [],
+            woox_treasury_usdc: [],
+            woofi_treasury_value_usd: [],
+            woox_treasury_value_usd: [],
+            treasury_value_usd: [],
+            treasury_conversion_usd: [],
+            // Token unlocks (tranche series follow the vesting schedule)
+            unlocked: [],
+            unlock_sold: [],
+            cumulative_unlocked: [],
+            unlocked_by_tranche: Object.fromEntries(this.simParams.vesting_tranches.map(tranche => [tranche.id, []])),
+            // WOOFi gross fees by revenue stream
+            woofi_fees_by_stream: Object.fromEntries(this.simParams.revenue_streams.map(stream => [stream.id, []]))
+        };
+    }
+
+    /**
+     * Execute one simulation step (one month of `steps_per_month` timesteps)
      */
     simulationStep() {
         const currentMonth = this.simState.month;
         
         // Check simulation end conditions based on model
         if (currentMonth >= this.simParams.simulation_months) {
-            console.log(`Simulation ended normally at month ${currentMonth}`);
+            if (this.verbose) console.log(`Simulation ended normally at month ${currentMonth}`);
             return false; // Simulation ended
         }
         
-        // V1: Also check for treasury depletion
-        if (this.modelVersion === 'v1' && this.simState.woofi_treasury_balance <= 0) {
-            console.log(`V1 Simulation ended due to treasury depletion at month ${currentMonth}`);
+        // Governance timeline: changes scheduled for this month (may switch the model)
+        this.applyScheduledChanges();
+        
+        // Model-specific early stop (e.g. V1 treasury depletion)
+        const exhausted = this.model.isExhausted?.call(this);
+        if (exhausted) {
+            if (this.verbose) console.log(`${this.modelVersion.toUpperCase()} Simulation ended due to ${exhausted} at month ${currentMonth}`);
             return false; // Simulation ended
         }
         
         // Enhanced debugging for month 8-12
-        if (currentMonth >= 8 && currentMonth <= 12) {
+        const debugMonth = this.verbose && currentMonth >= 8 && currentMonth <= 12;
+        if (debugMonth) {
             console.log(`=== MONTH ${currentMonth} START ===`, {
                 month: currentMonth,
                 price: this.simState.woo_price,
@@ -144,54 +461,17 @@ class WOOSimulation {
         }
         
         try {
-        
-            // --- BLOCK 1: FEE GENERATION & DISTRIBUTION ---
-            const feeData = this.calculateFees();
-            if (currentMonth >= 8 && currentMonth <= 12) {
-                console.log('BLOCK 1 - Fee Data:', feeData);
-            }
-            
-            const distributionData = this.distributeFees(feeData);
-            if (currentMonth >= 8 && currentMonth <= 12) {
-                console.log('BLOCK 1 - Distribution Data:', distributionData);
-            }
-            
-            // --- BLOCK 2: BUYBACK, BURN, AND PRICE IMPACT CALCULATION ---
-            const burnData = this.calculateBuybackAndBurn(distributionData);
-            if (currentMonth >= 8 && currentMonth <= 12) {
-                console.log('BLOCK 2 - Burn Data:', burnData);
-            }
-            
-            const priceImpactData = this.calculatePriceImpact(burnData);
-            if (currentMonth >= 8 && currentMonth <= 12) {
-                console.log('BLOCK 2 - Price Impact Data:', priceImpactData);
-            }
-            
-            // --- UPDATE INTERMEDIATE STATE VARIABLES ---
-            this.updateIntermediateVariables(feeData, distributionData, burnData, priceImpactData);
-            
-            // --- BLOCK 3: STATE UPDATES (MECHANISMS) ---
-            this.updateTreasury(distributionData, burnData);
-            this.updateStakerPositions(burnData);
-            this.updateSupply(burnData);
-            this.updatePrice(priceImpactData);
-            
-            if (currentMonth >= 8 && currentMonth <= 12) {
-                console.log('BLOCK 3 - After Updates:', {
-                    price: this.simState.woo_price,
-                    circulating: this.simState.circulating_supply,
-                    total_supply: this.simState.total_supply,
-                    woofi_treasury: this.simState.woofi_treasury_balance,
-                    woox_treasury: this.simState.woox_treasury_balance
-                });
-            }
-            
-            // --- RECORD HISTORY ---
-            this.recordHistory(burnData, distributionData, feeData);
+            // A model that runs out mid-month ends the month early (the next step stops the run)
+            let steps = 0;
+            do {
+                this.advanceTimestep(debugMonth);
+                steps++;
+            } while (steps < this.simParams.steps_per_month && !this.model.isExhausted?.call(this));
             
+            this.finishMonth(steps);
             this.simState.month++;
             
-            if (currentMonth >= 8 && currentMonth <= 12) {
+            if (debugMonth) {
                 console.log(`=== MONTH ${currentMonth} COMPLETED ===`);
             }
             
@@ -200,240 +480,387 @@ class WOOSimulation {
         } catch (error) {
             console.error(`Error in simulation step at month ${currentMonth}:`, error);
             console.error('Current state:', this.simState);
+            this.lastError = error;
             return false; // Stop simulation on error
         }
     }
 
     /**
-     * Calculate fees from different sources
+     * Run every mechanism for one timestep (a month, week or day of the current month)
      */
-    calculateFees() {
-        const gross_woofi_swap_fees = this.simParams.monthly_woofi_swap_volume * this.simParams.woofi_fee_rate;
-        const gross_woofi_perp_fees = this.simParams.monthly_woofi_perp_volume * this.simParams.woofi_fee_rate;
-        const total_gross_woofi_fees = gross_woofi_swap_fees + gross_woofi_perp_fees;
+    advanceTimestep(debugMonth = false) {
+        // --- BLOCK 0: TOKEN UNLOCKS & TREASURY SPENDING ---
+        this.processUnlocks();
+        this.applyTreasurySpending();
         
-        // WOO X fees (model-specific bps)
-        const total_woox_fees = this.simParams.monthly_woox_volume * this.simParams.woox_total_fee_rate;
-        const woox_staker_rewards = this.simParams.monthly_woox_volume * this.simParams.woox_staker_bps;
-        const woox_treasury_inflow = total_woox_fees - woox_staker_rewards; // Remainder to treasury
+        // --- BLOCK 1: FEE GENERATION & DISTRIBUTION ---
+        const feeData = this.calculateFees();
+        if (debugMonth) {
+            console.log('BLOCK 1 - Fee Data:', feeData);
+        }
         
-        return {
-            gross_woofi_swap_fees,
-            gross_woofi_perp_fees,
-            total_gross_woofi_fees,
-            woox_staker_rewards,
-            total_woox_fees,
-            woox_treasury_inflow
-        };
+        const distributionData = this.distributeFees(feeData);
+        if (debugMonth) {
+            console.log('BLOCK 1 - Distribution Data:', distributionData);
+        }
+        
+        // --- BLOCK 2: BUYBACK, BURN, AND PRICE IMPACT CALCULATION ---
+        const burnData = this.calculateBuybackAndBurn(distributionData);
+        if (debugMonth) {
+            console.log('BLOCK 2 - Burn Data:', burnData);
+        }
+        
+        const priceImpactData = this.calculatePriceImpact(burnData);
+        if (debugMonth) {
+            console.log('BLOCK 2 - Price Impact Data:', priceImpactData);
+        }
+        
+        // --- UPDATE INTERMEDIATE STATE VARIABLES ---
+        this.updateIntermediateVariables(feeData, distributionData, burnData, priceImpactData);
+        
+        // --- BLOCK 3: STATE UPDATES (MECHANISMS) ---
+        this.updateTreasury(distributionData, burnData);
+        this.updateStakerPositions(burnData);
+        this.updateStakingFlows(burnData);
+        this.updateSupply(burnData);
+        this.updatePrice(priceImpactData);
+        
+        if (debugMonth) {
+            console.log('BLOCK 3 - After Updates:', {
+                price: this.simState.woo_price,
+                circulating: this.simState.circulating_supply,
+                total_supply: this.simState.total_supply,
+                woofi_treasury: this.simState.woofi_treasury_balance,
+                woox_treasury: this.simState.woox_treasury_balance
+            });
+        }
+        
+        // --- RECORD HISTORY (into step_history when timesteps are finer than a month) ---
+        if (this.simState.step_history === this.simState.history) {
+            this.recordHistory(burnData, distributionData, feeData);
+        } else {
+            const monthly = this.simState.history;
+            this.simState.history = this.simState.step_history;
+            try {
+                this.recordHistory(burnData, distributionData, feeData);
+            } finally {
+                this.simState.history = monthly;
+            }
+        }
+        
+        this.simState.step++;
     }
 
     /**
-     * Distribute fees based on model version
+     * Share of a month covered by one timestep (1 for monthly steps)
      */
-    distributeFees(feeData) {
-        if (this.modelVersion === 'v1') {
-            return this.distributeFeesV1(feeData);
-        } else {
-            return this.distributeFeesV2(feeData);
-        }
+    getStepFraction() {
+        return 1 / this.simParams.steps_per_month;
     }
 
     /**
-     * V1: Distribute fees with fixed 80/20 split - stakers/treasury 
+     * Trading volumes (USD) for the current month: per-month path if provided, else flat
      */
-    distributeFeesV1(feeData) {
-        const gross_swap_fees = feeData.gross_woofi_swap_fees;
-        const gross_perp_fees = feeData.gross_woofi_perp_fees;
-        
-        // 1. SWAP FEES: Fixed 80/20 split
-        const net_swap_fees = gross_swap_fees; // 100% goes to net (no affiliate cut)
-        const swap_staker_rewards = net_swap_fees * this.simParams.woofi_staker_share; // 80%
-        const swap_treasury_inflow = net_swap_fees * (1 - this.simParams.woofi_staker_share); // 20%
-        
-        // 2. PERP FEES: Affiliate cut first, then 80/20 split
-        const perp_affiliate_cut = gross_perp_fees * this.simParams.affiliate_share; // 60% to Orderly/Affiliates
-        const net_perp_fees = gross_perp_fees - perp_affiliate_cut; // 40% remaining
-        const perp_staker_rewards = net_perp_fees * this.simParams.woofi_staker_share; // 80% of remaining
-        const perp_treasury_inflow = net_perp_fees * (1 - this.simParams.woofi_staker_share); // 20% of remaining
-        
-        // 3. COMBINE TOTALS
-        const total_woofi_staker_rewards = swap_staker_rewards + perp_staker_rewards;
-        const total_woofi_treasury_inflow = swap_treasury_inflow + perp_treasury_inflow;
-        const total_affiliate_cut = perp_affiliate_cut; // Only from perps
+    getMonthlyVolumes() {
+        const pathEntry = this.simParams.volume_path?.[this.simState.month];
+        if (pathEntry) return pathEntry;
         
-        // Total staker rewards (WOOFi + WOO X)
-        const total_staker_rewards_usd = total_woofi_staker_rewards + feeData.woox_staker_rewards;
-
         return {
-            // V1: No buyback allocation
-            buyback_burn_amount: 0,
-            
-            // Updated distributions
-            affiliate_cut: total_affiliate_cut,
-            woofi_staker_rewards: total_woofi_staker_rewards,
-            woofi_treasury_inflow_usd: total_woofi_treasury_inflow,
-            woox_treasury_inflow_usd: feeData.woox_treasury_inflow,
-            total_staker_rewards_usd,
-            total_affiliate_cut,
-            
-            // Fee recipient breakdown for tracking
-            staker_fees_total: total_woofi_staker_rewards + feeData.woox_staker_rewards,
-            treasury_fees_total: total_woofi_treasury_inflow + feeData.woox_treasury_inflow,
-            orderly_fees_total: total_affiliate_cut,
-            buyback_fees_total: 0 // V1: No buyback
+            woofi_swap: this.simParams.monthly_woofi_swap_volume,
+            woofi_perp: this.simParams.monthly_woofi_perp_volume,
+            woox: this.simParams.monthly_woox_volume
         };
     }
 
     /**
-     * V2: Distribute fees with configurable splits - buyback/stakers/treasury
+     * Release this timestep's share of the month's vesting unlocks into circulation (or the WOOFi treasury);
+     * the sold share of each unlock becomes sell pressure
      */
-    distributeFeesV2(feeData) {
-        const gross_swap_fees = feeData.gross_woofi_swap_fees;
-        const gross_perp_fees = feeData.gross_woofi_perp_fees;
-        
-        // 1. SWAP FEES: Apply configurable split directly
-        const net_swap_fees = gross_swap_fees; // 100% goes to net (no affiliate cut)
-        const swap_buyback_amount = net_swap_fees * this.simParams.buyback_burn_share;
-        const swap_staker_rewards = net_swap_fees * this.simParams.staker_share;
-        const swap_treasury_inflow = net_swap_fees * this.simParams.treasury_share;
-        
-        // 2. PERP FEES: Affiliate cut first, then configurable split
-        const perp_affiliate_cut = gross_perp_fees * this.simParams.affiliate_share; // 60% to Orderly/Affiliates
-        const net_perp_fees = gross_perp_fees - perp_affiliate_cut; // 40% remaining
-        const perp_buyback_amount = net_perp_fees * this.simParams.buyback_burn_share;
-        const perp_staker_rewards = net_perp_fees * this.simParams.staker_share;
-        const perp_treasury_inflow = net_perp_fees * this.simParams.treasury_share;
+    processUnlocks() {
+        const entry = this.simParams.unlock_path?.[this.simState.month] || {};
+        const by_tranche = {};
+        let circulating_unlocked = 0;
+        let treasury_unlocked = 0;
+        let tokens_sold = 0;
         
-        // 3. COMBINE TOTALS
-        const total_buyback_burn_amount = swap_buyback_amount + perp_buyback_amount;
-        const total_woofi_staker_rewards = swap_staker_rewards + perp_staker_rewards;
-        const total_woofi_treasury_inflow = swap_treasury_inflow + perp_treasury_inflow;
-        const total_affiliate_cut = perp_affiliate_cut; // Only from perps
-        
-        // Total staker rewards (WOOFi + WOO X)
-        const total_staker_rewards_usd = total_woofi_staker_rewards + feeData.woox_staker_rewards;
-
-        return {
-            // V2: New buyback & burn allocation
-            buyback_burn_amount: total_buyback_burn_amount,
-            
-            // Updated distributions
-            affiliate_cut: total_affiliate_cut,
-            woofi_staker_rewards: total_woofi_staker_rewards,
-            woofi_treasury_inflow_usd: total_woofi_treasury_inflow,
-            woox_treasury_inflow_usd: feeData.woox_treasury_inflow,
-            total_staker_rewards_usd,
-            total_affiliate_cut,
+        this.simParams.vesting_tranches.forEach(tranche => {
+            const tokens = Math.min((entry[tranche.id] || 0) * this.getStepFraction(), this.simState.locked_supply);
+            this.simState.locked_supply -= tokens;
+            by_tranche[tranche.id] = tokens;
             
-            // Fee recipient breakdown for tracking
-            staker_fees_total: total_woofi_staker_rewards + feeData.woox_staker_rewards,
-            treasury_fees_total: total_woofi_treasury_inflow + feeData.woox_treasury_inflow,
-            orderly_fees_total: total_affiliate_cut,
-            buyback_fees_total: total_buyback_burn_amount
-        };
+            if (tranche.to_treasury) {
+                treasury_unlocked += tokens;
+            } else {
+                circulating_unlocked += tokens;
+                tokens_sold += tokens * tranche.sell_through;
+            }
+        });
+        
+        this.simState.circulating_supply += circulating_unlocked;
+        this.simState.woofi_treasury_balance += treasury_unlocked;
+        this.simState.cumulative_tokens_unlocked += circulating_unlocked + treasury_unlocked;
+        this.simState.unlocks_by_tranche = by_tranche;
+        this.simState.circulating_unlocked = circulating_unlocked;
+        this.simState.unlock_sold_tokens = tokens_sold;
+        this.simState.unlock_sell_usd = tokens_sold * this.simState.woo_price;
     }
 
     /**
-     * Calculate burn mechanism based on model version
+     * Total treasury spending policies (USD per month)
      */
-    calculateBuybackAndBurn(distributionData) {
-        if (this.modelVersion === 'v1') {
-            return this.calculateAutoCompoundAndBurn(distributionData);
-        } else {
-            return this.calculateBuybackAndBurnV2(distributionData);
-        }
+    getMonthlyTreasurySpend() {
+        return Object.values(this.simParams.treasury_spending || {}).reduce((sum, usd) => sum + usd, 0);
     }
 
     /**
-     * V1: Calculate auto-compound purchases and treasury burn matching
+     * Fund this timestep's treasury spending from each treasury's USDC first, then by selling its WOO
+     * at the current price; sold tokens enter circulation and add sell pressure
      */
-    calculateAutoCompoundAndBurn(distributionData) {
-        const total_staker_rewards = distributionData.total_staker_rewards_usd;
+    applyTreasurySpending() {
+        const spend_usd = this.getMonthlyTreasurySpend() * this.getStepFraction();
+        const price = this.simState.woo_price;
+        let remaining_usd = spend_usd;
         
-        // Debug: Check for invalid values
-        if (total_staker_rewards < 0 || !isFinite(total_staker_rewards)) {
-            console.error('Invalid staker rewards:', total_staker_rewards);
-            return { buyback_usd: 0, auto_compound_usd: 0, usdc_distribution: 0, market_purchase_tokens: 0, tokens_burned: 0, usdc_to_stakers: 0, woofi_tokens_burned: 0, woox_tokens_burned: 0 };
-        }
+        // Draw the WOOFi share first, then cover any shortfall from either treasury
+        const woofi_target = spend_usd * this.simParams.treasury_spend_woofi_share;
+        const draws = [
+            ['woofi', woofi_target],
+            ['woox', spend_usd - woofi_target],
+            ['woofi', Infinity],
+            ['woox', Infinity]
+        ];
+        let tokens_sold = 0;
+        draws.forEach(([treasury, target_usd]) => {
+            let draw_usd = Math.min(target_usd, remaining_usd);
+            if (draw_usd <= 0) return;
+            
+            const usdc = Math.min(draw_usd, this.simState[`${treasury}_treasury_usdc`]);
+            this.simState[`${treasury}_treasury_usdc`] -= usdc;
+            remaining_usd -= usdc;
+            draw_usd -= usdc;
+            
+            const tokens = price > 0 ? Math.min(draw_usd / price, this.simState[`${treasury}_treasury_balance`]) : 0;
+            if (tokens <= 0) return;
+            this.simState[`${treasury}_treasury_balance`] -= tokens;
+            remaining_usd -= tokens * price;
+            tokens_sold += tokens;
+        });
         
-        if (this.simState.woo_price <= 0 || !isFinite(this.simState.woo_price)) {
-            console.error('Invalid WOO price:', this.simState.woo_price);
-            return { buyback_usd: 0, auto_compound_usd: 0, usdc_distribution: 0, market_purchase_tokens: 0, tokens_burned: 0, usdc_to_stakers: 0, woofi_tokens_burned: 0, woox_tokens_burned: 0 };
+        this.simState.circulating_supply += tokens_sold;
+        this.simState.treasury_sold_tokens = tokens_sold;
+        this.simState.treasury_sell_usd = tokens_sold * price;
+        this.simState.treasury_spent_usd = spend_usd - Math.max(0, remaining_usd);
+        this.simState.treasury_spend_shortfall_usd = Math.max(0, remaining_usd);
+    }
+
+    /**
+     * Book a USD treasury inflow under the treasury's asset policy and return the WOO to add.
+     * The WOO share steers holdings toward its target mix by value (1 = convert everything to WOO,
+     * 0 = hold USDC); the USDC part is added to the treasury here and conversions are tracked.
+     */
+    splitTreasuryInflow(treasury, inflow_usd) {
+        const price = this.simState.woo_price;
+        const woo_share = this.simParams[`${treasury}_treasury_woo_share`] ?? 1;
+        const usdc_key = `${treasury}_treasury_usdc`;
+        
+        let to_woo_usd = 0;
+        if (price > 0 && inflow_usd > 0) {
+            if (woo_share >= 1) {
+                to_woo_usd = inflow_usd;
+            } else if (woo_share > 0) {
+                const woo_value = this.simState[`${treasury}_treasury_balance`] * price;
+                const total_value = woo_value + this.simState[usdc_key] + inflow_usd;
+                to_woo_usd = Math.min(inflow_usd, Math.max(0, woo_share * total_value - woo_value));
+            }
         }
         
-        // 1. Split staker rewards based on auto-compound adoption
-        const auto_compound_usd = total_staker_rewards * this.simParams.auto_compound_adoption_rate;
-        const usdc_distribution = total_staker_rewards - auto_compound_usd;
+        this.simState[usdc_key] += Math.max(0, inflow_usd - to_woo_usd);
+        this.simState.treasury_conversion_usd += to_woo_usd;
+        return price > 0 ? to_woo_usd / price : 0;
+    }
+
+    /**
+     * Treasury holdings in USD ({ woofi, woox, total }: WOO at the current price plus USDC)
+     */
+    getTreasuryValueUsd() {
+        const price = this.simState.woo_price;
+        const woofi = this.simState.woofi_treasury_balance * price + this.simState.woofi_treasury_usdc;
+        const woox = this.simState.woox_treasury_balance * price + this.simState.woox_treasury_usdc;
+        return { woofi, woox, total: woofi + woox };
+    }
+
+    /**
+     * Months of treasury spending the WOOFi and WOO X treasuries (WOO at the current price plus USDC) cover
+     * (Infinity without spending policies)
+     */
+    calculateTreasuryRunway() {
+        const spend_usd = this.getMonthlyTreasurySpend();
+        return spend_usd > 0 ? this.getTreasuryValueUsd().total / spend_usd : Infinity;
+    }
+
+    /**
+     * Calculate fees from different sources
+     */
+    calculateFees() {
+        const step = this.getStepFraction(); // This timestep's share of the month's volume
+        const volumes = this.getMonthlyVolumes();
         
-        // 2. Auto-compound: Market purchase for stakers
-        const market_purchase_tokens = auto_compound_usd > 0 ? auto_compound_usd / this.simState.woo_price : 0;
+        // WOOFi fees and affiliate cuts by revenue stream, summed per product
+        const streams = this.calculateStreamFees(volumes, step);
+        const sum = (product, key) => streams
+            .filter(stream => stream.product === product)
+            .reduce((total, stream) => total + stream[key], 0);
+        const gross_woofi_swap_fees = sum('swap', 'fees');
+        const gross_woofi_perp_fees = sum('perp', 'fees');
+        const total_gross_woofi_fees = gross_woofi_swap_fees + gross_woofi_perp_fees;
         
-        // 3. Treasury burn matching: Treasury burns tokens to match market purchases
-        const woofi_tokens_burned = Math.min(market_purchase_tokens, this.simState.woofi_treasury_balance);
-        const woox_tokens_burned = 0; // V1: Only WOOFi treasury burns
-        const tokens_burned = woofi_tokens_burned + woox_tokens_burned;
+        // WOO X fees (model-specific bps); stakers are paid out of the fees, so rebates and VIP
+        // discounts that net the fee rate below the staker bps cap their rewards
+        const total_woox_fees = volumes.woox * step * this.simParams.woox_total_fee_rate;
+        const woox_staker_rewards = Math.min(volumes.woox * step * this.simParams.woox_staker_bps, Math.max(0, total_woox_fees));
+        const woox_treasury_inflow = total_woox_fees - woox_staker_rewards; // Remainder to treasury
         
         return {
-            buyback_usd: 0, // V1: No protocol buyback
-            auto_compound_usd,
-            usdc_distribution,
-            market_purchase_tokens,
-            tokens_burned,
-            usdc_to_stakers: usdc_distribution, // V1: Partial USDC to stakers
-            woofi_tokens_burned,
-            woox_tokens_burned
+            gross_woofi_swap_fees,
+            gross_woofi_perp_fees,
+            total_gross_woofi_fees,
+            woofi_swap_affiliate_cut: sum('swap', 'affiliate_cut'),
+            woofi_perp_affiliate_cut: sum('perp', 'affiliate_cut'),
+            fees_by_stream: Object.fromEntries(streams.map(stream => [stream.id, stream.fees])),
+            woox_staker_rewards,
+            total_woox_fees,
+            woox_treasury_inflow
         };
     }
 
     /**
-     * V2: Calculate protocol buyback and direct burn
+     * Gross fees and affiliate cut (USD) of each revenue stream this timestep: [{ id, product, fees, affiliate_cut }]
+     *
+     * A stream takes its scheduled share of its product's volume, applied to `volumes` so explicit
+     * volume paths (Monte Carlo, backtests) and agent-based trading carry through to every stream.
+     * Streams without a fee rate or affiliate share use their product's fee rate and, for perps, the affiliate cut.
      */
-    calculateBuybackAndBurnV2(distributionData) {
-        const buyback_usd = distributionData.buyback_burn_amount;
-        const usdc_to_stakers = distributionData.total_staker_rewards_usd;
+    calculateStreamFees(volumes, step) {
+        const entry = this.simParams.revenue_stream_path?.[this.simState.month];
+        const totals = entry ? RevenueStreams.venueVolumes(this.simParams.revenue_streams, entry) : null;
         
-        // Debug: Check for invalid values
-        if (buyback_usd < 0 || !isFinite(buyback_usd)) {
-            console.error('Invalid buyback_usd:', buyback_usd);
-            return { buyback_usd: 0, market_purchase_tokens: 0, tokens_burned: 0, usdc_to_stakers: 0, woofi_tokens_burned: 0, woox_tokens_burned: 0 };
-        }
+        return this.simParams.revenue_streams.map(stream => {
+            const venue = RevenueStreams.VENUES[stream.product];
+            const share = totals ? (totals[venue] > 0 ? (entry[stream.id] || 0) / totals[venue] : 0) : 1;
+            const fee_rate = stream.fee_rate ?? this.simParams[FeeSchedule.RATE_PARAMS[venue]];
+            const affiliate_share = stream.affiliate_share ?? (stream.product === 'perp' ? this.simParams.affiliate_share : 0);
+            const fees = volumes[venue] * share * step * fee_rate;
+            return { id: stream.id, product: stream.product, fees, affiliate_cut: fees * affiliate_share };
+        });
+    }
+
+    /**
+     * Distribute fees using the model's split
+     */
+    distributeFees(feeData) {
+        return this.model.distributeFees.call(this, feeData);
+    }
+
+    /**
+     * Calculate the model's burn mechanism (buyback, auto-compound matching, ...)
+     */
+    calculateBuybackAndBurn(distributionData) {
+        return this.model.calculateBuybackAndBurn.call(this, distributionData);
+    }
+
+    /**
+     * Buy WOO on the market with `usd` at the current price under the scenario's price model
+     * (see LiquidityModel.trade for the returned execution)
+     */
+    executeMarketBuy(usd) {
+        return LiquidityModel.trade(this.simParams, this.simState.woo_price, usd);
+    }
+
+    /**
+     * Spend a buyback budget (USD) under the buyback strategy; anything not spent this month
+     * is banked in `buyback_reserve_usd` and offered again next month
+     *
+     * Returns { spend_usd, execution }. TWAP fills equal slices against liquidity that recovers
+     * between orders, so it only differs from instant under the AMM or order book price model.
+     */
+    executeBuyback(budget_usd) {
+        const { buyback_strategy, buyback_ma_months, buyback_monthly_cap_usd, buyback_twap_slices } = this.simParams;
+        const available_usd = budget_usd + this.simState.buyback_reserve_usd;
         
-        if (this.simState.woo_price <= 0 || !isFinite(this.simState.woo_price)) {
-            console.error('Invalid WOO price:', this.simState.woo_price);
-            return { buyback_usd: 0, market_purchase_tokens: 0, tokens_burned: 0, usdc_to_stakers: 0, woofi_tokens_burned: 0, woox_tokens_burned: 0 };
+        let spend_usd = available_usd;
+        if (buyback_strategy === 'below_ma') {
+            const recent = this.simState.history.price.slice(-Math.max(1, buyback_ma_months));
+            const average = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+            if (recent.length > 0 && this.simState.woo_price >= average) spend_usd = 0;
+        } else if (buyback_strategy === 'capped') {
+            spend_usd = Math.min(available_usd, Math.max(0, buyback_monthly_cap_usd) * this.getStepFraction());
         }
+        this.simState.buyback_reserve_usd = available_usd - spend_usd;
         
-        // 1. Protocol market purchase with buyback funds
-        const market_purchase_tokens = buyback_usd / this.simState.woo_price;
-        
-        // 2. All purchased tokens are immediately burned (no treasury matching)
-        const tokens_burned = market_purchase_tokens;
+        const slices = buyback_strategy === 'twap' ? Math.max(1, Math.round(buyback_twap_slices * this.getStepFraction())) : 1;
+        const slice = this.executeMarketBuy(spend_usd / slices);
+        const execution = { ...slice, tokens: slice.tokens * slices, naive_tokens: slice.naive_tokens * slices };
         
+        this.simState.cumulative_buyback_usd += spend_usd;
+        this.simState.cumulative_buyback_tokens += execution.tokens;
+        return { spend_usd, execution };
+    }
+
+    /**
+     * Split bought-back WOO (and the USD spent on it) across the buyback destinations: burned,
+     * distributed to stakers (added to staked WOO pro rata) or held by the WOOFi treasury
+     */
+    routeBuyback(tokens, usd) {
+        const { buyback_dest_burn, buyback_dest_stakers, buyback_dest_treasury } = this.simParams;
         return {
-            buyback_usd,
-            market_purchase_tokens,
-            tokens_burned,
-            usdc_to_stakers, // All staker rewards in USDC
-            woofi_tokens_burned: 0, // V2: No treasury burns
-            woox_tokens_burned: 0
+            burned_tokens: tokens * buyback_dest_burn,
+            distributed_tokens: tokens * buyback_dest_stakers,
+            distributed_usd: usd * buyback_dest_stakers,
+            held_tokens: tokens * buyback_dest_treasury,
+            held_usd: usd * buyback_dest_treasury
         };
     }
 
     /**
-     * Calculate price impact from burns and buying pressure
+     * Daily spot volume (USD) used as the market depth proxy for buying pressure
+     */
+    getMarketDepth() {
+        const volumes = this.getMonthlyVolumes();
+        return (volumes.woofi_swap + volumes.woox) / 30;
+    }
+
+    /**
+     * Market sells (USD) this month from unlocked tokens and treasury spending
+     */
+    sellingPressure() {
+        return (this.simState.unlock_sell_usd || 0) + (this.simState.treasury_sell_usd || 0);
+    }
+
+    /**
+     * Calculate price impact from burns, unlocks, and buying/selling pressure
      */
     calculatePriceImpact(burnData) {
-        // Permanent impact from supply reduction
+        // Permanent impact from net supply reduction (burns less unlocks into circulation)
+        const net_supply_reduction = burnData.tokens_burned - (this.simState.circulating_unlocked || 0);
         const supply_reduction_pct = this.simState.circulating_supply > 0 ? 
-            burnData.tokens_burned / this.simState.circulating_supply : 0;
+            net_supply_reduction / this.simState.circulating_supply : 0;
         const permanent_impact = supply_reduction_pct * this.simParams.supply_elasticity;
         
         // Temporary impact from buying pressure
-        const market_depth_proxy = (this.simParams.monthly_woofi_swap_volume + this.simParams.monthly_woox_volume) / 30;
-        const buying_pressure_usd = this.modelVersion === 'v1' ? burnData.auto_compound_usd : burnData.buyback_usd;
-        const buy_pressure_ratio = market_depth_proxy > 0 ? buying_pressure_usd / market_depth_proxy : 0;
-        const new_temporary_impact = buy_pressure_ratio * this.simParams.buying_pressure_elasticity;
-        const decayed_impact = this.simState.temporary_price_impact * (1 - this.simParams.buying_pressure_decay);
+        const buying_pressure_usd = this.model.buyingPressure.call(this, burnData);
+        let new_temporary_impact;
+        if (this.simParams.price_model === 'elasticity') {
+            const market_depth_proxy = this.getMarketDepth();
+            const buy_pressure_ratio = market_depth_proxy > 0 ? buying_pressure_usd / market_depth_proxy : 0;
+            const sell_pressure_ratio = market_depth_proxy > 0 ? this.sellingPressure() / market_depth_proxy : 0;
+            new_temporary_impact = (buy_pressure_ratio - sell_pressure_ratio) * this.simParams.buying_pressure_elasticity;
+        } else {
+            // The month's buys and sells net against each other in the pool / order book
+            const net_flow_usd = buying_pressure_usd - this.sellingPressure();
+            const trade = LiquidityModel.trade(this.simParams, this.simState.woo_price, net_flow_usd);
+            new_temporary_impact = this.simState.woo_price > 0 ? trade.post_price / this.simState.woo_price - 1 : 0;
+        }
+        const decayed_impact = this.simState.temporary_price_impact * Math.pow(1 - this.simParams.buying_pressure_decay, this.getStepFraction());
         const total_temporary_impact = decayed_impact + new_temporary_impact;
 
         return {
@@ -447,74 +874,66 @@ class WOOSimulation {
      * Update treasury balances based on model version
      */
     updateTreasury(distributionData, burnData) {
-        if (this.modelVersion === 'v1') {
-            return this.updateTreasuryV1(distributionData, burnData);
-        } else {
-            return this.updateTreasuryV2(distributionData, burnData);
-        }
+        this.simState.treasury_conversion_usd = 0; // Accumulated by splitTreasuryInflow
+        return this.model.updateTreasury.call(this, distributionData, burnData);
     }
 
     /**
-     * V1: Update treasury balances (inflow and burn depletion)
+     * Update staker positions based on model version
      */
-    updateTreasuryV1(distributionData, burnData) {
-        const woofi_inflow_tokens = this.simState.woo_price > 0 ? 
-            distributionData.woofi_treasury_inflow_usd / this.simState.woo_price : 0;
-        
-        const woox_inflow_tokens = this.simState.woo_price > 0 ?
-            distributionData.woox_treasury_inflow_usd / this.simState.woo_price : 0;
-        
-        // V1: Treasury burns tokens to match auto-compound purchases (depletion risk)
-        this.simState.woofi_treasury_balance += woofi_inflow_tokens - burnData.woofi_tokens_burned;
-        this.simState.woox_treasury_balance += woox_inflow_tokens - burnData.woox_tokens_burned;
-        
-        // Prevent negative treasury balances
-        this.simState.woofi_treasury_balance = Math.max(0, this.simState.woofi_treasury_balance);
-        this.simState.woox_treasury_balance = Math.max(0, this.simState.woox_treasury_balance);
+    updateStakerPositions(burnData) {
+        return this.model.updateStakerPositions.call(this, burnData);
     }
 
     /**
-     * V2: Update treasury balances (accumulation only, no burns)
+     * Staker rewards this timestep in USD (USDC, auto-compounded and distributed buyback rewards)
      */
-    updateTreasuryV2(distributionData, burnData) {
-        const woofi_inflow_tokens = this.simState.woo_price > 0 ? 
-            distributionData.woofi_treasury_inflow_usd / this.simState.woo_price : 0;
-        
-        const woox_inflow_tokens = this.simState.woo_price > 0 ?
-            distributionData.woox_treasury_inflow_usd / this.simState.woo_price : 0;
-        
-        // V2: Both treasuries only accumulate (no burns)
-        this.simState.woofi_treasury_balance += woofi_inflow_tokens; // No subtraction
-        this.simState.woox_treasury_balance += woox_inflow_tokens;
+    stakerRewardsUsd(burnData) {
+        return (burnData.usdc_to_stakers || 0) + (burnData.auto_compound_usd || 0) + (burnData.buyback_distributed_usd || 0);
     }
 
     /**
-     * Update staker positions based on model version
+     * Annualized USD yield on staked WOO
      */
-    updateStakerPositions(burnData) {
-        if (this.modelVersion === 'v1') {
-            return this.updateStakerPositionsV1(burnData);
-        } else {
-            return this.updateStakerPositionsV2(burnData);
-        }
+    calculateStakerApr(burnData) {
+        const staked_value = this.simState.total_staked_woo * this.simState.woo_price;
+        return staked_value > 0 ? this.stakerRewardsUsd(burnData) * 12 * this.simParams.steps_per_month / staked_value : 0;
     }
 
     /**
-     * V1: Update staker positions (auto-compound increases staked balance)
+     * Staking demand: stake from circulating supply when the APR beats the opportunity yield,
+     * unstake when it lags; unstaked WOO returns to circulation after the cooldown
      */
-    updateStakerPositionsV1(burnData) {
-        // V1: Auto-compound purchases increase staked token balance
-        if (burnData.market_purchase_tokens > 0) {
-            this.simState.total_staked_woo += burnData.market_purchase_tokens;
+    updateStakingFlows(burnData) {
+        const apr = this.calculateStakerApr(burnData);
+        const { staking_flow_sensitivity, opportunity_yield, max_staking_flow, unstake_cooldown_months } = this.simParams;
+        
+        let flow_rate = 0;
+        if (staking_flow_sensitivity > 0) {
+            const apr_gap = opportunity_yield > 0 ? apr / opportunity_yield - 1 : (apr > 0 ? 1 : 0);
+            flow_rate = Math.max(-max_staking_flow, Math.min(max_staking_flow, staking_flow_sensitivity * apr_gap));
         }
-    }
-
-    /**
-     * V2: Update staker positions (no changes - stakers get USDC only)
-     */
-    updateStakerPositionsV2(burnData) {
-        // V2: No staked token increases - all rewards in USDC
-        // this.simState.total_staked_woo remains unchanged
+        
+        let staking_flow = flow_rate * this.getStepFraction() * this.simState.total_staked_woo;
+        if (staking_flow > 0) {
+            // New stake comes out of circulating supply
+            staking_flow = Math.min(staking_flow, this.simState.circulating_supply);
+            this.simState.circulating_supply -= staking_flow;
+        } else if (staking_flow < 0) {
+            this.simState.unstaking_queue.push({
+                release_step: this.simState.step + unstake_cooldown_months * this.simParams.steps_per_month,
+                amount: -staking_flow
+            });
+        }
+        this.simState.total_staked_woo += staking_flow;
+        
+        // Release unstakes whose cooldown has ended
+        const released = this.simState.unstaking_queue.filter(entry => entry.release_step <= this.simState.step);
+        this.simState.unstaking_queue = this.simState.unstaking_queue.filter(entry => entry.release_step > this.simState.step);
+        this.simState.circulating_supply += released.reduce((sum, entry) => sum + entry.amount, 0);
+        
+        this.simState.staker_apr = apr;
+        this.simState.staking_flow = staking_flow;
     }
 
     /**
@@ -528,7 +947,7 @@ class WOOSimulation {
             return;
         }
         
-        // V2: Protocol buys from circulating and burns immediately
+        // Market purchases leave circulation (burned, staked or held by the treasury); only burns reduce total supply
         this.simState.total_supply -= burnData.tokens_burned;
         this.simState.circulating_supply -= burnData.market_purchase_tokens; // Only market purchases
         this.simState.cumulative_tokens_burned += burnData.tokens_burned;
@@ -548,7 +967,8 @@ class WOOSimulation {
      * Update price based on impacts
      */
     updatePrice(priceImpactData) {
-        const price_change_multiplier = 1 + priceImpactData.permanent_impact + priceImpactData.total_temporary_impact;
+        // The temporary impact is a monthly rate, applied pro rata to each timestep
+        const price_change_multiplier = 1 + priceImpactData.permanent_impact + priceImpactData.total_temporary_impact * this.getStepFraction();
         
         // V2: Add safeguards for price calculations
         if (isNaN(price_change_multiplier) || !isFinite(price_change_multiplier) || price_change_multiplier <= 0) {
@@ -567,7 +987,7 @@ class WOOSimulation {
         this.simState.temporary_price_impact = priceImpactData.total_temporary_impact;
         
         // Debug extreme price changes
-        if (this.simState.month >= 8 && Math.abs(this.simState.woo_price - old_price) / old_price > 0.1) {
+        if (this.verbose && this.simState.month >= 8 && Math.abs(this.simState.woo_price - old_price) / old_price > 0.1) {
             console.warn('Large price change at month', this.simState.month, {
                 old_price,
                 new_price: this.simState.woo_price,
@@ -593,20 +1013,7 @@ class WOOSimulation {
         this.simState.tokens_to_burn = burnData.tokens_burned;
         this.simState.market_purchase_tokens = burnData.market_purchase_tokens;
         this.simState.usdc_to_stakers = burnData.usdc_to_stakers;
-        
-        if (this.modelVersion === 'v1') {
-            // V1: Auto-compound tracking
-            this.simState.auto_compound_usd = burnData.auto_compound_usd;
-            this.simState.usdc_distribution = burnData.usdc_distribution;
-            this.simState.buyback_usd = 0; // V1: No buyback
-            this.simState.buyback_burn_amount = 0;
-        } else {
-            // V2: Buyback tracking
-            this.simState.buyback_usd = burnData.buyback_usd;
-            this.simState.buyback_burn_amount = distributionData.buyback_burn_amount;
-            this.simState.auto_compound_usd = 0; // V2: No auto-compound
-            this.simState.usdc_distribution = 0;
-        }
+        this.model.trackIntermediate.call(this, distributionData, burnData);
         this.simState.permanent_impact = priceImpactData.permanent_impact;
         this.simState.total_temporary_impact = priceImpactData.total_temporary_impact;
     }
@@ -616,7 +1023,7 @@ class WOOSimulation {
      */
     recordHistory(burnData, distributionData, feeData) {
         try {
-            this.simState.history.months.push(this.simState.month + 1);
+            this.simState.history.months.push((this.simState.step + 1) / this.simParams.steps_per_month); // Elapsed months
             this.simState.history.woofi_treasury.push(this.simState.woofi_treasury_balance / 1e6);
             this.simState.history.woox_treasury.push(this.simState.woox_treasury_balance / 1e6);
             this.simState.history.circulating.push(this.simState.circulating_supply / 1e6);
@@ -624,39 +1031,45 @@ class WOOSimulation {
             this.simState.history.price.push(this.simState.woo_price);
             this.simState.history.monthlyBurned.push(burnData.tokens_burned / 1e6); // V2: Direct burns
             this.simState.history.marketPurchases.push(burnData.market_purchase_tokens / 1e6);
+            
+            // Market purchase execution under the price model vs the naive usd / price
+            const execution = burnData.execution || { naive_tokens: 0, avg_price: 0, post_price: 0, slippage: 0 };
+            this.simState.history.naive_purchases.push(execution.naive_tokens / 1e6);
+            this.simState.history.execution_price.push(execution.avg_price);
+            this.simState.history.post_trade_price.push(execution.post_price);
+            this.simState.history.purchase_slippage.push(execution.slippage * 100);
             this.simState.history.permImpact.push(this.simState.permanent_impact * 100);
             this.simState.history.tempImpact.push(this.simState.temporary_price_impact * 100);
         
         // Enhanced tracking (matching radCAD)
         this.simState.history.usdc_distributed.push(burnData.usdc_to_stakers / 1e6); // All USDC to stakers
         
-        // Model-specific tracking
-        if (this.modelVersion === 'v1') {
-            this.simState.history.auto_compound_amounts.push(burnData.auto_compound_usd / 1e6); // V1: Track auto-compound
-            this.simState.history.buyback_amounts.push(0); // V1: No buyback
-        } else {
-            this.simState.history.buyback_amounts.push(burnData.buyback_usd / 1e6); // V2: Track buybacks
-            this.simState.history.auto_compound_amounts.push(0); // V2: No auto-compound
-        }
+        // Model-specific tracking; series from other models stay aligned with zeros
+        this.model.recordHistory.call(this, burnData);
+        ModelRegistry.historySeries().forEach(key => {
+            if (this.simState.history[key].length < this.simState.history.months.length) {
+                this.simState.history[key].push(0);
+            }
+        });
         this.simState.history.treasury_inflows.push(distributionData.woofi_treasury_inflow_usd / 1e6);
         
         // Separate fee tracking for WOOFi and WOO X
         this.simState.history.woofi_fees_generated.push(feeData.total_gross_woofi_fees / 1e6);
         this.simState.history.woox_fees_generated.push(feeData.total_woox_fees / 1e6); // Track total WOO X fees, not just staker portion
+        Object.entries(this.simState.history.woofi_fees_by_stream).forEach(([id, series]) => {
+            series.push((feeData.fees_by_stream[id] || 0) / 1e6);
+        });
         this.simState.history.woox_treasury_inflows.push(feeData.woox_treasury_inflow / 1e6);
         
         // Fee recipient breakdown tracking
         this.simState.history.staker_fees_received.push(distributionData.staker_fees_total / 1e6);
         this.simState.history.treasury_fees_received.push(distributionData.treasury_fees_total / 1e6);
         this.simState.history.orderly_fees_received.push(distributionData.orderly_fees_total / 1e6);
-        // V2: Add buyback tracking
-        if (!this.simState.history.buyback_fees_received) this.simState.history.buyback_fees_received = [];
         this.simState.history.buyback_fees_received.push(distributionData.buyback_fees_total / 1e6);
         
-        // Health & Sustainability Analytics
-        const currentBurnRate = burnData.tokens_to_burn / 1e6; // Monthly burn rate
-        const totalTreasury = (this.simState.woofi_treasury_balance + this.simState.woox_treasury_balance) / 1e6;
-        const treasuryRunway = currentBurnRate > 0 ? totalTreasury / currentBurnRate : Infinity;
+        // Health & Sustainability Analytics (runway in months of treasury spending, also shown by UIManager)
+        const treasuryRunway = this.calculateTreasuryRunway();
+        this.simState.treasury_runway_months = treasuryRunway;
         
         this.simState.history.treasury_runway_months.push(treasuryRunway);
         this.simState.history.price_change_pct.push(
@@ -673,53 +1086,45 @@ class WOOSimulation {
         );
         this.simState.history.treasury_runway.push(treasuryRunway);
         
-        // Calculate annual P/V ratios at 12-month intervals (dual calculation)
-        if ((this.simState.month + 1) % 12 === 0) {
-            const yearNumber = Math.floor((this.simState.month + 1) / 12);
-            const marketCap = this.simState.circulating_supply * this.simState.woo_price;
-            
-            // Calculate actual 12-month value distribution for this year
-            const startIndex = Math.max(0, this.simState.history.months.length - 12);
-            const endIndex = this.simState.history.months.length;
-            
-            let annualUSDC = 0;
-            let annualBuybackUSD = 0; // V2: USD spent on buyback program
-            let annualAutoCompoundUSD = 0; // V1: USD spent on auto-compound
-            let annualTokensBurned = 0; // Tokens burned through treasury matching or buyback
-            
-            for (let i = startIndex; i < endIndex; i++) {
-                annualUSDC += (this.simState.history.usdc_distributed[i] || 0) * 1e6;
-                annualBuybackUSD += (this.simState.history.buyback_amounts[i] || 0) * 1e6;
-                annualAutoCompoundUSD += (this.simState.history.auto_compound_amounts[i] || 0) * 1e6;
-                annualTokensBurned += (this.simState.history.monthlyBurned[i] || 0) * 1e6;
-            }
-            
-            if (this.modelVersion === 'v1') {
-                // V1: Single P/R ratio calculation (matching original V1 logic)
-                const annualBurnValue = annualTokensBurned * this.simState.woo_price;
-                const totalAnnualValue = annualUSDC + annualBurnValue + annualAutoCompoundUSD;
-                const prRatio = totalAnnualValue > 0 ? marketCap / totalAnnualValue : Infinity;
-                
-                // Store in legacy format for V1
-                if (!this.simState.annual_pr_ratios) this.simState.annual_pr_ratios = [];
-                this.simState.annual_pr_ratios[yearNumber - 1] = isFinite(prRatio) ? prRatio : null;
-            } else {
-                // V2: Dual P/V ratio calculation
-                const totalAnnualValueUSD = annualUSDC + annualBuybackUSD;
-                const pvRatioUSD = totalAnnualValueUSD > 0 ? marketCap / totalAnnualValueUSD : Infinity;
-                
-                const annualBurnValue = annualTokensBurned * this.simState.woo_price;
-                const totalAnnualValueMarket = annualUSDC + annualBurnValue;
-                const pvRatioMarket = totalAnnualValueMarket > 0 ? marketCap / totalAnnualValueMarket : Infinity;
-                
-                // Initialize arrays if they don't exist
-                if (!this.simState.annual_pv_ratios_usd) this.simState.annual_pv_ratios_usd = [];
-                if (!this.simState.annual_pv_ratios_market) this.simState.annual_pv_ratios_market = [];
-                
-                this.simState.annual_pv_ratios_usd[yearNumber - 1] = isFinite(pvRatioUSD) ? pvRatioUSD : null;
-                this.simState.annual_pv_ratios_market[yearNumber - 1] = isFinite(pvRatioMarket) ? pvRatioMarket : null;
-            }
-        }
+        // Staking demand
+        this.simState.history.staker_apr.push((this.simState.staker_apr || 0) * 100);
+        this.simState.history.staking_flow.push((this.simState.staking_flow || 0) / 1e6);
+        this.simState.history.unstaking_woo.push(
+            this.simState.unstaking_queue.reduce((sum, entry) => sum + entry.amount, 0) / 1e6
+        );
+        
+        // Staker yield per staked WOO; the trailing yield sums the last 12 months of rewards per WOO
+        // against the current price (annualized while fewer than 12 months have run)
+        const revenue_per_woo = this.simState.total_staked_woo > 0 ? this.stakerRewardsUsd(burnData) / this.simState.total_staked_woo : 0;
+        this.simState.history.staker_revenue_per_woo.push(revenue_per_woo);
+        this.simState.history.staker_position_usd.push(revenue_per_woo * CONFIG.STAKER_POSITION_WOO);
+        const yield_window = 12 * this.simParams.steps_per_month;
+        const trailing = this.simState.history.staker_revenue_per_woo.slice(-yield_window);
+        const trailing_revenue = trailing.reduce((sum, value) => sum + value, 0) * yield_window / trailing.length;
+        this.simState.history.staker_trailing_yield.push(this.simState.woo_price > 0 ? trailing_revenue / this.simState.woo_price * 100 : 0);
+        
+        // Treasury spending
+        this.simState.history.treasury_spend_usd.push((this.simState.treasury_spent_usd || 0) / 1e6);
+        this.simState.history.treasury_sold.push((this.simState.treasury_sold_tokens || 0) / 1e6);
+        this.simState.history.treasury_spend_shortfall.push((this.simState.treasury_spend_shortfall_usd || 0) / 1e6);
+        
+        // Treasury balance sheet
+        const treasuryValue = this.getTreasuryValueUsd();
+        this.simState.history.woofi_treasury_usdc.push(this.simState.woofi_treasury_usdc / 1e6);
+        this.simState.history.woox_treasury_usdc.push(this.simState.woox_treasury_usdc / 1e6);
+        this.simState.history.woofi_treasury_value_usd.push(treasuryValue.woofi / 1e6);
+        this.simState.history.woox_treasury_value_usd.push(treasuryValue.woox / 1e6);
+        this.simState.history.treasury_value_usd.push(treasuryValue.total / 1e6);
+        this.simState.history.treasury_conversion_usd.push(this.simState.treasury_conversion_usd / 1e6);
+        
+        // Token unlocks
+        const unlocks = this.simState.unlocks_by_tranche || {};
+        this.simState.history.unlocked.push(Object.values(unlocks).reduce((sum, tokens) => sum + tokens, 0) / 1e6);
+        this.simState.history.unlock_sold.push((this.simState.unlock_sold_tokens || 0) / 1e6);
+        this.simState.history.cumulative_unlocked.push(this.simState.cumulative_tokens_unlocked / 1e6);
+        Object.entries(this.simState.history.unlocked_by_tranche).forEach(([id, series]) => {
+            series.push((unlocks[id] || 0) / 1e6);
+        });
         
         } catch (error) {
             console.error('Error in recordHistory at month', this.simState.month, error);
@@ -727,6 +1132,85 @@ class WOOSimulation {
         }
     }
 
+    /**
+     * Month-end bookkeeping: the monthly history entry (aggregated from step_history when
+     * timesteps are finer than a month) and the annual value ratios
+     */
+    finishMonth(steps) {
+        if (this.simState.step_history !== this.simState.history) {
+            this.aggregateSteps(steps);
+        }
+        this.recordAnnualRatios();
+    }
+
+    /**
+     * Append one month to `history` from its last `steps` entries in `step_history`:
+     * flows are summed, rates averaged over the steps that recorded one (non-zero) and
+     * stocks take the month-end value
+     */
+    aggregateSteps(steps) {
+        const flows = new Set([...WOOSimulation.HISTORY_FLOWS, ...ModelRegistry.historyFlows()]);
+        const rates = new Set(WOOSimulation.HISTORY_RATES);
+        const aggregate = (key, series) => {
+            const values = series.slice(-steps);
+            if (flows.has(key)) return values.reduce((sum, value) => sum + value, 0);
+            if (rates.has(key)) {
+                const recorded = values.filter(value => value !== 0);
+                return recorded.length > 0 ? recorded.reduce((sum, value) => sum + value, 0) / recorded.length : 0;
+            }
+            return values[values.length - 1];
+        };
+        
+        Object.entries(this.simState.step_history).forEach(([key, series]) => {
+            if (Array.isArray(series)) {
+                this.simState.history[key].push(aggregate(key, series));
+            } else {
+                // Nested series such as unlocked_by_tranche
+                Object.entries(series).forEach(([id, nested]) => {
+                    this.simState.history[key][id].push(aggregate(key, nested));
+                });
+            }
+        });
+    }
+
+    /**
+     * Calculate the model's annual value ratios at 12-month intervals (from the monthly history)
+     */
+    recordAnnualRatios() {
+        if ((this.simState.month + 1) % 12 !== 0) return;
+        
+        const yearNumber = Math.floor((this.simState.month + 1) / 12);
+        const marketCap = this.simState.circulating_supply * this.simState.woo_price;
+        
+        // Sum a history series (stored in millions) over this year's 12 months
+        const startIndex = Math.max(0, this.simState.history.months.length - 12);
+        const endIndex = this.simState.history.months.length;
+        const sum = key => {
+            let total = 0;
+            for (let i = startIndex; i < endIndex; i++) {
+                total += (this.simState.history[key][i] || 0) * 1e6;
+            }
+            return total;
+        };
+        
+        Object.entries(this.model.annualRatios.call(this, { marketCap, sum })).forEach(([key, ratio]) => {
+            if (!this.simState[key]) this.simState[key] = [];
+            this.simState[key][yearNumber - 1] = isFinite(ratio) ? ratio : null;
+        });
+    }
+
+    /**
+     * Run all remaining steps synchronously and return the full history; an engine error
+     * that stops the run is rethrown instead of returning a truncated history
+     */
+    runToCompletion() {
+        while (this.simulationStep()) {
+            // Each step appends one month to simState.history
+        }
+        if (this.lastError) throw this.lastError;
+        return this.simState.history;
+    }
+
     /**
      * Get current simulation state
      */
@@ -743,4 +1227,9 @@ class WOOSimulation {
             this.simInterval = null;
         }
     }
-} 
\ No newline at end of file
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { WOOSimulation };
+}
@@ -3,6 +3,27 @@
  */
 
 class UIManager {
+    /**
+     * Controls the governance timeline cannot schedule (they shape the whole run or are display-only)
+     * and timeline labels for controls whose own label is ambiguous
+     */
+    static TIMELINE_EXCLUDED = ['simulationDuration', 'timestep', 'circulatingSupply', 'initialStaked', 'initialWoofiTreasury', 'initialWooxTreasury', 'woofiStakerShare'];
+    static TIMELINE_LABELS = {
+        priceModel: 'Price Model',
+        buybackStrategy: 'Buyback Strategy',
+        buybackDestBurn: 'Buyback Burned',
+        buybackDestStakers: 'Buyback to Stakers',
+        buybackDestTreasury: 'Buyback to Treasury'
+    };
+
+    /**
+     * Auto-balancing slider groups (each sums to 100%) and their total displays
+     */
+    static BALANCED_SLIDERS = [
+        { sliders: ['buybackBurnShare', 'stakerShare', 'treasuryShare'], total: 'feeDistributionTotal' },
+        { sliders: ['buybackDestBurn', 'buybackDestStakers', 'buybackDestTreasury'], total: 'buybackDestinationTotal' }
+    ];
+
     constructor() {
         this.controls = {};
         this.controlValues = {};
@@ -18,6 +39,7 @@ class UIManager {
         // Control elements
         this.controls = {
             simulationDuration: document.getElementById('simulationDuration'),
+            timestep: document.getElementById('timestep'),
             woofiSwapVolume: document.getElementById('woofiSwapVolume'),
             woofiPerpVolume: document.getElementById('woofiPerpVolume'),
             wooxVolume: document.getElementById('wooxVolume'),
@@ -32,15 +54,47 @@ class UIManager {
             // V2: WOO X distribution controls
             wooxStakerBps: document.getElementById('wooxStakerBps'),
             affiliateCut: document.getElementById('affiliateCut'),
+            // Staking demand controls
+            stakingFlowRate: document.getElementById('stakingFlowRate'),
+            opportunityYield: document.getElementById('opportunityYield'),
+            unstakeCooldown: document.getElementById('unstakeCooldown'),
+            // Treasury spending controls
+            treasuryOpex: document.getElementById('treasuryOpex'),
+            treasuryGrants: document.getElementById('treasuryGrants'),
+            treasuryMarketMaking: document.getElementById('treasuryMarketMaking'),
+            treasuryIncentives: document.getElementById('treasuryIncentives'),
+            treasurySpendWoofiShare: document.getElementById('treasurySpendWoofiShare'),
+            woofiTreasuryWooShare: document.getElementById('woofiTreasuryWooShare'),
+            wooxTreasuryWooShare: document.getElementById('wooxTreasuryWooShare'),
             circulatingSupply: document.getElementById('circulatingSupply'),
             initialStaked: document.getElementById('initialStaked'),
             initialWoofiTreasury: document.getElementById('initialWoofiTreasury'),
             initialWooxTreasury: document.getElementById('initialWooxTreasury'),
             supplyElasticity: document.getElementById('supplyElasticity'),
             buyingPressureElasticity: document.getElementById('buyingPressureElasticity'),
-            buyingPressureDecay: document.getElementById('buyingPressureDecay')
+            buyingPressureDecay: document.getElementById('buyingPressureDecay'),
+            // Price model (dropdown of LiquidityModel.MODELS indices) and its liquidity settings
+            priceModel: document.getElementById('priceModel'),
+            ammLiquidity: document.getElementById('ammLiquidity'),
+            orderbookDepth: document.getElementById('orderbookDepth'),
+            orderbookDepthExponent: document.getElementById('orderbookDepthExponent'),
+            // V2: Buyback execution strategy (dropdown of CONFIG.BUYBACK_STRATEGIES indices)
+            buybackStrategy: document.getElementById('buybackStrategy'),
+            buybackMaMonths: document.getElementById('buybackMaMonths'),
+            buybackMonthlyCap: document.getElementById('buybackMonthlyCap'),
+            // V2: Buyback destination split
+            buybackDestBurn: document.getElementById('buybackDestBurn'),
+            buybackDestStakers: document.getElementById('buybackDestStakers'),
+            buybackDestTreasury: document.getElementById('buybackDestTreasury')
         };
 
+        // Controls declared by registered models (see js/models/) that are not listed above
+        ModelRegistry.list().forEach(model => {
+            Object.keys(model.controls).forEach(key => {
+                this.controls[key] = this.controls[key] || document.getElementById(key);
+            });
+        });
+
         // Control value display elements
         this.controlValues = {
             woofiSwapVolume: document.getElementById('woofiSwapVolumeValue'),
@@ -57,15 +111,40 @@ class UIManager {
             // V2: WOO X distribution value displays
             wooxStakerBps: document.getElementById('wooxStakerBpsValue'),
             affiliateCut: document.getElementById('affiliateCutValue'),
+            stakingFlowRate: document.getElementById('stakingFlowRateValue'),
+            opportunityYield: document.getElementById('opportunityYieldValue'),
+            unstakeCooldown: document.getElementById('unstakeCooldownValue'),
+            treasuryOpex: document.getElementById('treasuryOpexValue'),
+            treasuryGrants: document.getElementById('treasuryGrantsValue'),
+            treasuryMarketMaking: document.getElementById('treasuryMarketMakingValue'),
+            treasuryIncentives: document.getElementById('treasuryIncentivesValue'),
+            treasurySpendWoofiShare: document.getElementById('treasurySpendWoofiShareValue'),
+            woofiTreasuryWooShare: document.getElementById('woofiTreasuryWooShareValue'),
+            wooxTreasuryWooShare: document.getElementById('wooxTreasuryWooShareValue'),
             supplyElasticity: document.getElementById('supplyElasticityValue'),
             buyingPressureElasticity: document.getElementById('buyingPressureElasticityValue'),
             buyingPressureDecay: document.getElementById('buyingPressureDecayValue'),
+            ammLiquidity: document.getElementById('ammLiquidityValue'),
+            orderbookDepth: document.getElementById('orderbookDepthValue'),
+            orderbookDepthExponent: document.getElementById('orderbookDepthExponentValue'),
+            buybackMaMonths: document.getElementById('buybackMaMonthsValue'),
+            buybackMonthlyCap: document.getElementById('buybackMonthlyCapValue'),
+            buybackDestBurn: document.getElementById('buybackDestBurnValue'),
+            buybackDestStakers: document.getElementById('buybackDestStakersValue'),
+            buybackDestTreasury: document.getElementById('buybackDestTreasuryValue'),
             circulatingSupply: document.getElementById('circulatingSupplyValue'),
             // Initial state value displays
             initialStaked: document.getElementById('initialStakedValue'),
             initialWoofiTreasury: document.getElementById('initialWoofiTreasuryValue'),
             initialWooxTreasury: document.getElementById('initialWooxTreasuryValue'),
         };
+        
+        // Value displays (`<id>Value`) for controls declared by registered models
+        ModelRegistry.list().forEach(model => {
+            Object.keys(model.controls).forEach(key => {
+                this.controlValues[key] = this.controlValues[key] || document.getElementById(`${key}Value`);
+            });
+        });
 
         // Output elements
         this.outputs = {
@@ -90,8 +169,91 @@ class UIManager {
         this.resetButton = document.getElementById('resetButton');
         // V2: New reset buttons
         this.resetFeeDistribution = document.getElementById('resetFeeDistribution');
+        this.resetBuybackDestination = document.getElementById('resetBuybackDestination');
         this.resetWooxBps = document.getElementById('resetWooxBps');
         
+        // Monte Carlo controls (not model parameters, so kept out of this.controls)
+        this.monteCarloControls = {
+            paths: document.getElementById('mcPaths'),
+            seed: document.getElementById('mcSeed'),
+            distribution: document.getElementById('mcDistribution'),
+            volatility: document.getElementById('mcVolatility'),
+            drift: document.getElementById('mcDrift')
+        };
+        
+        // Agent-based approach controls (agent population, not model parameters)
+        this.agentControls = {
+            seed: document.getElementById('agentSeed'),
+            stakers: document.getElementById('agentStakers'),
+            traders: document.getElementById('agentTraders'),
+            lps: document.getElementById('agentLps'),
+            treasurySell: document.getElementById('agentTreasurySell')
+        };
+        
+        // Volume schedule controls (shape the daily volume sliders month by month)
+        this.volumeScheduleControls = {
+            growthType: document.getElementById('volumeGrowthType'),
+            growthRate: document.getElementById('volumeGrowthRate'),
+            seasonality: document.getElementById('volumeSeasonality'),
+            seasonPeak: document.getElementById('volumeSeasonPeak'),
+            stepMonth: document.getElementById('volumeStepMonth'),
+            stepVenue: document.getElementById('volumeStepVenue'),
+            stepMultiplier: document.getElementById('volumeStepMultiplier'),
+            series: document.getElementById('volumeSeries')
+        };
+        
+        // Token unlock controls (tranche rows are rendered from CONFIG.VESTING)
+        this.vestingControls = {
+            enabled: document.getElementById('vestingEnabled'),
+            tranches: document.getElementById('vestingTranches'),
+            status: document.getElementById('vestingStatus')
+        };
+        
+        // WOOFi revenue stream controls (rows start from CONFIG.REVENUE_STREAMS and can be added or removed)
+        this.revenueStreamControls = {
+            enabled: document.getElementById('revenueStreamsEnabled'),
+            streams: document.getElementById('revenueStreams'),
+            add: document.getElementById('addRevenueStream'),
+            status: document.getElementById('revenueStreamsStatus')
+        };
+        
+        // Fee schedule controls (one block per CONFIG.FEE_SCHEDULES product)
+        this.feeScheduleControls = {
+            schedules: document.getElementById('feeSchedules')
+        };
+        
+        // Governance timeline controls (the scheduled changes are kept in this.timeline)
+        this.timelineControls = {
+            month: document.getElementById('timelineMonth'),
+            target: document.getElementById('timelineTarget'),
+            value: document.getElementById('timelineValue'),
+            add: document.getElementById('addTimelineChange'),
+            changes: document.getElementById('timelineChanges')
+        };
+        this.timeline = [];
+        
+        // Sensitivity analysis controls
+        this.sensitivityControls = {
+            method: document.getElementById('sensMethod'),
+            metric: document.getElementById('sensMetric'),
+            year: document.getElementById('sensYear')
+        };
+        
+        // Goal-seek controls
+        this.goalSeekControls = {
+            metric: document.getElementById('goalMetric'),
+            period: document.getElementById('goalPeriod'),
+            comparator: document.getElementById('goalComparator'),
+            value: document.getElementById('goalValue'),
+            constraintMetric: document.getElementById('goalConstraintMetric'),
+            constraintPeriod: document.getElementById('goalConstraintPeriod'),
+            constraintComparator: document.getElementById('goalConstraintComparator'),
+            constraintValue: document.getElementById('goalConstraintValue'),
+            freeBuyback: document.getElementById('goalFreeBuyback'),
+            freeStaker: document.getElementById('goalFreeStaker'),
+            freeTreasury: document.getElementById('goalFreeTreasury')
+        };
+        
         // Status elements
         this.simulationStatus = document.getElementById('simulationStatus');
         this.simulationProgress = document.getElementById('simulationProgress');
@@ -104,6 +266,8 @@ class UIManager {
     initialize() {
         this.setupEventListeners();
         this.setupModelSelection();
+        this.setupApproachSelection();
+        this.setupGoalSeekControls();
         this.createPriceToRevenueCards(36); // Default simulation duration
         this.switchToModel('v2'); // Default to V2
     }
@@ -115,6 +279,13 @@ class UIManager {
         // V2: Set up auto-balancing sliders
         this.setupFeeDistributionSliders();
         this.setupWooxBpsInput();
+        this.setupMonteCarloControls();
+        this.setupAgentControls();
+        this.setupVolumeScheduleControls();
+        this.setupVestingControls();
+        this.setupRevenueStreamControls();
+        this.setupFeeScheduleControls();
+        this.setupTimelineControls();
         
         // Set up slider value updates
         Object.keys(this.controls).forEach(key => {
@@ -129,6 +300,18 @@ class UIManager {
                 });
                 return;
             }
+            if (key === 'timestep') return; // Dropdown read when the simulation starts
+            // Dropdowns that show or hide their settings
+            const updateSections = {
+                priceModel: () => this.updatePriceModelControls(),
+                buybackStrategy: () => this.updateBuybackStrategyControls()
+            }[key];
+            if (updateSections) {
+                input.addEventListener('input', updateSections);
+                input.addEventListener('change', updateSections);
+                updateSections();
+                return;
+            }
             
             const updateDisplay = () => {
                 let value = parseFloat(input.value);
@@ -136,7 +319,13 @@ class UIManager {
                     display.textContent = `${value.toFixed(1)}M`;
                 } else if (key === 'woofiTradingFeeRate') {
                     display.textContent = `${value.toFixed(2)}%`;
-                } else if (key.includes('Rate') || key.includes('Cut') || key.includes('Decay') || key.includes('Share') || key === 'autoCompoundRate') {
+                } else if (key === 'opportunityYield') {
+                    display.textContent = `${value.toFixed(1)}%`;
+                } else if (key === 'unstakeCooldown' || key === 'buybackMaMonths') {
+                    display.textContent = `${value.toFixed(0)} mo`;
+                } else if (['treasuryOpex', 'treasuryGrants', 'treasuryMarketMaking', 'treasuryIncentives', 'ammLiquidity', 'orderbookDepth', 'buybackMonthlyCap'].includes(key)) {
+                    display.textContent = `$${value.toFixed(1)}M`;
+                } else if (key.includes('Rate') || key.includes('Cut') || key.includes('Decay') || key.includes('Share') || key.startsWith('buybackDest') || key === 'autoCompoundRate') {
                     display.textContent = `${value.toFixed(0)}%`;
                 } else if (key === 'circulatingSupply' || key.includes('initial') || key.includes('Treasury') || key.includes('Staked')) {
                     display.textContent = `${value.toFixed(1)}M`;
@@ -157,6 +346,13 @@ class UIManager {
             this.updateFeeDistributionDisplay();
         });
         
+        this.resetBuybackDestination?.addEventListener('click', () => {
+            this.controls.buybackDestBurn.value = 100;
+            this.controls.buybackDestStakers.value = 0;
+            this.controls.buybackDestTreasury.value = 0;
+            this.updateFeeDistributionDisplay();
+        });
+        
         this.resetWooxBps?.addEventListener('click', () => {
             this.controls.wooxStakerBps.value = 0.1;
             this.updateWooxBpsDisplay();
@@ -164,12 +360,10 @@ class UIManager {
     }
     
     /**
-     * V2: Set up auto-balancing fee distribution sliders
+     * V2: Set up the auto-balancing fee distribution and buyback destination sliders
      */
     setupFeeDistributionSliders() {
-        const sliders = ['buybackBurnShare', 'stakerShare', 'treasuryShare'];
-        
-        sliders.forEach(sliderKey => {
+        UIManager.BALANCED_SLIDERS.forEach(({ sliders }) => sliders.forEach(sliderKey => {
             const slider = this.controls[sliderKey];
             if (!slider) return;
             
@@ -201,7 +395,7 @@ class UIManager {
                 
                 this.updateFeeDistributionDisplay();
             });
-        });
+        }));
         
         // Initial display update
         this.updateFeeDistributionDisplay();
@@ -223,9 +417,1061 @@ class UIManager {
     }
 
     /**
-     * Set up model selection event listeners
+     * Set up Monte Carlo slider value displays
+     */
+    setupMonteCarloControls() {
+        const { volatility, drift } = this.monteCarloControls;
+        const volatilityValue = document.getElementById('mcVolatilityValue');
+        const driftValue = document.getElementById('mcDriftValue');
+        
+        const updateDisplay = () => {
+            if (volatility && volatilityValue) volatilityValue.textContent = `${parseFloat(volatility.value).toFixed(0)}%`;
+            if (drift && driftValue) driftValue.textContent = `${parseFloat(drift.value).toFixed(1)}%`;
+        };
+        
+        volatility?.addEventListener('input', updateDisplay);
+        drift?.addEventListener('input', updateDisplay);
+        updateDisplay();
+    }
+
+    /**
+     * Set up the agent-based treasury sell rate display
+     */
+    setupAgentControls() {
+        const { treasurySell } = this.agentControls;
+        const treasurySellValue = document.getElementById('agentTreasurySellValue');
+        
+        const updateDisplay = () => {
+            if (treasurySell && treasurySellValue) treasurySellValue.textContent = `${parseFloat(treasurySell.value).toFixed(1)}%`;
+        };
+        
+        treasurySell?.addEventListener('input', updateDisplay);
+        updateDisplay();
+    }
+
+    /**
+     * Set up volume schedule value displays and series file import
+     */
+    setupVolumeScheduleControls() {
+        const { growthType, growthRate, seasonality, series } = this.volumeScheduleControls;
+        const growthRateValue = document.getElementById('volumeGrowthRateValue');
+        const seasonalityValue = document.getElementById('volumeSeasonalityValue');
+        
+        const updateDisplay = () => {
+            if (growthRate && growthRateValue) growthRateValue.textContent = `${parseFloat(growthRate.value).toFixed(1)}%`;
+            if (seasonality && seasonalityValue) seasonalityValue.textContent = `±${parseFloat(seasonality.value).toFixed(0)}%`;
+            if (growthRate && growthType) growthRate.disabled = growthType.value === 'none';
+        };
+        
+        growthRate?.addEventListener('input', updateDisplay);
+        seasonality?.addEventListener('input', updateDisplay);
+        growthType?.addEventListener('change', updateDisplay);
+        updateDisplay();
+        
+        // Load a CSV file into the series textarea
+        const fileInput = document.getElementById('volumeSeriesFile');
+        fileInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (!file || !series) return;
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                series.value = event.target.result;
+                series.dispatchEvent(new Event('input'));
+            };
+            reader.readAsText(file);
+        });
+    }
+
+    /**
+     * Volume schedule from the controls in engine units (null when volumes stay flat)
+     */
+    getVolumeSchedule() {
+        const { growthType, growthRate, seasonality, seasonPeak, stepMonth, stepVenue, stepMultiplier, series } = this.volumeScheduleControls;
+        const status = document.getElementById('volumeSeriesStatus');
+        const schedule = {};
+        
+        if (growthType && growthType.value !== 'none' && parseFloat(growthRate?.value)) {
+            schedule.growth = { type: growthType.value, rate: parseFloat(growthRate.value) / 100 };
+        }
+        
+        const amplitude = parseFloat(seasonality?.value) || 0;
+        if (amplitude > 0) {
+            schedule.seasonality = { amplitude: amplitude / 100, peak_month: parseInt(seasonPeak?.value) || 1 };
+        }
+        
+        const month = parseInt(stepMonth?.value);
+        const multiplier = parseFloat(stepMultiplier?.value);
+        if (month >= 1 && multiplier >= 0) {
+            schedule.steps = [{ month, multiplier, venue: stepVenue?.value || 'all' }];
+        }
+        
+        if (series && series.value.trim()) {
+            try {
+                schedule.series = VolumeSchedule.parseSeries(series.value);
+                const venues = Object.keys(schedule.series);
+                const months = Math.max(0, ...venues.map(venue => schedule.series[venue].length));
+                if (status) status.textContent = venues.length ? `${months} months • ${venues.length} venue(s)` : 'No venue columns found';
+            } catch (error) {
+                delete schedule.series;
+                if (status) status.textContent = error.message;
+            }
+        } else if (status) {
+            status.textContent = '';
+        }
+        
+        return Object.keys(schedule).length ? schedule : null;
+    }
+
+    /**
+     * Volume schedule editor values (saved configurations and share links)
+     */
+    getVolumeScheduleState() {
+        return Object.fromEntries(Object.entries(this.volumeScheduleControls)
+            .filter(([, control]) => control)
+            .map(([key, control]) => [key, control.value]));
+    }
+
+    /**
+     * Restore the volume schedule editor from saved values and refresh its displays and preview
+     */
+    setVolumeScheduleState(state) {
+        Object.entries(this.volumeScheduleControls).forEach(([key, control]) => {
+            if (!control || state[key] === undefined || state[key] === null) return;
+            control.value = state[key];
+            control.dispatchEvent(new Event(control.tagName === 'SELECT' ? 'change' : 'input'));
+        });
+    }
+
+    /**
+     * Render one editable row per default vesting tranche and keep the locked-supply total current
+     */
+    setupVestingControls() {
+        const { enabled, tranches, status } = this.vestingControls;
+        if (!tranches) return;
+        
+        const input = (tranche, field, value, attrs) => `
+            <input type="number" data-tranche="${tranche.id}" data-field="${field}" value="${value}" ${attrs} class="w-full px-2 py-1 border rounded-md" style="border-color: var(--border-color); background-color: var(--neutral-white);">`;
+        
+        tranches.innerHTML = `
+            <div class="grid grid-cols-6 gap-2 font-medium" style="color: var(--text-secondary);">
+                <span>Tranche</span><span>Amount (M)</span><span>Cliff (mo)</span><span>Vest (mo)</span><span>Release</span><span>Sell %</span>
+            </div>
+            ${CONFIG.VESTING.tranches.map(tranche => `
+                <div class="grid grid-cols-6 gap-2 items-center">
+                    <span class="font-medium" style="color: ${tranche.color};">${UIManager.escapeHtml(tranche.label)}</span>
+                    ${input(tranche, 'amount', tranche.amount / 1_000_000, 'min="0" step="5"')}
+                    ${input(tranche, 'cliff_months', tranche.cliff_months, 'min="0" step="1"')}
+                    ${input(tranche, 'duration_months', tranche.duration_months, 'min="0" step="1"')}
+                    <select data-tranche="${tranche.id}" data-field="release" class="w-full px-1 py-1 border rounded-md" style="border-color: var(--border-color); background-color: var(--neutral-white);">
+                        ${VestingSchedule.RELEASES.map(release => `<option value="${release}"${release === tranche.release ? ' selected' : ''}>${release}</option>`).join('')}
+                    </select>
+                    ${input(tranche, 'sell_through', tranche.sell_through * 100, `min="0" max="100" step="5"${tranche.to_treasury ? ' disabled title="Treasury unlocks are not sold"' : ''}`)}
+                </div>
+            `).join('')}
+        `;
+        
+        const updateStatus = () => {
+            const total = CONFIG.VESTING.tranches.reduce((sum, tranche) => {
+                const amount = tranches.querySelector(`[data-tranche="${tranche.id}"][data-field="amount"]`);
+                return sum + (parseFloat(amount?.value) || 0);
+            }, 0);
+            const locked = CONFIG.INITIAL_STATE.total_supply / 1_000_000 - (parseFloat(this.controls.circulatingSupply?.value) || 0);
+            const overLimit = total > locked + 1e-6 ? ' (later unlocks stop once the locked supply runs out)' : '';
+            if (status) status.textContent = `${total.toFixed(1)}M of ${Math.max(0, locked).toFixed(1)}M locked supply scheduled${overLimit}`;
+            tranches.style.opacity = enabled?.checked ? '1' : '0.5';
+        };
+        
+        tranches.addEventListener('input', updateStatus);
+        enabled?.addEventListener('change', updateStatus);
+        this.controls.circulatingSupply?.addEventListener('input', updateStatus);
+        updateStatus();
+    }
+
+    /**
+     * Vesting schedule from the tranche rows in engine units (null when unlocks are off)
+     */
+    getVestingSchedule() {
+        const { enabled, tranches } = this.vestingControls;
+        if (!enabled?.checked || !tranches) return null;
+        
+        const read = (id, field) => tranches.querySelector(`[data-tranche="${id}"][data-field="${field}"]`)?.value;
+        return {
+            tranches: CONFIG.VESTING.tranches.map(tranche => ({
+                id: tranche.id,
+                amount: Math.max(0, parseFloat(read(tranche.id, 'amount')) || 0) * 1_000_000,
+                cliff_months: Math.max(0, parseInt(read(tranche.id, 'cliff_months')) || 0),
+                duration_months: Math.max(0, parseInt(read(tranche.id, 'duration_months')) || 0),
+                release: read(tranche.id, 'release') || tranche.release,
+                sell_through: Math.min(1, Math.max(0, (parseFloat(read(tranche.id, 'sell_through')) || 0) / 100))
+            }))
+        };
+    }
+
+    /**
+     * Vesting editor values by tranche (saved configurations and share links)
+     */
+    getVestingState() {
+        const { enabled, tranches } = this.vestingControls;
+        return {
+            enabled: !!enabled?.checked,
+            tranches: Object.fromEntries(CONFIG.VESTING.tranches.map(tranche => [
+                tranche.id,
+                Object.fromEntries([...(tranches?.querySelectorAll(`[data-tranche="${tranche.id}"]`) || [])]
+                    .map(input => [input.dataset.field, input.value]))
+            ]))
+        };
+    }
+
+    /**
+     * Restore the vesting editor from saved values (tranches and fields without a row input are ignored)
+     */
+    setVestingState(state) {
+        const { enabled, tranches } = this.vestingControls;
+        if (enabled && typeof state.enabled === 'boolean') enabled.checked = state.enabled;
+        tranches?.querySelectorAll('[data-tranche][data-field]').forEach(input => {
+            const value = state.tranches?.[input.dataset.tranche]?.[input.dataset.field];
+            if (value !== null && value !== undefined) input.value = value;
+        });
+        enabled?.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Render the revenue stream rows (label, product, daily volume, fee, affiliate cut, growth)
+     * with add/remove buttons and keep the per-product volume totals current
+     */
+    setupRevenueStreamControls() {
+        const { enabled, streams, add, status } = this.revenueStreamControls;
+        if (!streams) return;
+        
+        this.renderRevenueStreamRows(CONFIG.REVENUE_STREAMS.streams.map(stream => ({
+            id: stream.id,
+            label: stream.label,
+            product: stream.product,
+            daily_volume: stream.daily_volume / 1_000_000
+        })));
+        
+        const updateStatus = () => {
+            const totals = Object.fromEntries(CONFIG.REVENUE_STREAMS.products.map(product => [product, 0]));
+            const rows = streams.querySelectorAll('[data-stream]');
+            rows.forEach(row => {
+                const product = row.querySelector('[data-field="product"]').value;
+                totals[product] += parseFloat(row.querySelector('[data-field="daily_volume"]').value) || 0;
+            });
+            const volumes = Object.entries(totals).map(([product, total]) => `${product} $${total.toFixed(1)}M/day`).join(' • ');
+            if (status) status.textContent = `${rows.length} stream(s) • ${volumes}`;
+            streams.style.opacity = enabled?.checked ? '1' : '0.5';
+        };
+        
+        let added = 0;
+        add?.addEventListener('click', () => {
+            do {
+                added++;
+            } while (streams.querySelector(`[data-stream="stream_${added}"]`));
+            streams.insertAdjacentHTML('beforeend', this.revenueStreamRow({ id: `stream_${added}`, label: `Stream ${added}`, product: 'swap', daily_volume: 0 }));
+            streams.dispatchEvent(new Event('input'));
+        });
+        streams.addEventListener('click', (e) => {
+            const row = e.target.closest('[data-remove-stream]')?.closest('[data-stream]');
+            if (!row) return;
+            row.remove();
+            streams.dispatchEvent(new Event('input'));
+        });
+        streams.addEventListener('input', updateStatus);
+        streams.addEventListener('change', updateStatus);
+        enabled?.addEventListener('change', updateStatus);
+        updateStatus();
+    }
+
+    /**
+     * One revenue stream row from field values in the editor's units (blank fee and affiliate
+     * fields use the engine defaults)
+     */
+    revenueStreamRow(stream) {
+        const inputStyle = 'class="w-full px-1 py-1 border rounded-md" style="border-color: var(--border-color); background-color: var(--neutral-white);"';
+        const value = field => UIManager.escapeHtml(String(stream[field] ?? ''));
+        return `
+            <div data-stream="${UIManager.escapeHtml(stream.id)}" class="grid grid-cols-7 gap-2 items-center">
+                <input type="text" data-field="label" value="${value('label')}" ${inputStyle}>
+                <select data-field="product" ${inputStyle}>
+                    ${CONFIG.REVENUE_STREAMS.products.map(product => `<option value="${product}"${product === stream.product ? ' selected' : ''}>${product}</option>`).join('')}
+                </select>
+                <input type="number" data-field="daily_volume" value="${value('daily_volume')}" min="0" step="0.1" ${inputStyle}>
+                <input type="number" data-field="fee_rate" value="${value('fee_rate')}" placeholder="default" min="0" step="0.01" ${inputStyle}>
+                <input type="number" data-field="affiliate_share" value="${value('affiliate_share')}" placeholder="default" min="0" max="100" step="5" ${inputStyle}>
+                <input type="number" data-field="growth" value="${value('growth') || 0}" step="0.5" ${inputStyle}>
+                <button type="button" data-remove-stream class="px-1 py-1 rounded" style="background-color: var(--neutral-light); color: var(--text-primary);" title="Remove stream">✕</button>
+            </div>`;
+    }
+
+    /**
+     * Replace the revenue stream rows (field values in the editor's units)
+     */
+    renderRevenueStreamRows(rows) {
+        this.revenueStreamControls.streams.innerHTML = `
+            <div class="grid grid-cols-7 gap-2 font-medium" style="color: var(--text-secondary);">
+                <span>Stream</span><span>Product</span><span>Vol (M/day)</span><span>Fee %</span><span>Affiliate %</span><span>Growth %/mo</span><span></span>
+            </div>
+            ${rows.map(row => this.revenueStreamRow(row)).join('')}
+        `;
+    }
+
+    /**
+     * Revenue stream editor values (saved configurations and share links)
+     */
+    getRevenueStreamState() {
+        const { enabled, streams } = this.revenueStreamControls;
+        return {
+            enabled: !!enabled?.checked,
+            streams: [...(streams?.querySelectorAll('[data-stream]') || [])].map(row => ({
+                id: row.dataset.stream,
+                ...Object.fromEntries([...row.querySelectorAll('[data-field]')].map(input => [input.dataset.field, input.value]))
+            }))
+        };
+    }
+
+    /**
+     * Restore the revenue stream editor from saved values (rows with an unknown product are skipped)
+     */
+    setRevenueStreamState(state) {
+        const { enabled, streams } = this.revenueStreamControls;
+        if (!streams) return;
+        if (enabled && typeof state.enabled === 'boolean') enabled.checked = state.enabled;
+        if (Array.isArray(state.streams)) {
+            this.renderRevenueStreamRows(state.streams.filter(stream =>
+                typeof stream?.id === 'string' && stream.id && CONFIG.REVENUE_STREAMS.products.includes(stream.product)));
+        }
+        streams.dispatchEvent(new Event('input'));
+        enabled?.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Revenue streams from the stream rows in engine units (null when streams are off or empty);
+     * fees use the Average Trading Fee units and blank fields fall back in the engine
+     */
+    getRevenueStreams() {
+        const { enabled, streams } = this.revenueStreamControls;
+        if (!enabled?.checked || !streams) return null;
+        
+        const rows = [...streams.querySelectorAll('[data-stream]')].map(row => {
+            const read = field => row.querySelector(`[data-field="${field}"]`)?.value.trim() ?? '';
+            const stream = {
+                id: row.dataset.stream,
+                label: read('label') || row.dataset.stream,
+                product: read('product'),
+                daily_volume: Math.max(0, parseFloat(read('daily_volume')) || 0) * 1_000_000
+            };
+            if (read('fee_rate') !== '') {
+                stream.fee_rate = Math.max(0, WOOSimulation.paramsFromControls({ woofiTradingFeeRate: { value: read('fee_rate') } }).woofi_fee_rate || 0);
+            }
+            if (read('affiliate_share') !== '') {
+                stream.affiliate_share = Math.min(1, Math.max(0, (parseFloat(read('affiliate_share')) || 0) / 100));
+            }
+            const growth = parseFloat(read('growth')) || 0;
+            stream.schedule = growth ? { growth: { type: 'compound', rate: growth / 100 } } : null;
+            return stream;
+        });
+        return rows.length ? rows : null;
+    }
+
+    /**
+     * Render one block per fee schedule product (maker/taker/rebate in bps, maker share and VIP tier
+     * discounts and volume shares in %) and show each product's effective net rate against its flat rate
+     */
+    setupFeeScheduleControls() {
+        const { schedules } = this.feeScheduleControls;
+        if (!schedules) return;
+        
+        const input = (field, value, attrs, tier = '') => `
+            <input type="number" data-field="${field}"${tier ? ` data-tier="${tier}"` : ''} value="${value}" ${attrs} class="w-full px-2 py-1 border rounded-md" style="border-color: var(--border-color); background-color: var(--neutral-white);">`;
+        
+        schedules.innerHTML = FeeSchedule.PRODUCTS.map(product => {
+            const schedule = CONFIG.FEE_SCHEDULES[product];
+            return `
+                <div data-fee-product="${product}" class="space-y-2">
+                    <div class="flex items-center justify-between">
+                        <label class="flex items-center font-medium" style="color: var(--text-primary);">
+                            <input type="checkbox" data-field="enabled" class="mr-2">
+                            ${UIManager.escapeHtml(schedule.label)}
+                        </label>
+                        <span data-field="effective" style="color: var(--text-secondary);"></span>
+                    </div>
+                    <div data-field="inputs" class="space-y-2">
+                        <div class="grid grid-cols-4 gap-2 font-medium" style="color: var(--text-secondary);">
+                            <span>Maker (bps)</span><span>Taker (bps)</span><span>Rebate (bps)</span><span>Maker %</span>
+                        </div>
+                        <div class="grid grid-cols-4 gap-2">
+                            ${input('maker_rate', schedule.maker_rate * 10000, 'min="0" step="0.1"')}
+                            ${input('taker_rate', schedule.taker_rate * 10000, 'min="0" step="0.1"')}
+                            ${input('maker_rebate', schedule.maker_rebate * 10000, 'min="0" step="0.1"')}
+                            ${input('maker_share', schedule.maker_share * 100, 'min="0" max="100" step="5"')}
+                        </div>
+                        <div class="grid grid-cols-3 gap-2 font-medium" style="color: var(--text-secondary);">
+                            <span>VIP Tier</span><span>Discount %</span><span>Volume %</span>
+                        </div>
+                        ${schedule.vip_tiers.map(tier => `
+                            <div class="grid grid-cols-3 gap-2 items-center">
+                                <span style="color: var(--text-secondary);">${UIManager.escapeHtml(tier.label)}</span>
+                                ${input('discount', tier.discount * 100, 'min="0" max="100" step="5"', tier.id)}
+                                ${input('volume_share', tier.volume_share * 100, 'min="0" max="100" step="5"', tier.id)}
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+        
+        const updateStatus = () => {
+            const flat = FeeSchedule.rates(WOOSimulation.paramsFromControls({ woofiTradingFeeRate: this.controls.woofiTradingFeeRate || { value: DEFAULT_VALUES.woofiTradingFeeRate } }));
+            FeeSchedule.PRODUCTS.forEach(product => {
+                const block = schedules.querySelector(`[data-fee-product="${product}"]`);
+                const enabled = block.querySelector('[data-field="enabled"]').checked;
+                const rate = FeeSchedule.effectiveRate(this.readFeeSchedule(product));
+                const flatRate = flat[FeeSchedule.RATE_PARAMS[product]];
+                block.querySelector('[data-field="effective"]').textContent = enabled
+                    ? `${(rate * 10000).toFixed(2)} bps net (flat ${(flatRate * 10000).toFixed(2)} bps)`
+                    : `flat ${(flatRate * 10000).toFixed(2)} bps`;
+                block.querySelector('[data-field="inputs"]').style.opacity = enabled ? '1' : '0.5';
+            });
+        };
+        
+        schedules.addEventListener('input', updateStatus);
+        schedules.addEventListener('change', updateStatus);
+        this.controls.woofiTradingFeeRate?.addEventListener('input', updateStatus);
+        updateStatus();
+    }
+
+    /**
+     * One product's fee schedule from its block in engine units (rates as decimals, shares 0-1)
+     */
+    readFeeSchedule(product) {
+        const block = this.feeScheduleControls.schedules.querySelector(`[data-fee-product="${product}"]`);
+        const read = (field, tier) => Math.max(0, parseFloat(block.querySelector(`[data-field="${field}"]${tier ? `[data-tier="${tier}"]` : ''}`)?.value) || 0);
+        return {
+            maker_rate: read('maker_rate') / 10000,
+            taker_rate: read('taker_rate') / 10000,
+            maker_rebate: read('maker_rebate') / 10000,
+            maker_share: Math.min(1, read('maker_share') / 100),
+            vip_tiers: CONFIG.FEE_SCHEDULES[product].vip_tiers.map(tier => ({
+                id: tier.id,
+                discount: Math.min(1, read('discount', tier.id) / 100),
+                volume_share: read('volume_share', tier.id) / 100
+            }))
+        };
+    }
+
+    /**
+     * Fee schedules for the ticked products in engine units (null when every product keeps its flat rate)
+     */
+    getFeeSchedule() {
+        const { schedules } = this.feeScheduleControls;
+        if (!schedules) return null;
+        
+        const products = FeeSchedule.PRODUCTS.filter(product =>
+            schedules.querySelector(`[data-fee-product="${product}"] [data-field="enabled"]`)?.checked);
+        return products.length ? Object.fromEntries(products.map(product => [product, this.readFeeSchedule(product)])) : null;
+    }
+
+    /**
+     * Fee schedule editor values by product (saved configurations and share links)
+     */
+    getFeeScheduleState() {
+        const { schedules } = this.feeScheduleControls;
+        if (!schedules) return {};
+        
+        return Object.fromEntries(FeeSchedule.PRODUCTS.map(product => {
+            const block = schedules.querySelector(`[data-fee-product="${product}"]`);
+            const state = { enabled: block.querySelector('[data-field="enabled"]').checked, tiers: {} };
+            block.querySelectorAll('input[type="number"]').forEach(input => {
+                if (input.dataset.tier) {
+                    state.tiers[input.dataset.tier] = { ...state.tiers[input.dataset.tier], [input.dataset.field]: input.value };
+                } else {
+                    state[input.dataset.field] = input.value;
+                }
+            });
+            return [product, state];
+        }));
+    }
+
+    /**
+     * Restore the fee schedule editor from saved values (products, tiers and fields without an input are ignored)
+     */
+    setFeeScheduleState(state) {
+        const { schedules } = this.feeScheduleControls;
+        if (!schedules) return;
+        
+        FeeSchedule.PRODUCTS.filter(product => state[product]).forEach(product => {
+            const block = schedules.querySelector(`[data-fee-product="${product}"]`);
+            const saved = state[product];
+            if (typeof saved.enabled === 'boolean') block.querySelector('[data-field="enabled"]').checked = saved.enabled;
+            block.querySelectorAll('input[type="number"]').forEach(input => {
+                const { field, tier } = input.dataset;
+                const value = tier ? saved.tiers?.[tier]?.[field] : saved[field];
+                if (value !== undefined && value !== null) input.value = value;
+            });
+        });
+        schedules.dispatchEvent(new Event('change'));
+    }
+
+    /**
+     * Engine parameters for the current controls, including the volume and vesting schedules,
+     * the revenue streams, fee schedules and the governance timeline
+     */
+    getSimulationParams() {
+        return {
+            ...WOOSimulation.paramsFromControls(this.getControlValues()),
+            volume_schedule: this.getVolumeSchedule(),
+            vesting_schedule: this.getVestingSchedule(),
+            revenue_streams: this.getRevenueStreams(),
+            fee_schedule: this.getFeeSchedule(),
+            parameter_schedule: this.getParameterSchedule()
+        };
+    }
+
+    /**
+     * Build the governance timeline editor: pick a month and a control (or the model), enter the
+     * new value in the control's own units and add it to this.timeline
+     */
+    setupTimelineControls() {
+        const { month, target, value, add, changes } = this.timelineControls;
+        if (!target || !value) return;
+        
+        const keys = Object.keys(this.controls).filter(key => this.controls[key] && !UIManager.TIMELINE_EXCLUDED.includes(key));
+        target.innerHTML = `
+            <option value="model">Tokenomics Model</option>
+            ${keys.map(key => `<option value="${key}">${UIManager.escapeHtml(this.timelineLabel(key))}</option>`).join('')}
+        `;
+        
+        // Value input in the units of the selected control, starting from its current value
+        const renderValue = () => {
+            const control = this.controls[target.value];
+            const style = 'class="w-full px-3 py-2 border rounded-md text-sm" style="border-color: var(--border-color); background-color: var(--neutral-white);"';
+            if (target.value === 'model') {
+                value.innerHTML = `<select ${style}>${ModelRegistry.list().map(model => `<option value="${model.id}">${UIManager.escapeHtml(model.label)}</option>`).join('')}</select>`;
+            } else if (control.tagName === 'SELECT') {
+                value.innerHTML = `<select ${style}>${[...control.options].map(option => `<option value="${option.value}"${option.value === control.value ? ' selected' : ''}>${UIManager.escapeHtml(option.text)}</option>`).join('')}</select>`;
+            } else {
+                const attrs = ['min', 'max', 'step'].map(attr => control.getAttribute(attr) !== null ? `${attr}="${control.getAttribute(attr)}"` : '').join(' ');
+                value.innerHTML = `<input type="number" ${attrs} value="${control.value}" ${style}>`;
+            }
+        };
+        
+        target.addEventListener('change', renderValue);
+        add?.addEventListener('click', () => {
+            const input = value.querySelector('input, select');
+            const changeMonth = parseInt(month?.value);
+            if (!input || !(changeMonth >= 1)) return;
+            
+            const text = input.tagName === 'SELECT' ? input.options[input.selectedIndex].text : input.value;
+            const label = target.value === 'model' ? `Model → ${input.value.toUpperCase()}` : `${this.timelineLabel(target.value)} → ${text}`;
+            this.timeline = this.timeline.filter(change => change.month !== changeMonth || change.control !== target.value);
+            this.timeline.push({ month: changeMonth, control: target.value, value: input.value, label });
+            this.timeline.sort((a, b) => a.month - b.month);
+            this.renderTimelineChanges();
+        });
+        changes?.addEventListener('click', event => {
+            const index = event.target.dataset?.timelineIndex;
+            if (index === undefined) return;
+            this.timeline.splice(parseInt(index), 1);
+            this.renderTimelineChanges();
+        });
+        
+        renderValue();
+        this.renderTimelineChanges();
+    }
+
+    /**
+     * List the scheduled changes in this.timeline with remove buttons
+     */
+    renderTimelineChanges() {
+        const { changes } = this.timelineControls;
+        if (!changes) return;
+        changes.innerHTML = this.timeline.length === 0
+            ? '<p style="color: var(--text-secondary);">No scheduled changes</p>'
+            : this.timeline.map((change, index) => `
+                <div class="flex items-center justify-between px-2 py-1 rounded" style="background-color: var(--neutral-light);">
+                    <span style="color: var(--text-primary);"><strong>Month ${change.month}</strong> · ${UIManager.escapeHtml(change.label)}</span>
+                    <button data-timeline-index="${index}" class="px-2" style="color: var(--text-secondary);" title="Remove">✕</button>
+                </div>
+            `).join('');
+    }
+
+    /**
+     * Restore the governance timeline from saved changes ({ month, control, value, label }), skipping
+     * changes to unknown controls or models
+     */
+    setTimelineState(changes) {
+        if (!Array.isArray(changes)) return;
+        this.timeline = changes
+            .filter(change => parseInt(change?.month) >= 1 && change.value !== undefined && change.value !== null)
+            .filter(change => change.control === 'model'
+                ? ModelRegistry.has(change.value)
+                : Object.hasOwn(this.controls, change.control) && this.controls[change.control] && !UIManager.TIMELINE_EXCLUDED.includes(change.control))
+            .map(change => ({
+                month: parseInt(change.month),
+                control: change.control,
+                value: String(change.value),
+                label: typeof change.label === 'string' ? change.label : `${change.control === 'model' ? 'Model' : this.timelineLabel(change.control)} → ${change.value}`
+            }))
+            .sort((a, b) => a.month - b.month);
+        this.renderTimelineChanges();
+    }
+
+    /**
+     * Short label for a control in the timeline (the control's own label text)
+     */
+    timelineLabel(key) {
+        const label = document.querySelector(`label[for="${key}"]`);
+        return UIManager.TIMELINE_LABELS[key] || (label?.querySelector('span') || label)?.textContent.trim() || key;
+    }
+
+    /**
+     * Governance timeline in engine units (null when nothing is scheduled): one change per month,
+     * V2 fee and buyback destination shares rebalanced against the split in force at that month
+     */
+    getParameterSchedule() {
+        if (this.timeline.length === 0) return null;
+        
+        let inForce = WOOSimulation.paramsFromControls(this.getControlValues());
+        const months = [...new Set(this.timeline.map(change => change.month))];
+        
+        return months.map(month => {
+            const entries = this.timeline.filter(change => change.month === month);
+            const scheduled = { month, params: {}, label: entries.map(change => change.label).join('; ') };
+            entries.forEach(change => {
+                if (change.control === 'model') {
+                    scheduled.model = change.value;
+                    return;
+                }
+                const params = WOOSimulation.paramsFromControls({ [change.control]: { value: change.value } });
+                Object.entries(params).forEach(([key, value]) => {
+                    const shares = WOOSimulation.shareSplit(key);
+                    const split = shares ? WOOSimulation.rebalanceFeeSplit({ ...inForce, ...scheduled.params }, key, value) : { [key]: value };
+                    Object.assign(scheduled.params, shares ? Object.fromEntries(shares.map(share => [share, split[share]])) : split);
+                });
+            });
+            inForce = { ...inForce, ...scheduled.params };
+            return scheduled;
+        });
+    }
+
+    /**
+     * Get Monte Carlo options (falls back to CONFIG.MONTE_CARLO for missing inputs)
+     */
+    getMonteCarloOptions() {
+        const { paths, seed, distribution, volatility, drift } = this.monteCarloControls;
+        const options = {};
+        
+        if (paths) options.paths = Math.max(1, parseInt(paths.value) || CONFIG.MONTE_CARLO.paths);
+        if (seed) options.seed = parseInt(seed.value) || 0;
+        if (distribution) options.distribution = distribution.value;
+        if (volatility) options.volatility = parseFloat(volatility.value) / 100;
+        if (drift) options.drift = parseFloat(drift.value) / 100;
+        
+        return options;
+    }
+
+    /**
+     * Agent population overrides for AgentBasedSimulation (see CONFIG.AGENT_BASED)
+     */
+    getAgentOptions() {
+        const { seed, stakers, traders, lps, treasurySell } = this.agentControls;
+        const defaults = CONFIG.AGENT_BASED;
+        const count = (input, fallback) => Math.max(1, parseInt(input.value) || fallback);
+        const options = {};
+        
+        if (seed) options.seed = parseInt(seed.value) || 0;
+        if (stakers) options.stakers = { count: count(stakers, defaults.stakers.count) };
+        if (traders) options.traders = { count: count(traders, defaults.traders.count) };
+        if (lps) options.lps = { count: count(lps, defaults.lps.count) };
+        if (treasurySell) options.treasury = { sell_rate: parseFloat(treasurySell.value) / 100 };
+        
+        return options;
+    }
+
+    /**
+     * Show final-month Monte Carlo percentiles
+     */
+    showMonteCarloSummary(result) {
+        const container = document.getElementById('monteCarloResults');
+        const tbody = document.getElementById('monteCarloSummaryBody');
+        const meta = document.getElementById('monteCarloMeta');
+        if (!container || !tbody) return;
+        
+        const last = band => band[band.length - 1];
+        const rows = [
+            { label: 'WOO Price', band: result.bands.price, format: value => `$${value.toFixed(4)}` },
+            { label: 'Cumulative Burned', band: result.bands.cumulative_burned, format: value => UIManager.formatValue(value * 1e6) },
+            { label: 'WOOFi Treasury', band: result.bands.woofi_treasury, format: value => UIManager.formatValue(value * 1e6) },
+            { label: 'WOO X Treasury', band: result.bands.woox_treasury, format: value => UIManager.formatValue(value * 1e6) }
+        ];
+        
+        tbody.innerHTML = rows.map(row => `
+            <tr>
+                <td class="py-2 px-4 border-b text-sm font-medium" style="border-color: var(--border-color); color: var(--text-primary);">${row.label}</td>
+                <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${row.format(last(row.band.p5))}</td>
+                <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${row.format(last(row.band.p50))}</td>
+                <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${row.format(last(row.band.p95))}</td>
+            </tr>
+        `).join('');
+        
+        if (meta) {
+            const surviving = result.surviving[result.surviving.length - 1];
+            const stopped = surviving < result.paths ? ` (${result.paths - surviving} stopped early, held at their last month)` : '';
+            meta.textContent = `${result.model.toUpperCase()} • ${result.paths} paths${stopped} • ${result.distribution} • seed ${result.seed} • month ${result.months[result.months.length - 1]}`;
+        }
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Hide Monte Carlo results
+     */
+    hideMonteCarloSummary() {
+        document.getElementById('monteCarloResults')?.classList.add('hidden');
+    }
+
+    /**
+     * Get sensitivity analysis options from the controls
+     */
+    getSensitivityOptions() {
+        const { method, metric, year } = this.sensitivityControls;
+        return {
+            method: method?.value || 'oat',
+            metric: metric?.value || 'final_price',
+            year: parseInt(year?.value) || undefined
+        };
+    }
+
+    /**
+     * Show a sensitivity result as a ranked table for one metric
+     */
+    showSensitivityTable(result, metric) {
+        const thead = document.getElementById('sensitivityTableHead');
+        const tbody = document.getElementById('sensitivityTableBody');
+        if (!thead || !tbody) return;
+        
+        const format = value => {
+            if (value === null || value === undefined) return 'N/A';
+            if (metric === 'final_price') return `$${value.toFixed(4)}`;
+            if (metric === 'cumulative_burned') return UIManager.formatValue(value * 1e6);
+            return value.toFixed(2);
+        };
+        const formatInput = value => Math.abs(value) >= 1000 ? UIManager.formatValue(value) : value.toFixed(3);
+        const headerCell = text => `<th class="py-2 px-4 border-b text-xs font-semibold text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${text}</th>`;
+        const cell = text => `<td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${text}</td>`;
+        
+        const headers = result.method === 'oat'
+            ? ['Low Input', 'High Input', 'Low Output', 'High Output', 'Swing']
+            : ['μ', 'μ*', 'σ'];
+        thead.innerHTML = `
+            <tr>
+                <th class="py-2 px-4 border-b text-xs font-semibold text-left" style="border-color: var(--border-color); color: var(--text-secondary);">Parameter</th>
+                ${headers.map(headerCell).join('')}
+            </tr>
+        `;
+        
+        tbody.innerHTML = SensitivityAnalyzer.rankFactors(result, metric).map(factor => {
+            const out = factor.outputs[metric];
+            const cells = result.method === 'oat'
+                ? [formatInput(factor.low_value), formatInput(factor.high_value), format(out.low), format(out.high), format(out.swing)]
+                : [format(out.mu), format(out.mu_star), format(out.sigma)];
+            return `
+                <tr>
+                    <td class="py-2 px-4 border-b text-sm font-medium" style="border-color: var(--border-color); color: var(--text-primary);">${factor.label}</td>
+                    ${cells.map(cell).join('')}
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the V1 vs V2 delta table
+     */
+    showComparisonTable(result) {
+        const container = document.getElementById('comparisonResults');
+        const tbody = document.getElementById('comparisonTableBody');
+        const meta = document.getElementById('comparisonMeta');
+        if (!container || !tbody) return;
+        
+        const formatters = {
+            usd: value => `$${value.toFixed(4)}`,
+            tokens: value => UIManager.formatValue(value * 1e6),
+            ratio: value => `${value.toFixed(1)}x`
+        };
+        const format = (value, unit) => value === null ? 'N/A' : formatters[unit](value);
+        const formatDelta = (value, unit) => value === null ? 'N/A' : `${value >= 0 ? '+' : '-'}${formatters[unit](Math.abs(value))}`;
+        
+        tbody.innerHTML = result.deltas.map(row => `
+            <tr>
+                <td class="py-2 px-4 border-b text-sm font-medium" style="border-color: var(--border-color); color: var(--text-primary);">${row.label}</td>
+                <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${format(row.v1, row.unit)}</td>
+                <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${format(row.v2, row.unit)}</td>
+                <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-primary);">${formatDelta(row.delta, row.unit)}</td>
+                <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-primary);">${row.delta_pct === null ? 'N/A' : `${row.delta_pct >= 0 ? '+' : ''}${row.delta_pct.toFixed(1)}%`}</td>
+            </tr>
+        `).join('');
+        
+        if (meta) {
+            const endedEarly = result.v1.months_run < result.v2.months_run ? ` • V1 ended at month ${result.v1.months_run}` : '';
+            meta.textContent = `${result.months.length} months • same shared inputs${endedEarly}`;
+        }
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Show backtest RMSE/MAPE for price and circulating supply
+     */
+    showBacktestResults(result) {
+        const container = document.getElementById('backtestResults');
+        const tbody = document.getElementById('backtestMetricsBody');
+        if (!container || !tbody) return;
+        
+        const rows = [
+            { label: 'WOO Price', metrics: result.metrics.price, format: value => `$${value.toFixed(4)}` },
+            { label: 'Circulating Supply', metrics: result.metrics.circulating, format: value => UIManager.formatValue(value * 1e6) }
+        ];
+        
+        tbody.innerHTML = rows.map(row => `
+            <tr>
+                <td class="py-2 px-4 border-b text-sm font-medium" style="border-color: var(--border-color); color: var(--text-primary);">${row.label}</td>
+                <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${row.metrics.n}</td>
+                <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${row.metrics.rmse === null ? 'N/A' : row.format(row.metrics.rmse)}</td>
+                <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${row.metrics.mape === null ? 'N/A' : `${row.metrics.mape.toFixed(2)}%`}</td>
+            </tr>
+        `).join('');
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Fill the goal-seek metric selects from GoalSeeker.METRICS
+     */
+    setupGoalSeekControls() {
+        const { metric, constraintMetric } = this.goalSeekControls;
+        const options = Object.entries(GoalSeeker.METRICS)
+            .map(([key, definition]) => `<option value="${key}">${definition.label}</option>`)
+            .join('');
+        if (metric) metric.innerHTML = options;
+        if (constraintMetric) constraintMetric.innerHTML = `<option value="" selected>None</option>${options}`;
+    }
+
+    /**
+     * Get the goal-seek problem ({ target, constraints, free }) from the controls
+     */
+    getGoalSeekOptions() {
+        const c = this.goalSeekControls;
+        const target = {
+            metric: c.metric?.value || 'circulating',
+            period: parseInt(c.period?.value) || undefined,
+            comparator: c.comparator?.value || '<=',
+            value: parseFloat(c.value?.value)
+        };
+        if (!isFinite(target.value)) throw new Error('Enter a target value');
+        
+        const constraints = [];
+        const constraintValue = parseFloat(c.constraintValue?.value);
+        if (c.constraintMetric?.value && isFinite(constraintValue)) {
+            constraints.push({
+                metric: c.constraintMetric.value,
+                period: parseInt(c.constraintPeriod?.value) || undefined,
+                comparator: c.constraintComparator?.value || '>=',
+                value: constraintValue
+            });
+        }
+        
+        const free = [
+            c.freeBuyback?.checked && 'buyback_burn_share',
+            c.freeStaker?.checked && 'staker_share',
+            c.freeTreasury?.checked && 'treasury_share'
+        ].filter(Boolean);
+        return { target, constraints, free };
+    }
+
+    /**
+     * Show the current vs solved fee split and the metric values they produce
+     */
+    showGoalSeekResults(result) {
+        const tbody = document.getElementById('goalSeekTableBody');
+        const status = document.getElementById('goalSeekStatus');
+        if (!tbody) return;
+        
+        const format = (value, metric) => {
+            if (value === null || value === undefined) return 'N/A';
+            if (metric === 'price') return `$${value.toFixed(4)}`;
+            if (GoalSeeker.METRICS[metric].source === 'annual') return value.toFixed(2);
+            return UIManager.formatValue(value * 1e6);
+        };
+        const describe = condition => {
+            const definition = GoalSeeker.METRICS[condition.metric];
+            const period = condition.period ? ` (${definition.period} ${condition.period})` : '';
+            return `${definition.label}${period} ${condition.comparator === '=' ? '=' : condition.comparator === '<=' ? '≤' : '≥'} ${condition.value}`;
+        };
+        const row = (label, current, solution, highlight = false) => `
+            <tr>
+                <td class="py-2 px-4 border-b text-sm font-medium" style="border-color: var(--border-color); color: var(--text-primary);">${label}</td>
+                <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${current}</td>
+                <td class="py-2 px-4 border-b text-sm text-right${highlight ? ' font-semibold' : ''}" style="border-color: var(--border-color); color: ${highlight ? 'var(--primary-blue)' : 'var(--text-secondary)'};">${solution}</td>
+            </tr>
+        `;
+        const shareLabels = { buyback_burn_share: 'Buyback & Burn', staker_share: 'Stakers', treasury_share: 'Treasury' };
+        
+        tbody.innerHTML = [
+            ...GoalSeeker.SHARES.map(key => row(
+                shareLabels[key],
+                `${Math.round(result.current[key] * 100)}%`,
+                `${Math.round(result.solution[key] * 100)}%`,
+                result.free.includes(key)
+            )),
+            row(describe(result.target), format(result.current_value, result.target.metric), format(result.target_value, result.target.metric), true),
+            ...result.constraints.map((constraint, i) => row(
+                describe(constraint),
+                format(result.current_constraint_values[i], constraint.metric),
+                format(result.constraint_values[i], constraint.metric)
+            ))
+        ].join('');
+        
+        if (status) {
+            status.textContent = result.feasible
+                ? `Solved in ${result.evaluations} V2 runs; charts show the solved split`
+                : `No split meets every condition; showing the closest (${result.evaluations} V2 runs)`;
+        }
+    }
+
+    /**
+     * Show fitted elasticities with profile-likelihood intervals
+     */
+    showCalibrationResults(result) {
+        const container = document.getElementById('calibrationResults');
+        const tbody = document.getElementById('calibrationTableBody');
+        const meta = document.getElementById('calibrationMeta');
+        if (!container || !tbody) return;
+        
+        const decimals = key => key === 'buying_pressure_decay' ? 3 : 2;
+        const bound = (value, atBound, key, sign) => `${atBound ? `${sign} ` : ''}${value.toFixed(decimals(key))}`;
+        
+        tbody.innerHTML = result.keys.map(key => {
+            const interval = result.intervals[key];
+            return `
+                <tr>
+                    <td class="py-2 px-4 border-b text-sm font-medium" style="border-color: var(--border-color); color: var(--text-primary);">${result.labels[key]}</td>
+                    <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${result.initial.values[key].toFixed(decimals(key))}</td>
+                    <td class="py-2 px-4 border-b text-sm text-right font-semibold" style="border-color: var(--border-color); color: var(--primary-blue);">${result.fitted.values[key].toFixed(decimals(key))}</td>
+                    <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${bound(interval.low, interval.low_at_bound, key, '≤')} – ${bound(interval.high, interval.high_at_bound, key, '≥')}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        const confidenceLabel = document.getElementById('calibrationConfidenceLabel');
+        if (confidenceLabel) confidenceLabel.textContent = `${Math.round(result.confidence * 100)}%`;
+        if (meta) {
+            const mape = metrics => metrics.mape === null ? 'N/A' : `${metrics.mape.toFixed(2)}%`;
+            meta.textContent = `${result.model.toUpperCase()} • ${result.n} months • price MAPE ${mape(result.initial.metrics)} → ${mape(result.fitted.metrics)}`;
+        }
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Fill the scenario selects (presets first, then saved scenarios)
+     */
+    renderScenarioList(scenarios, selectedId = null) {
+        const presets = scenarios.filter(scenario => scenario.preset);
+        const saved = scenarios.filter(scenario => !scenario.preset);
+        const option = scenario => `<option value="${scenario.id}">${UIManager.escapeHtml(scenario.name)}${scenario.tag ? ` [${UIManager.escapeHtml(scenario.tag)}]` : ''} (${scenario.model.toUpperCase()})</option>`;
+        const html = `
+            <optgroup label="Presets">${presets.map(option).join('')}</optgroup>
+            ${saved.length ? `<optgroup label="Saved">${saved.map(option).join('')}</optgroup>` : ''}
+        `;
+        
+        ['scenarioSelect', 'scenarioDiffA', 'scenarioDiffB'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            const previous = select.value;
+            select.innerHTML = html;
+            const preferred = id === 'scenarioSelect' ? selectedId || previous : previous;
+            if (preferred && scenarios.some(scenario => scenario.id === preferred)) {
+                select.value = preferred;
+            } else if (id === 'scenarioDiffB' && scenarios.length > 1) {
+                select.value = scenarios[1].id;
+            }
+        });
+        this.showScenarioDetails(scenarios.find(scenario => scenario.id === document.getElementById('scenarioSelect')?.value));
+    }
+
+    /**
+     * Show description and save date for the selected scenario
+     */
+    showScenarioDetails(scenario) {
+        const details = document.getElementById('scenarioDetails');
+        if (!details) return;
+        if (!scenario) {
+            details.textContent = '';
+            return;
+        }
+        const saved = scenario.timestamp ? ` • saved ${new Date(scenario.timestamp).toLocaleString()}` : '';
+        details.textContent = `${scenario.description || 'No description'}${saved}`;
+    }
+
+    /**
+     * Read name, tag and description for a new scenario
+     */
+    getScenarioForm() {
+        return {
+            name: document.getElementById('scenarioName')?.value || '',
+            tag: document.getElementById('scenarioTag')?.value || '',
+            description: document.getElementById('scenarioDescription')?.value || ''
+        };
+    }
+
+    /**
+     * Show the parameters that differ between two scenarios
+     */
+    showScenarioDiff(rows, scenarioA, scenarioB) {
+        const container = document.getElementById('scenarioDiffResults');
+        const tbody = document.getElementById('scenarioDiffBody');
+        if (!container || !tbody) return;
+        
+        document.getElementById('scenarioDiffHeaderA').textContent = scenarioA.name;
+        document.getElementById('scenarioDiffHeaderB').textContent = scenarioB.name;
+        
+        const label = key => key === 'model'
+            ? 'Model'
+            : document.querySelector(`label[for="${key}"] span`)?.textContent || key;
+        const format = (value, key) => value === null ? '—' : UIManager.escapeHtml(key === 'model' ? String(value).toUpperCase() : String(value));
+        
+        tbody.innerHTML = rows.length === 0
+            ? `<tr><td colspan="3" class="py-3 px-3 text-center text-xs" style="color: var(--text-secondary);">No parameter differences</td></tr>`
+            : rows.map(row => `
+                <tr>
+                    <td class="py-2 px-3 border-b text-xs font-medium" style="border-color: var(--border-color); color: var(--text-primary);">${label(row.key)}</td>
+                    <td class="py-2 px-3 border-b text-xs text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${format(row.a, row.key)}</td>
+                    <td class="py-2 px-3 border-b text-xs text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${format(row.b, row.key)}</td>
+                </tr>
+            `).join('');
+        container.classList.remove('hidden');
+    }
+
+    /**
+     * Escape user-entered text for innerHTML
+     */
+    static escapeHtml(text) {
+        return String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+    }
+
+    /**
+     * Render one radio per registered model and set up selection event listeners
      */
     setupModelSelection() {
+        const container = document.getElementById('modelSelection');
+        if (container) {
+            container.innerHTML = ModelRegistry.list().map(model => `
+                <label class="flex items-center cursor-pointer">
+                    <input type="radio" name="tokenomicsModel" value="${model.id}" class="mr-3"${model.id === this.getCurrentModel() ? ' checked' : ''} style="transform: scale(1.2);">
+                    <div class="text-left">
+                        <span class="font-medium block" style="color: var(--text-primary);">${model.label}</span>
+                        <span class="text-sm" style="color: var(--text-secondary);">${model.summary || ''}</span>
+                    </div>
+                </label>
+            `).join('');
+        }
+        
         const modelRadios = document.querySelectorAll('input[name="tokenomicsModel"]');
         modelRadios.forEach(radio => {
             radio.addEventListener('change', (e) => {
@@ -237,23 +1483,74 @@ class UIManager {
     }
 
     /**
-     * Switch to selected model (V1 or V2)
+     * Set up modeling approach radio listeners
      */
-    switchToModel(modelVersion) {
-        this.currentModel = modelVersion;
+    setupApproachSelection() {
+        document.querySelectorAll('input[name="modelingApproach"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    this.switchToApproach(e.target.value);
+                }
+            });
+        });
+    }
+
+    /**
+     * Switch between the system-dynamics and agent-based engines
+     */
+    switchToApproach(approach) {
+        this.currentApproach = approach;
         
-        // Show/hide model-specific controls
-        const v1Elements = document.querySelectorAll('.v1-only');
-        const v2Elements = document.querySelectorAll('.v2-only');
+        const radio = document.querySelector(`input[name="modelingApproach"][value="${approach}"]`);
+        if (radio) radio.checked = true;
         
-        if (modelVersion === 'v1') {
-            v1Elements.forEach(el => el.style.display = 'block');
-            v2Elements.forEach(el => el.style.display = 'none');
-        } else {
-            v1Elements.forEach(el => el.style.display = 'none');
-            v2Elements.forEach(el => el.style.display = 'block');
+        // Show/hide approach-specific controls
+        document.querySelectorAll('[data-approaches]').forEach(el => {
+            el.style.display = el.dataset.approaches.split(/\s+/).includes(approach) ? 'block' : 'none';
+        });
+        
+        const label = document.getElementById('currentApproach');
+        if (label) label.textContent = approach === 'agent-based' ? 'Agent-Based' : 'System Dynamics';
+        
+        // The next run needs the other engine
+        if (window.app && window.app.simInterval) {
+            window.app.stopSimulation();
         }
         
+        console.log(`Switched to ${approach} approach`);
+    }
+
+    /**
+     * Show the liquidity settings of the selected price model
+     */
+    updatePriceModelControls() {
+        const priceModel = LiquidityModel.MODELS[parseInt(this.controls.priceModel?.value)] || 'elasticity';
+        document.querySelectorAll('[data-price-models]').forEach(el => {
+            el.style.display = el.dataset.priceModels.split(/\s+/).includes(priceModel) ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * Show the settings of the selected V2 buyback strategy
+     */
+    updateBuybackStrategyControls() {
+        const strategy = CONFIG.BUYBACK_STRATEGIES[parseInt(this.controls.buybackStrategy?.value)] || 'instant';
+        document.querySelectorAll('[data-buyback-strategies]').forEach(el => {
+            el.style.display = el.dataset.buybackStrategies.split(/\s+/).includes(strategy) ? 'block' : 'none';
+        });
+    }
+
+    /**
+     * Switch to selected model (any id in ModelRegistry)
+     */
+    switchToModel(modelVersion) {
+        this.currentModel = modelVersion;
+        
+        // Show/hide model-specific controls (data-models lists the model ids a section belongs to)
+        document.querySelectorAll('[data-models]').forEach(el => {
+            el.style.display = el.dataset.models.split(/\s+/).includes(modelVersion) ? 'block' : 'none';
+        });
+        
         // Clear previous model state and reset ratio displays
         this.clearModelState();
         
@@ -286,11 +1583,7 @@ class UIManager {
     updateRatioDescription(modelVersion) {
         const descriptionElement = document.getElementById('ratioModelDescription');
         if (descriptionElement) {
-            if (modelVersion === 'v1') {
-                descriptionElement.textContent = 'V1: Shows single P/R ratio - Market Cap ÷ (USDC + Token Burns + Auto-compound spending)';
-            } else {
-                descriptionElement.textContent = 'V2: Shows dual ratios - USD spent (cash flow) vs current token value (market value)';
-            }
+            descriptionElement.textContent = ModelRegistry.get(modelVersion).ratioDescription || '';
         }
     }
     
@@ -302,17 +1595,14 @@ class UIManager {
         if (window.app && window.app.simulation) {
             // Reset simulation state arrays
             if (window.app.simulation.simState) {
-                window.app.simulation.simState.annual_pr_ratios = [];
-                window.app.simulation.simState.annual_pv_ratios_usd = [];
-                window.app.simulation.simState.annual_pv_ratios_market = [];
+                ModelRegistry.ratioKeys().forEach(key => {
+                    window.app.simulation.simState[key] = [];
+                });
             }
         }
         
         // Reset all ratio displays to '--'
-        const allRatioElements = document.querySelectorAll('[id^="prRatio"], [id^="pvRatio"]');
-        allRatioElements.forEach(element => {
-            element.textContent = '--';
-        });
+        this.resetRatioCards();
         
         // Reset charts if they exist
         if (window.app && window.app.charts) {
@@ -326,23 +1616,23 @@ class UIManager {
     }
     
     /**
-     * V2: Update fee distribution display values and total
+     * V2: Update the fee distribution and buyback destination display values and totals
      */
     updateFeeDistributionDisplay() {
-        const buyback = parseInt(this.controls.buybackBurnShare?.value || 50);
-        const staker = parseInt(this.controls.stakerShare?.value || 30);
-        const treasury = parseInt(this.controls.treasuryShare?.value || 20);
-        const total = buyback + staker + treasury;
-        
-        if (this.controlValues.buybackBurnShare) this.controlValues.buybackBurnShare.textContent = `${buyback}%`;
-        if (this.controlValues.stakerShare) this.controlValues.stakerShare.textContent = `${staker}%`;
-        if (this.controlValues.treasuryShare) this.controlValues.treasuryShare.textContent = `${treasury}%`;
-        
-        const totalElement = document.getElementById('feeDistributionTotal');
-        if (totalElement) {
-            totalElement.textContent = total;
-            totalElement.style.color = total === 100 ? 'var(--primary-blue)' : 'var(--text-secondary)';
-        }
+        UIManager.BALANCED_SLIDERS.forEach(({ sliders, total: totalId }) => {
+            const values = sliders.map(key => parseInt(this.controls[key]?.value ?? DEFAULT_VALUES[key]));
+            const total = values.reduce((sum, value) => sum + value, 0);
+            
+            sliders.forEach((key, index) => {
+                if (this.controlValues[key]) this.controlValues[key].textContent = `${values[index]}%`;
+            });
+            
+            const totalElement = document.getElementById(totalId);
+            if (totalElement) {
+                totalElement.textContent = total;
+                totalElement.style.color = total === 100 ? 'var(--primary-blue)' : 'var(--text-secondary)';
+            }
+        });
     }
     
     /**
@@ -386,10 +1676,8 @@ class UIManager {
             this.outputs.monthlyBurned.textContent = UIManager.formatValue(lastMonthBurned);
         }
 
-        // Calculate treasury runway (WOOFi treasury only, as per radCAD logic)
-        const lastMonthBurn = simState.history.monthlyBurned.length > 0 ? 
-            simState.history.monthlyBurned[simState.history.monthlyBurned.length - 1] * 1e6 : 0;
-        const runway = lastMonthBurn > 0 ? simState.woofi_treasury_balance / lastMonthBurn : Infinity;
+        // Treasury runway in months of spending (same value recordHistory stores)
+        const runway = simState.treasury_runway_months ?? Infinity;
 
         // Update treasury runway display
         const treasuryRunwayElement = document.getElementById('treasuryRunway');
@@ -415,7 +1703,7 @@ class UIManager {
     updateResultsTable(simState) {
         const tbody = document.getElementById('resultsTableBody');
         if (!tbody || !simState.history || simState.history.months.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="10" class="py-8 text-center" style="color: var(--text-secondary);">No simulation data available</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="15" class="py-8 text-center" style="color: var(--text-secondary);">No simulation data available</td></tr>';
             return;
         }
 
@@ -438,6 +1726,10 @@ class UIManager {
                     <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">$${UIManager.formatValue((history.treasury_fees_received && history.treasury_fees_received[i] ? history.treasury_fees_received[i] * 1e6 : 0))}</td>
                     <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">$${UIManager.formatValue((history.orderly_fees_received && history.orderly_fees_received[i] ? history.orderly_fees_received[i] * 1e6 : 0))}</td>
                     <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">$${UIManager.formatValue((history.buyback_fees_received && history.buyback_fees_received[i] ? history.buyback_fees_received[i] * 1e6 : 0))}</td>
+                    <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${(history.staker_apr[i] || 0).toFixed(2)}%</td>
+                    <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">$${(history.staker_revenue_per_woo[i] || 0).toFixed(6)}</td>
+                    <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">$${UIManager.formatValue(history.staker_position_usd[i] || 0)}</td>
+                    <td class="py-2 px-4 border-b text-sm text-right" style="border-color: var(--border-color); color: var(--text-secondary);">${(history.staker_trailing_yield[i] || 0).toFixed(2)}%</td>
                 </tr>
             `;
         }
@@ -452,45 +1744,43 @@ class UIManager {
         const container = document.getElementById('prRatioCardsContainer');
         if (!container) return;
 
+        const model = ModelRegistry.get(this.getCurrentModel());
         const years = Math.floor(simulationMonths / 12);
         let cardsHTML = '';
 
         for (let year = 1; year <= years; year++) {
-            if (this.currentModel === 'v1') {
-                // V1: Single P/R ratio card
+            const header = `
+                <h4 class="text-sm font-medium mb-2 flex items-center justify-center" style="color: var(--text-secondary);">
+                    ${model.ratioTitle(year)}
+                    <span class="info-icon ml-1">
+                        i
+                        <div class="tooltip">${model.ratioTooltip(year)}</div>
+                    </span>
+                </h4>
+            `;
+            
+            if (model.ratios.length === 1) {
+                // Single ratio card
+                const [ratio] = model.ratios;
                 cardsHTML += `
                     <div class="border rounded-lg p-4 text-center" style="border-color: var(--border-color); background-color: var(--neutral-light);">
-                        <h4 class="text-sm font-medium mb-2 flex items-center justify-center" style="color: var(--text-secondary);">
-                            Year ${year}
-                            <span class="info-icon ml-1">
-                                i
-                                <div class="tooltip">P/R ratio for Year ${year}. Market Cap ÷ (USDC + Current value of burned tokens + Auto-compound USD spending) for months ${(year - 1) * 12 + 1}-${year * 12}. The 3 components: USDC to stakers, burn value, auto-compound spending.</div>
-                            </span>
-                        </h4>
-                        <p id="prRatio${year}" class="text-lg font-semibold" style="color: var(--primary-blue);">--</p>
-                        <p class="text-xs mt-1" style="color: var(--text-secondary);">P/R Ratio</p>
+                        ${header}
+                        <p id="${ratio.element}${year}" class="text-lg font-semibold" style="color: ${ratio.color};">--</p>
+                        <p class="text-xs mt-1" style="color: var(--text-secondary);">${ratio.label}</p>
                     </div>
                 `;
             } else {
-                // V2: Dual P/V ratio cards
+                // Stacked ratios in one card
                 cardsHTML += `
                     <div class="border rounded-lg p-4 text-center" style="border-color: var(--border-color); background-color: var(--neutral-light);">
-                        <h4 class="text-sm font-medium mb-2 flex items-center justify-center" style="color: var(--text-secondary);">
-                            Year ${year} P/V Ratios
-                            <span class="info-icon ml-1">
-                                i
-                                <div class="tooltip">Price-to-Value Distributed ratios for Year ${year}. USD Spent: Market Cap ÷ (USDC + USD spent on buyback). Token Value: Market Cap ÷ (USDC + current value of tokens burned).</div>
-                            </span>
-                        </h4>
+                        ${header}
                         <div class="space-y-1">
-                            <div>
-                                <p id="pvRatioUSD${year}" class="text-sm font-semibold" style="color: var(--primary-blue);">--</p>
-                                <p class="text-xs" style="color: var(--text-secondary);">USD Spent</p>
-                            </div>
-                            <div>
-                                <p id="pvRatioMarket${year}" class="text-sm font-semibold" style="color: var(--accent-teal);">--</p>
-                                <p class="text-xs" style="color: var(--text-secondary);">Token Value</p>
-                            </div>
+                            ${model.ratios.map(ratio => `
+                                <div>
+                                    <p id="${ratio.element}${year}" class="text-sm font-semibold" style="color: ${ratio.color};">--</p>
+                                    <p class="text-xs" style="color: var(--text-secondary);">${ratio.label}</p>
+                                </div>
+                            `).join('')}
                         </div>
                     </div>
                 `;
@@ -501,79 +1791,45 @@ class UIManager {
     }
 
     updatePriceToRevenueCards(simState) {
-        if (this.currentModel === 'v1') {
-            // V1: Update single P/R ratio cards
-            if (simState.annual_pr_ratios && simState.annual_pr_ratios.length > 0) {
-                simState.annual_pr_ratios.forEach((ratio, index) => {
-                    const yearElement = document.getElementById(`prRatio${index + 1}`);
-                    if (yearElement) {
-                        if (ratio !== null && ratio !== undefined && isFinite(ratio)) {
-                            yearElement.textContent = `${ratio.toFixed(1)}x`;
-                        } else {
-                            yearElement.textContent = '--';
-                        }
-                    }
-                });
-            }
-            
-            // Show current year progress for V1
-            const currentMonth = simState.month;
-            const currentYear = Math.floor(currentMonth / 12) + 1;
-            const monthInYear = currentMonth % 12;
-            
-            if (monthInYear > 0 && monthInYear < 12) {
-                const currentYearElement = document.getElementById(`prRatio${currentYear}`);
+        const model = ModelRegistry.get(this.getCurrentModel());
+        
+        model.ratios.forEach(ratio => {
+            (simState[ratio.key] || []).forEach((value, index) => {
+                const yearElement = document.getElementById(`${ratio.element}${index + 1}`);
+                if (yearElement) {
+                    yearElement.textContent = value !== null && value !== undefined && isFinite(value) ? `${value.toFixed(1)}x` : '--';
+                }
+            });
+        });
+        
+        // Show current year progress
+        const currentMonth = simState.month;
+        const currentYear = Math.floor(currentMonth / 12) + 1;
+        const monthInYear = currentMonth % 12;
+        
+        if (monthInYear > 0 && monthInYear < 12) {
+            model.ratios.forEach(ratio => {
+                const currentYearElement = document.getElementById(`${ratio.element}${currentYear}`);
                 if (currentYearElement && currentYearElement.textContent === '--') {
                     currentYearElement.textContent = `${monthInYear}/12`;
                 }
-            }
-        } else {
-            // V2: Update dual P/V ratio cards
-            if (simState.annual_pv_ratios_usd && simState.annual_pv_ratios_usd.length > 0) {
-                simState.annual_pv_ratios_usd.forEach((ratio, index) => {
-                    const yearElementUSD = document.getElementById(`pvRatioUSD${index + 1}`);
-                    if (yearElementUSD) {
-                        if (ratio !== null && ratio !== undefined && isFinite(ratio)) {
-                            yearElementUSD.textContent = `${ratio.toFixed(1)}x`;
-                        } else {
-                            yearElementUSD.textContent = '--';
-                        }
-                    }
-                });
-            }
-            
-            if (simState.annual_pv_ratios_market && simState.annual_pv_ratios_market.length > 0) {
-                simState.annual_pv_ratios_market.forEach((ratio, index) => {
-                    const yearElementMarket = document.getElementById(`pvRatioMarket${index + 1}`);
-                    if (yearElementMarket) {
-                        if (ratio !== null && ratio !== undefined && isFinite(ratio)) {
-                            yearElementMarket.textContent = `${ratio.toFixed(1)}x`;
-                        } else {
-                            yearElementMarket.textContent = '--';
-                        }
-                    }
-                });
-            }
-            
-            // Show current year progress for V2
-            const currentMonth = simState.month;
-            const currentYear = Math.floor(currentMonth / 12) + 1;
-            const monthInYear = currentMonth % 12;
-            
-            if (monthInYear > 0 && monthInYear < 12) {
-                const currentYearUSDElement = document.getElementById(`pvRatioUSD${currentYear}`);
-                const currentYearMarketElement = document.getElementById(`pvRatioMarket${currentYear}`);
-                
-                if (currentYearUSDElement && currentYearUSDElement.textContent === '--') {
-                    currentYearUSDElement.textContent = `${monthInYear}/12`;
-                }
-                if (currentYearMarketElement && currentYearMarketElement.textContent === '--') {
-                    currentYearMarketElement.textContent = `${monthInYear}/12`;
-                }
-            }
+            });
         }
     }
 
+    /**
+     * Reset every registered model's ratio card values to '--'
+     */
+    resetRatioCards() {
+        const container = document.getElementById('prRatioCardsContainer');
+        if (!container) return;
+        ModelRegistry.list().forEach(model => {
+            model.ratios.forEach(ratio => {
+                container.querySelectorAll(`[id^="${ratio.element}"]`).forEach(card => card.textContent = '--');
+            });
+        });
+    }
+
     /**
      * Reset all displays to initial state
      */
@@ -602,13 +1858,8 @@ class UIManager {
         // Reset table
         this.updateResultsTable({ history: { months: [] } });
         
-        // Reset P/V ratio cards (both V1 and V2)
-        const pvCardsUSD = document.querySelectorAll('[id^="pvRatioUSD"]');
-        const pvCardsMarket = document.querySelectorAll('[id^="pvRatioMarket"]');
-        const prCards = document.querySelectorAll('[id^="prRatio"]');
-        pvCardsUSD.forEach(card => card.textContent = '--');
-        pvCardsMarket.forEach(card => card.textContent = '--');
-        prCards.forEach(card => card.textContent = '--');
+        // Reset ratio cards (every registered model)
+        this.resetRatioCards();
     }
 
     /**
@@ -722,6 +1973,8 @@ class UIManager {
         
         // Create initial P/V cards based on default duration
         this.createPriceToRevenueCards(DEFAULT_VALUES.simulationDuration);
+        this.updatePriceModelControls();
+        this.updateBuybackStrategyControls();
     }
 
     /**
@@ -798,20 +2051,46 @@ class UIManager {
     }
 
     /**
-     * Save current parameters configuration
+     * Current control values tagged with the active model, plus the structured editors' state
      */
-    saveParameters() {
+    getConfiguration() {
         const params = {};
         Object.keys(this.controls).forEach(key => {
             params[key] = this.controls[key].value;
         });
         
-        const config = {
+        return {
             timestamp: new Date().toISOString(),
-            model: 'v0',
-            approach: 'system-dynamics',
-            parameters: params
+            model: this.getCurrentModel(),
+            approach: this.getCurrentApproach(),
+            parameters: params,
+            structured: {
+                volumeSchedule: this.getVolumeScheduleState(),
+                vesting: this.getVestingState(),
+                revenueStreams: this.getRevenueStreamState(),
+                feeSchedules: this.getFeeScheduleState(),
+                timeline: this.timeline.map(change => ({ ...change }))
+            }
         };
+    }
+
+    /**
+     * Restore the structured editors from a saved configuration or share link
+     * (editors without saved state keep their values)
+     */
+    applyStructuredState(structured) {
+        if (structured.volumeSchedule) this.setVolumeScheduleState(structured.volumeSchedule);
+        if (structured.vesting) this.setVestingState(structured.vesting);
+        if (structured.revenueStreams) this.setRevenueStreamState(structured.revenueStreams);
+        if (structured.feeSchedules) this.setFeeScheduleState(structured.feeSchedules);
+        if (structured.timeline) this.setTimelineState(structured.timeline);
+    }
+
+    /**
+     * Save current parameters configuration
+     */
+    saveParameters() {
+        const config = this.getConfiguration();
         
         const blob = new Blob([JSON.stringify(config, null, 2)], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
@@ -850,4 +2129,11 @@ class UIManager {
     getCurrentModel() {
         return this.currentModel || 'v2';
     }
+
+    /**
+     * Get current modeling approach
+     */
+    getCurrentApproach() {
+        return this.currentApproach || 'system-dynamics';
+    }
 } 
\ No newline at end of file
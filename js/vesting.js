@@ -0,0 +1,75 @@
+/**
+ * Token unlock and vesting schedules for WOO tokenomics simulation
+ */
+
+// Headless usage: load the shared constants that the browser gets from config.js
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'));
+}
+
+class VestingSchedule {
+    static RELEASES = ['linear', 'stepped'];
+
+    /**
+     * Tranches from `params.vesting_schedule`, each filled in from its CONFIG.VESTING default
+     * (tranches not in CONFIG.VESTING need every field); steps are at least one month
+     */
+    static tranches(params) {
+        const schedule = params.vesting_schedule;
+        if (!schedule?.tranches?.length) return [];
+
+        return schedule.tranches.map(tranche => {
+            const defaults = CONFIG.VESTING.tranches.find(entry => entry.id === tranche.id) || {};
+            const merged = { release: 'linear', step_months: 3, sell_through: 0, to_treasury: false, ...defaults, ...tranche };
+            return { ...merged, step_months: Math.max(1, Math.round(merged.step_months) || 1) };
+        });
+    }
+
+    /**
+     * Cumulative share of a tranche released after `months` elapsed months
+     *
+     * Nothing is released during the cliff; `linear` then releases evenly each month over
+     * `duration_months`, `stepped` releases in equal chunks every `step_months`.
+     */
+    static vestedShare(tranche, months) {
+        const elapsed = months - tranche.cliff_months;
+        if (elapsed <= 0) return 0;
+        if (tranche.duration_months <= 0) return 1;
+
+        const vested = tranche.release === 'stepped'
+            ? Math.floor(elapsed / tranche.step_months) * tranche.step_months
+            : elapsed;
+        return Math.min(1, vested / tranche.duration_months);
+    }
+
+    /**
+     * Build a per-month unlock path ({ trancheId: tokens } per month) from engine params
+     *
+     * Tranche fields:
+     * - id, label, color: chart series
+     * - amount: tokens to vest (raw tokens, counted from the simulation start)
+     * - cliff_months: months before the first release
+     * - duration_months: months over which the tranche releases after the cliff
+     * - release: 'linear' | 'stepped', with step_months between stepped releases
+     * - sell_through: share of each unlock sold on the market (0-1)
+     * - to_treasury: unlocks go to the WOOFi treasury instead of circulating supply
+     */
+    static build(params) {
+        const p = { ...DEFAULT_PARAMS, ...params };
+        const tranches = VestingSchedule.tranches(p);
+
+        return Array.from({ length: p.simulation_months }, (_, month) => {
+            const entry = {};
+            tranches.forEach(tranche => {
+                const share = VestingSchedule.vestedShare(tranche, month + 1) - VestingSchedule.vestedShare(tranche, month);
+                entry[tranche.id] = tranche.amount * share;
+            });
+            return entry;
+        });
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VestingSchedule };
+}
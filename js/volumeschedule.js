@@ -0,0 +1,125 @@
+/**
+ * Time-varying volume schedules for WOO tokenomics simulation
+ */
+
+// Headless usage: load the shared constants that the browser gets from config.js
+if (typeof CONFIG === 'undefined' && typeof require === 'function') {
+    Object.assign(globalThis, require('./config.js'));
+}
+
+class VolumeSchedule {
+    static VENUES = ['woofi_swap', 'woofi_perp', 'woox'];
+
+    /**
+     * Column names accepted in pasted/imported series (lowercase)
+     */
+    static SERIES_COLUMNS = {
+        woofi_swap: ['woofi_swap', 'swap', 'woofi swap'],
+        woofi_perp: ['woofi_perp', 'perp', 'woofi perp'],
+        woox: ['woox', 'woo_x', 'woo x']
+    };
+
+    /**
+     * Growth multiplier for a 0-based month index
+     */
+    static growthMultiplier(growth, month) {
+        if (!growth || !growth.rate) return 1;
+        if (growth.type === 'linear') return Math.max(0, 1 + growth.rate * month);
+        if (growth.type === 'compound') return Math.pow(1 + growth.rate, month);
+        return 1;
+    }
+
+    /**
+     * Seasonal multiplier: cosine wave with a 12-month period peaking at `peak_month` (1-12)
+     */
+    static seasonalMultiplier(seasonality, month) {
+        if (!seasonality || !seasonality.amplitude) return 1;
+        const calendarMonth = (month % 12) + 1;
+        return Math.max(0, 1 + seasonality.amplitude * Math.cos(2 * Math.PI * (calendarMonth - (seasonality.peak_month || 1)) / 12));
+    }
+
+    /**
+     * Build a per-month volume path (USD per month) from engine params and `params.volume_schedule`
+     *
+     * Schedule fields (all optional):
+     * - growth: { type: 'none' | 'linear' | 'compound', rate } - rate per month (0.02 = 2%)
+     * - seasonality: { amplitude, peak_month } - amplitude as a fraction (0.1 = ±10%)
+     * - steps: [{ month, multiplier, venue }] - from `month` (1-based) onward; venue 'all' or a venue key
+     * - series: { woofi_swap: [...], ... } - daily USD per month; replaces the flat base (last value held)
+     */
+    static build(params) {
+        const p = { ...DEFAULT_PARAMS, ...params };
+        const schedule = p.volume_schedule || {};
+        const base = {
+            woofi_swap: p.daily_woofi_swap_volume,
+            woofi_perp: p.daily_woofi_perp_volume,
+            woox: p.daily_woox_volume
+        };
+
+        return Array.from({ length: p.simulation_months }, (_, month) => {
+            const shared = VolumeSchedule.growthMultiplier(schedule.growth, month) *
+                VolumeSchedule.seasonalMultiplier(schedule.seasonality, month);
+
+            const entry = {};
+            VolumeSchedule.VENUES.forEach(venue => {
+                const series = schedule.series?.[venue];
+                const daily = series?.length ? series[Math.min(month, series.length - 1)] : base[venue];
+                const steps = (schedule.steps || [])
+                    .filter(step => month + 1 >= step.month && (step.venue === 'all' || step.venue === venue))
+                    .reduce((product, step) => product * step.multiplier, 1);
+                // Series are taken as given, so growth only shapes the flat base
+                const multiplier = series?.length ? VolumeSchedule.seasonalMultiplier(schedule.seasonality, month) : shared;
+                entry[venue] = daily * 30 * multiplier * steps;
+            });
+            return entry;
+        });
+    }
+
+    /**
+     * Parse a pasted/CSV series of daily volumes in USD millions.
+     * With a header row, columns are matched by name (a `month` column is ignored);
+     * without one, 3 columns are swap, perp, WOO X and 4 columns start with the month.
+     * Returns { woofi_swap, woofi_perp, woox } arrays of daily USD (only venues present).
+     */
+    static parseSeries(text) {
+        const rows = (text || '')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => line.split(/[,;\t]/).map(cell => cell.trim()));
+        if (rows.length === 0) return {};
+
+        let columns;
+        const hasHeader = rows[0].some(cell => cell !== '' && isNaN(Number(cell)));
+        if (hasHeader) {
+            const header = rows.shift().map(cell => cell.toLowerCase());
+            columns = {};
+            VolumeSchedule.VENUES.forEach(venue => {
+                const index = header.findIndex(name => VolumeSchedule.SERIES_COLUMNS[venue].includes(name));
+                if (index >= 0) columns[venue] = index;
+            });
+        } else {
+            const offset = rows[0].length >= 4 ? 1 : 0;
+            columns = {};
+            VolumeSchedule.VENUES.forEach((venue, i) => {
+                if (i + offset < rows[0].length) columns[venue] = i + offset;
+            });
+        }
+
+        const series = {};
+        Object.entries(columns).forEach(([venue, index]) => {
+            const values = rows.map(row => Number(row[index]));
+            const invalid = values.findIndex(value => !isFinite(value) || value < 0);
+            if (invalid >= 0) {
+                throw new Error(`Invalid ${venue} volume on data row ${invalid + 1}`);
+            }
+            series[venue] = values.map(value => value * 1_000_000);
+        });
+        return series;
+    }
+}
+
+// CommonJS export for headless use (Node scripts, notebooks, CI)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VolumeSchedule };
+}